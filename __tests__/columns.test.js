@@ -0,0 +1,54 @@
+const { parseSelectColumns, collectKeys } = require('../lib/columns');
+
+describe('columns', () => {
+  describe('parseSelectColumns', () => {
+    it('should return simple column names in order', () => {
+      expect(parseSelectColumns('SELECT id, name, quantity FROM item')).toEqual(['id', 'name', 'quantity']);
+    });
+
+    it('should lowercase names and strip table prefixes', () => {
+      expect(parseSelectColumns('SELECT t.ID, t.TranId FROM transaction t')).toEqual(['id', 'tranid']);
+    });
+
+    it('should use AS and bare aliases', () => {
+      const query = 'SELECT t.tranid AS TranNumber, BUILTIN.DF(t.entity) entity_name, (SELECT MAX(x) FROM y) mx FROM transaction t';
+      expect(parseSelectColumns(query)).toEqual(['trannumber', 'entity_name', 'mx']);
+    });
+
+    it('should ignore commas inside function calls and string literals', () => {
+      const query = "SELECT NVL(a, 'x,y') AS a, CASE WHEN b = 1 THEN 'p, q' ELSE 'r' END AS b FROM t";
+      expect(parseSelectColumns(query)).toEqual(['a', 'b']);
+    });
+
+    it('should skip DISTINCT and TOP', () => {
+      expect(parseSelectColumns('SELECT DISTINCT id FROM t')).toEqual(['id']);
+      expect(parseSelectColumns('SELECT TOP 10 id, name FROM t')).toEqual(['id', 'name']);
+    });
+
+    it('should use the outer SELECT of a query with a CTE', () => {
+      expect(parseSelectColumns('WITH c AS (SELECT a FROM b) SELECT c.a, c.b FROM c')).toEqual(['a', 'b']);
+    });
+
+    it('should return null for star selects', () => {
+      expect(parseSelectColumns('SELECT * FROM item')).toBeNull();
+      expect(parseSelectColumns('SELECT sn.* FROM ScriptNote sn')).toBeNull();
+    });
+
+    it('should return null for unnamed expressions', () => {
+      expect(parseSelectColumns('SELECT id, COUNT(*) FROM t GROUP BY id')).toBeNull();
+      expect(parseSelectColumns("SELECT CASE WHEN a = 1 THEN 'x' END FROM t")).toBeNull();
+    });
+
+    it('should return null for duplicate names and invalid input', () => {
+      expect(parseSelectColumns('SELECT a.id, b.id FROM a, b')).toBeNull();
+      expect(parseSelectColumns('')).toBeNull();
+      expect(parseSelectColumns('DELETE FROM t')).toBeNull();
+    });
+  });
+
+  describe('collectKeys', () => {
+    it('should collect keys across rows in first-seen order', () => {
+      expect(collectKeys([{ id: '1', b: 'x' }, { id: '2', c: 'y' }])).toEqual(['id', 'b', 'c']);
+    });
+  });
+});
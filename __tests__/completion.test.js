@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `nsql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('netsuite-api-client');
+
+const { Command, Argument } = require('commander');
+const { saveProfile, setPassphrase, lockCredentials, CONFIG_FILE } = require('../lib/config');
+const { getSchemaCachePath } = require('../lib/schema');
+const { COMPLETION_SHELLS, complete, printCompletions, generateCompletionScript } = require('../lib/completion');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+};
+
+function createProgram() {
+  const program = new Command();
+  program.name('nsql-cli').version('1.0.0');
+  program.command('configure').option('-p, --profile <name>', 'Profile', 'default');
+  program
+    .command('query')
+    .option('-q, --query <sql>')
+    .option('-p, --profile <name>')
+    .option('-f, --format <format>')
+    .option('--dialect <dialect>')
+    .option('--columns <list>')
+    .option('-o, --output <path>')
+    .option('--all');
+  program.command('shell').option('-p, --profile <name>').option('-f, --format <format>');
+  program.command('describe').argument('<recordType>').option('-p, --profile <name>');
+  const profile = program.command('profile');
+  profile.command('show').argument('<profile>').option('-f, --format <format>');
+  profile.command('rename').argument('<profile>').argument('<newName>');
+  program.command('completion').addArgument(new Argument('<shell>').choices(COMPLETION_SHELLS));
+  program.command('__complete', { hidden: true }).argument('[words...]');
+  return program;
+}
+
+describe('completion', () => {
+  const schemaPath = getSchemaCachePath('1234567_SB1');
+  let program;
+
+  beforeEach(() => {
+    consoleSpy.log.mockClear();
+    program = createProgram();
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    ['sb1', 'prod'].forEach(name => saveProfile(name, {
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      token: 'token',
+      tokenSecret: 'token-secret',
+      realm: name === 'sb1' ? '1234567_SB1' : '1234567'
+    }));
+    fs.mkdirSync(path.dirname(schemaPath), { recursive: true });
+    fs.writeFileSync(schemaPath, JSON.stringify({
+      account: '1234567_sb1',
+      records: [
+        { id: 'customer', label: 'Customer', fields: [{ id: 'companyname' }, { id: 'email' }] },
+        { id: 'customrecord_rate', label: 'Rate', fields: [{ id: 'custrecord_amount' }] }
+      ]
+    }));
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    fs.rmSync(schemaPath, { force: true });
+  });
+
+  describe('complete', () => {
+    it('should complete visible subcommands', () => {
+      expect(complete(program, [''])).toEqual(['configure', 'query', 'shell', 'describe', 'profile', 'completion', 'help']);
+      expect(complete(program, ['qu'])).toEqual(['query']);
+      expect(complete(program, ['help', 'sh'])).toEqual(['shell']);
+    });
+
+    it('should complete options of a subcommand', () => {
+      expect(complete(program, ['query', '--fo'])).toEqual(['--format']);
+      expect(complete(program, ['query', '-'])).toEqual(expect.arrayContaining(['--query', '-q', '--all', '--help']));
+    });
+
+    it('should complete profile names', () => {
+      expect(complete(program, ['query', '--profile', ''])).toEqual(['sb1', 'prod']);
+      expect(complete(program, ['shell', '-p', 'pr'])).toEqual(['prod']);
+    });
+
+    it('should complete profile name arguments', () => {
+      expect(complete(program, ['profile', ''])).toEqual(['show', 'rename']);
+      expect(complete(program, ['profile', 'show', ''])).toEqual(['sb1', 'prod']);
+      expect(complete(program, ['profile', 'show', '-f', ''])).toEqual(['table', 'json']);
+      expect(complete(program, ['profile', 'rename', 'sb1', ''])).toEqual([]);
+    });
+
+    it('should complete the formats of each command', () => {
+      expect(complete(program, ['query', '-f', 'x'])).toEqual(['xlsx']);
+      expect(complete(program, ['shell', '--format', 'x'])).toEqual([]);
+      expect(complete(program, ['query', '--dialect', ''])).toEqual(['postgres', 'mysql', 'sqlite']);
+    });
+
+    it('should complete argument choices', () => {
+      expect(complete(program, ['completion', ''])).toEqual(['bash', 'zsh', 'fish']);
+    });
+
+    it('should complete record types from the schema cache of the active profile', () => {
+      expect(complete(program, ['describe', '-p', 'sb1', 'cust'])).toEqual(['customer', 'customrecord_rate']);
+      expect(complete(program, ['describe', 'cust'])).toEqual([]);
+    });
+
+    it('should complete field IDs in --columns from the record type in --query', () => {
+      const words = ['query', '-p', 'sb1', '-q', 'SELECT * FROM customer', '--columns'];
+
+      expect(complete(program, [...words, ''])).toEqual(['companyname', 'email']);
+      expect(complete(program, [...words, 'companyname,e'])).toEqual(['companyname,email']);
+    });
+
+    it('should complete fields of every cached record type without a known FROM', () => {
+      expect(complete(program, ['query', '--profile=sb1', '--columns', 'cust'])).toEqual(['custrecord_amount']);
+    });
+
+    it('should complete from the schema cache while the credentials are locked', () => {
+      setPassphrase('correct horse');
+      lockCredentials();
+
+      expect(complete(program, ['describe', '-p', 'sb1', 'cust'])).toEqual(['customer', 'customrecord_rate']);
+    });
+
+    it('should not rewrite the config to find the schema cache', () => {
+      const before = fs.readFileSync(CONFIG_FILE, 'utf8');
+
+      complete(program, ['describe', '-p', 'sb1', 'cust']);
+
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).toBe(before);
+    });
+
+    it('should leave values without candidates to the shell', () => {
+      expect(complete(program, ['query', '--output', ''])).toEqual([]);
+    });
+  });
+
+  describe('printCompletions', () => {
+    it('should print one candidate per line', () => {
+      printCompletions(program, ['query', '--profile', '']);
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('sb1\nprod');
+    });
+
+    it('should print nothing when the config cannot be read', () => {
+      fs.writeFileSync(CONFIG_FILE, '{ invalid');
+
+      printCompletions(program, ['query', '--profile', '']);
+
+      expect(consoleSpy.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateCompletionScript', () => {
+    it('should generate scripts that call __complete', () => {
+      COMPLETION_SHELLS.forEach(shell => {
+        expect(generateCompletionScript(shell)).toContain('nsql-cli __complete --');
+      });
+      expect(generateCompletionScript('bash')).toContain('complete -o default -F _nsql_cli_completion nsql-cli');
+      expect(generateCompletionScript('zsh')).toContain('compdef _nsql_cli_completion nsql-cli');
+      expect(generateCompletionScript('fish')).toContain("complete -c nsql-cli -f -a '(_nsql_cli_completion)'");
+    });
+
+    it('should reject other shells', () => {
+      expect(() => generateCompletionScript('ksh')).toThrow("Unsupported shell 'ksh'. Supported shells: bash, zsh, fish");
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 // Mock os.homedir() to use a temporary directory before requiring config
 const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
@@ -15,16 +16,38 @@ const {
   writeConfig,
   getProfile,
   saveProfile,
+  deleteProfile,
+  renameProfile,
   profileExists,
   getAllProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  resolveProfileName,
+  describeProfileSource,
+  describeAuthType,
   validateProfile,
   getEnvCredentials,
+  getOAuth2EnvCredentials,
   resolveCredentials,
+  resolveCredentialsInfo,
+  resolveAccount,
+  saveOAuth1Profile,
+  decryptOAuth1Profile,
   saveOAuth2Profile,
   saveOAuth2Tokens,
+  saveClientCredentialsProfile,
+  saveClientCredentialsToken,
   isTokenExpired,
   encrypt,
   decrypt,
+  isEncrypted,
+  isPassphraseEnabled,
+  setPassphrase,
+  removePassphrase,
+  rotateMachineKey,
+  unlockCredentials,
+  lockCredentials,
+  CONFIG_DIR,
   CONFIG_FILE
 } = require('../lib/config');
 
@@ -263,6 +286,111 @@ describe('config', () => {
     });
   });
 
+  describe('deleteProfile', () => {
+    it('should delete an existing profile', () => {
+      saveProfile('profile1', { realm: 'realm1' });
+      saveProfile('profile2', { realm: 'realm2' });
+
+      expect(deleteProfile('profile1')).toBe(true);
+      expect(readConfig()).toEqual({ profile2: { realm: 'realm2' } });
+    });
+
+    it('should return false when profile does not exist', () => {
+      expect(deleteProfile('nonexistent')).toBe(false);
+    });
+  });
+
+  describe('renameProfile', () => {
+    it('should rename a profile and keep the order of profiles', () => {
+      saveProfile('profile1', { realm: 'realm1' });
+      saveProfile('profile2', { realm: 'realm2' });
+      saveProfile('profile3', { realm: 'realm3' });
+
+      renameProfile('profile2', 'renamed');
+
+      expect(getAllProfiles()).toEqual(['profile1', 'renamed', 'profile3']);
+      expect(getProfile('renamed')).toEqual({ realm: 'realm2' });
+    });
+
+    it('should throw when the profile does not exist or the new name is taken', () => {
+      saveProfile('profile1', { realm: 'realm1' });
+      saveProfile('profile2', { realm: 'realm2' });
+
+      expect(() => renameProfile('nonexistent', 'x')).toThrow("Profile 'nonexistent' not found");
+      expect(() => renameProfile('profile1', 'profile2')).toThrow("Profile 'profile2' already exists");
+    });
+  });
+
+  describe('active profile', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      delete process.env.NSQL_PROFILE;
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should store the active profile in the config without listing it as a profile', () => {
+      saveProfile('sb1', { realm: 'realm1' });
+
+      setActiveProfile('sb1');
+
+      expect(getActiveProfile()).toBe('sb1');
+      expect(getAllProfiles()).toEqual(['sb1']);
+      expect(profileExists('_settings')).toBe(false);
+      expect(getProfile('_settings')).toBeNull();
+
+      setActiveProfile(null);
+      expect(getActiveProfile()).toBeNull();
+    });
+
+    it('should reject the reserved settings key as a profile name', () => {
+      expect(() => saveProfile('_settings', { realm: 'realm1' })).toThrow("Profile name '_settings' is reserved");
+    });
+
+    it('should resolve --profile, then NSQL_PROFILE, then the active profile, then "default"', () => {
+      expect(resolveProfileName()).toEqual({ profileName: 'default', source: 'default' });
+
+      setActiveProfile('sb1');
+      expect(resolveProfileName()).toEqual({ profileName: 'sb1', source: 'active' });
+
+      process.env.NSQL_PROFILE = 'sb2';
+      expect(resolveProfileName()).toEqual({ profileName: 'sb2', source: 'environment' });
+
+      expect(resolveProfileName('prod')).toEqual({ profileName: 'prod', source: 'option' });
+    });
+
+    it('should describe where the profile came from', () => {
+      expect(describeProfileSource('sb2', 'environment')).toBe("'sb2' (from NSQL_PROFILE)");
+      expect(describeProfileSource('sb1', 'active')).toBe("'sb1' (from active profile (nsql-cli profile use))");
+    });
+
+    it('should use the resolved profile in resolveCredentials', () => {
+      saveProfile('sb1', { consumerKey: 'k', consumerSecret: 's', token: 't', tokenSecret: 'ts', realm: 'realm1' });
+      setActiveProfile('sb1');
+
+      const result = resolveCredentials();
+
+      expect(result.credentials.realm).toBe('realm1');
+      expect(result.profileName).toBe('sb1');
+      expect(result.profileSource).toBe('active');
+    });
+
+    it('should follow the active profile when it is renamed or deleted', () => {
+      saveProfile('sb1', { realm: 'realm1' });
+      setActiveProfile('sb1');
+
+      renameProfile('sb1', 'sandbox');
+      expect(getActiveProfile()).toBe('sandbox');
+
+      deleteProfile('sandbox');
+      expect(getActiveProfile()).toBeNull();
+    });
+  });
+
   describe('getAllProfiles', () => {
     it('should return empty array when no profiles exist', () => {
       const profiles = getAllProfiles();
@@ -421,6 +549,182 @@ describe('config', () => {
     });
   });
 
+  describe('getOAuth2EnvCredentials', () => {
+    const originalEnv = process.env;
+    const jwt = (claims) => `header.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      ['NSQL_CONSUMER_KEY', 'NSQL_CONSUMER_SECRET', 'NSQL_TOKEN', 'NSQL_TOKEN_SECRET', 'NSQL_REALM',
+        'NSQL_ACCOUNT_ID', 'NSQL_CLIENT_ID', 'NSQL_CLIENT_SECRET', 'NSQL_REFRESH_TOKEN', 'NSQL_ACCESS_TOKEN']
+        .forEach(name => delete process.env[name]);
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should return null without an account ID', () => {
+      process.env.NSQL_ACCESS_TOKEN = 'access-token';
+      expect(getOAuth2EnvCredentials()).toBeNull();
+    });
+
+    it('should return null without a refresh token or access token', () => {
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV123';
+      process.env.NSQL_CLIENT_ID = 'client-id';
+      process.env.NSQL_CLIENT_SECRET = 'client-secret';
+      expect(getOAuth2EnvCredentials()).toBeNull();
+    });
+
+    it('should return refresh credentials', () => {
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV123';
+      process.env.NSQL_CLIENT_ID = 'client-id';
+      process.env.NSQL_CLIENT_SECRET = 'client-secret';
+      process.env.NSQL_REFRESH_TOKEN = 'refresh-token';
+
+      expect(getOAuth2EnvCredentials()).toEqual({
+        authType: 'oauth2',
+        accountId: 'TSTDRV123',
+        realm: 'TSTDRV123',
+        clientId: 'client-id',
+        clientSecret: 'client-secret',
+        refreshToken: 'refresh-token',
+        tokenExpiry: null
+      });
+    });
+
+    it('should read the expiry of a JWT access token and ignore incomplete refresh credentials', () => {
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV123';
+      process.env.NSQL_CLIENT_ID = 'client-id';
+      process.env.NSQL_ACCESS_TOKEN = jwt({ sub: '3;1234', exp: 1700000000 });
+
+      expect(getOAuth2EnvCredentials()).toEqual({
+        authType: 'oauth2',
+        accountId: 'TSTDRV123',
+        realm: 'TSTDRV123',
+        accessToken: process.env.NSQL_ACCESS_TOKEN,
+        tokenExpiry: 1700000000000
+      });
+    });
+
+    it('should be resolved after OAuth 1.0 variables and before profiles', () => {
+      saveOAuth2Profile('default', { accountId: 'PROFILE1', clientId: 'client-id', clientSecret: 'client-secret' });
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV123';
+      process.env.NSQL_ACCESS_TOKEN = 'access-token';
+
+      const oauth2 = resolveCredentials('default');
+      expect(oauth2.source).toBe('environment');
+      expect(oauth2.authType).toBe('oauth2');
+      expect(oauth2.credentials.accountId).toBe('TSTDRV123');
+      expect(oauth2.envVars).toEqual(['NSQL_ACCOUNT_ID', 'NSQL_ACCESS_TOKEN']);
+
+      process.env.NSQL_CONSUMER_KEY = 'key';
+      process.env.NSQL_CONSUMER_SECRET = 'secret';
+      process.env.NSQL_TOKEN = 'token';
+      process.env.NSQL_TOKEN_SECRET = 'token-secret';
+      process.env.NSQL_REALM = 'realm';
+
+      const oauth1 = resolveCredentials('default');
+      expect(oauth1.authType).toBe('oauth1');
+      expect(oauth1.envVars).toEqual(['NSQL_CONSUMER_KEY', 'NSQL_CONSUMER_SECRET', 'NSQL_TOKEN', 'NSQL_TOKEN_SECRET', 'NSQL_REALM']);
+    });
+  });
+
+  describe('resolveAccount', () => {
+    const originalEnv = process.env;
+    const tbaProfile = {
+      consumerKey: 'consumer-key',
+      consumerSecret: 'consumer-secret',
+      token: 'token-id',
+      tokenSecret: 'token-secret',
+      realm: '1234567_SB1'
+    };
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      ['NSQL_CONSUMER_KEY', 'NSQL_CONSUMER_SECRET', 'NSQL_TOKEN', 'NSQL_TOKEN_SECRET', 'NSQL_REALM',
+        'NSQL_ACCOUNT_ID', 'NSQL_ACCESS_TOKEN', 'NSQL_PASSPHRASE'].forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      lockCredentials();
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should read the account of a profile without decrypting it while locked', () => {
+      saveOAuth1Profile('sb1', tbaProfile);
+      setPassphrase('correct horse');
+      lockCredentials();
+      const before = fs.readFileSync(CONFIG_FILE, 'utf8');
+
+      expect(resolveAccount('sb1')).toEqual({ account: '1234567_SB1', source: 'profile', profileName: 'sb1', profileSource: 'option' });
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).toBe(before);
+    });
+
+    it('should prefer the account from environment variables', () => {
+      saveOAuth1Profile('sb1', tbaProfile);
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV1';
+      process.env.NSQL_ACCESS_TOKEN = 'env-access-token';
+
+      expect(resolveAccount('sb1')).toMatchObject({ account: 'TSTDRV1', source: 'environment' });
+    });
+
+    it('should return no account without credentials', () => {
+      expect(resolveAccount('missing')).toMatchObject({ account: null, source: null, profileName: 'missing' });
+    });
+  });
+
+  describe('resolveCredentialsInfo', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      ['NSQL_CONSUMER_KEY', 'NSQL_CONSUMER_SECRET', 'NSQL_TOKEN', 'NSQL_TOKEN_SECRET', 'NSQL_REALM',
+        'NSQL_ACCOUNT_ID', 'NSQL_ACCESS_TOKEN', 'NSQL_PASSPHRASE'].forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      lockCredentials();
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should return the profile without its secrets while locked', () => {
+      saveOAuth1Profile('sb1', {
+        consumerKey: 'consumer-key',
+        consumerSecret: 'consumer-secret',
+        token: 'token-id',
+        tokenSecret: 'token-secret',
+        realm: '1234567_SB1'
+      });
+      setPassphrase('correct horse');
+      lockCredentials();
+
+      expect(resolveCredentialsInfo('sb1')).toEqual({
+        credentials: { consumerKey: 'consumer-key', realm: '1234567_SB1' },
+        source: 'profile',
+        authType: 'oauth1',
+        profileName: 'sb1',
+        profileSource: 'option'
+      });
+    });
+
+    it('should list the environment variables without returning the token', () => {
+      process.env.NSQL_ACCOUNT_ID = 'TSTDRV1';
+      process.env.NSQL_ACCESS_TOKEN = 'env-access-token';
+
+      const info = resolveCredentialsInfo('sb1');
+      expect(info).toMatchObject({ source: 'environment', authType: 'oauth2', envVars: ['NSQL_ACCOUNT_ID', 'NSQL_ACCESS_TOKEN'] });
+      expect(info.credentials.accountId).toBe('TSTDRV1');
+      expect(info.credentials).not.toHaveProperty('accessToken');
+    });
+  });
+
   describe('resolveCredentials', () => {
     const originalEnv = process.env;
 
@@ -587,6 +891,38 @@ describe('config', () => {
     });
   });
 
+  describe('validateProfile - client credentials', () => {
+    const validProfile = {
+      authType: 'client_credentials',
+      accountId: 'TSTDRV123',
+      clientId: 'client-id',
+      certificateId: 'cert-id',
+      privateKeyPath: '/keys/private.pem',
+    };
+
+    it('should return true for a valid client credentials profile', () => {
+      expect(validateProfile(validProfile)).toBe(true);
+      expect(validateProfile({ ...validProfile, algorithm: 'RS256' })).toBe(true);
+    });
+
+    it('should return false without a certificate ID', () => {
+      expect(validateProfile({ ...validProfile, certificateId: '' })).toBe(false);
+    });
+
+    it('should return false for an unsupported algorithm', () => {
+      expect(validateProfile({ ...validProfile, algorithm: 'HS256' })).toBe(false);
+    });
+  });
+
+  describe('describeAuthType', () => {
+    it('should describe each auth type', () => {
+      expect(describeAuthType('oauth1')).toBe('OAuth 1.0 (TBA)');
+      expect(describeAuthType(undefined)).toBe('OAuth 1.0 (TBA)');
+      expect(describeAuthType('oauth2')).toBe('OAuth 2.0');
+      expect(describeAuthType('client_credentials')).toBe('OAuth 2.0 client credentials (M2M)');
+    });
+  });
+
   describe('encrypt and decrypt', () => {
     it('should round-trip a string', () => {
       const original = 'my-secret-value';
@@ -604,6 +940,57 @@ describe('config', () => {
       expect(decrypt(undefined)).toBeUndefined();
     });
 
+    it('should write the versioned AES-256-GCM format', () => {
+      expect(encrypt('my-secret-value')).toMatch(/^v2:[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+    });
+
+    it('should refuse a value that was changed', () => {
+      const encrypted = encrypt('my-secret-value');
+      const last = encrypted.slice(-1);
+      const tampered = encrypted.slice(0, -1) + (last === '0' ? '1' : '0');
+
+      expect(() => decrypt(tampered)).toThrow('Could not decrypt a stored secret: it was changed or encrypted with a different key');
+    });
+
+    it('should decrypt the legacy AES-256-CBC format', () => {
+      encrypt('create the key');
+      const key = Buffer.from(fs.readFileSync(path.join(CONFIG_DIR, '.encryption-key'), 'utf8'), 'hex');
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+      const legacy = `${iv.toString('hex')}:${cipher.update('old-secret', 'utf8', 'hex')}${cipher.final('hex')}`;
+
+      expect(isEncrypted(legacy)).toBe(true);
+      expect(decrypt(legacy)).toBe('old-secret');
+    });
+
+    it('should refuse a legacy value that was changed', () => {
+      expect(() => decrypt(`${'0'.repeat(32)}:00ff`)).toThrow('Could not decrypt a stored secret: it was changed or encrypted with a different key');
+      expect(() => decrypt('abcd:00ff')).toThrow('Could not decrypt a stored secret: it was changed or encrypted with a different key');
+    });
+
+    it('should warn once on stderr when the key file is in the legacy format', () => {
+      const keyFile = path.join(CONFIG_DIR, '.encryption-key');
+      fs.writeFileSync(keyFile, 'a'.repeat(32));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      try {
+        jest.isolateModules(() => {
+          const fresh = require('../lib/config');
+          expect(fresh.decrypt(fresh.encrypt('secret'))).toBe('secret');
+        });
+        expect(errorSpy).toHaveBeenCalledTimes(1);
+        expect(errorSpy).toHaveBeenCalledWith(`Warning: the encryption key in ${keyFile} is in a legacy format. Run 'nsql-cli credentials rotate-key' to replace it.`);
+      } finally {
+        errorSpy.mockRestore();
+        fs.unlinkSync(keyFile);
+      }
+    });
+
+    it('should generate a 256-bit key', () => {
+      encrypt('create the key');
+
+      expect(fs.readFileSync(path.join(CONFIG_DIR, '.encryption-key'), 'utf8')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
     it('should produce different ciphertext each time (random IV)', () => {
       const original = 'same-value';
       const enc1 = encrypt(original);
@@ -614,6 +1001,284 @@ describe('config', () => {
     });
   });
 
+  describe('OAuth1 profile encryption', () => {
+    const tbaProfile = {
+      consumerKey: 'consumer-key',
+      consumerSecret: 'consumer-secret',
+      token: 'token-id',
+      tokenSecret: 'token-secret',
+      realm: '1234567',
+      dateFormat: 'DD.MM.YYYY'
+    };
+
+    it('should recognise encrypted values', () => {
+      expect(isEncrypted(encrypt('value'))).toBe(true);
+      expect(isEncrypted('token-secret')).toBe(false);
+      expect(isEncrypted('abc:def')).toBe(false);
+      expect(isEncrypted(undefined)).toBe(false);
+    });
+
+    it('should save the secrets encrypted and leave the other fields as they are', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+
+      const raw = getProfile('tba');
+      expect(raw.consumerKey).toBe('consumer-key');
+      expect(raw.realm).toBe('1234567');
+      expect(raw.dateFormat).toBe('DD.MM.YYYY');
+      ['consumerSecret', 'token', 'tokenSecret'].forEach(field => {
+        expect(isEncrypted(raw[field])).toBe(true);
+      });
+      expect(decryptOAuth1Profile(raw)).toEqual(tbaProfile);
+    });
+
+    it('should not encrypt secrets twice', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+      const raw = getProfile('tba');
+      saveOAuth1Profile('tba', raw);
+
+      expect(getProfile('tba')).toEqual(raw);
+    });
+
+    it('should return plaintext secrets unchanged when decrypting', () => {
+      expect(decryptOAuth1Profile(tbaProfile)).toEqual(tbaProfile);
+    });
+
+    it('should resolve decrypted credentials', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+
+      const result = resolveCredentials('tba');
+      expect(result.authType).toBe('oauth1');
+      expect(result.credentials).toEqual(tbaProfile);
+    });
+
+    it('should encrypt a plaintext profile the first time it is read', () => {
+      saveProfile('legacy', tbaProfile);
+
+      const result = resolveCredentials('legacy');
+      expect(result.credentials).toEqual(tbaProfile);
+
+      const raw = getProfile('legacy');
+      expect(isEncrypted(raw.consumerSecret)).toBe(true);
+      expect(isEncrypted(raw.token)).toBe(true);
+      expect(isEncrypted(raw.tokenSecret)).toBe(true);
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).not.toContain('token-secret');
+    });
+
+    it('should still resolve a plaintext profile when the config cannot be written', () => {
+      saveProfile('legacy', tbaProfile);
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+        throw new Error('EROFS: read-only file system');
+      });
+
+      try {
+        expect(resolveCredentials('legacy').credentials).toEqual(tbaProfile);
+      } finally {
+        writeSpy.mockRestore();
+      }
+      expect(getProfile('legacy').tokenSecret).toBe('token-secret');
+    });
+  });
+
+  describe('passphrase', () => {
+    const tbaProfile = {
+      consumerKey: 'consumer-key',
+      consumerSecret: 'consumer-secret',
+      token: 'token-id',
+      tokenSecret: 'token-secret',
+      realm: '1234567'
+    };
+    const keyFile = path.join(CONFIG_DIR, '.encryption-key');
+
+    beforeEach(() => {
+      delete process.env.NSQL_PASSPHRASE;
+      saveOAuth1Profile('tba', tbaProfile);
+      saveOAuth2Profile('oauth2', { accountId: 'TSTDRV123', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth2', { accessToken: 'access', refreshToken: 'refresh', tokenExpiry: 1700000000000 });
+    });
+
+    afterEach(() => {
+      delete process.env.NSQL_PASSPHRASE;
+      lockCredentials();
+    });
+
+    it('should re-encrypt every secret and remove the key file when set', () => {
+      const before = getProfile('tba');
+      setPassphrase('correct horse');
+
+      expect(isPassphraseEnabled()).toBe(true);
+      expect(fs.existsSync(keyFile)).toBe(false);
+      const settings = readConfig()._settings.passphrase;
+      expect(settings).toMatchObject({ kdf: 'scrypt', N: 32768, r: 8, p: 1 });
+      expect(settings.salt).toMatch(/^[0-9a-f]{32}$/);
+      expect(settings.check).toMatch(/^[0-9a-f]{64}$/);
+      expect(getProfile('tba').tokenSecret).not.toBe(before.tokenSecret);
+      expect(getAllProfiles()).toEqual(['tba', 'oauth2']);
+    });
+
+    it('should refuse to decrypt while locked', () => {
+      setPassphrase('correct horse');
+
+      expect(() => resolveCredentials('tba')).toThrow("Credentials are locked. Run 'nsql-cli credentials unlock' or set NSQL_PASSPHRASE.");
+    });
+
+    it('should decrypt with NSQL_PASSPHRASE', () => {
+      setPassphrase('correct horse');
+      process.env.NSQL_PASSPHRASE = 'correct horse';
+
+      expect(resolveCredentials('tba').credentials).toEqual(tbaProfile);
+      const oauth2 = resolveCredentials('oauth2').credentials;
+      expect(oauth2.clientSecret).toBe('client-secret');
+      expect(oauth2.refreshToken).toBe('refresh');
+    });
+
+    it('should reject a wrong passphrase', () => {
+      setPassphrase('correct horse');
+      process.env.NSQL_PASSPHRASE = 'wrong horse';
+
+      expect(() => resolveCredentials('tba')).toThrow('Incorrect passphrase');
+      expect(() => unlockCredentials('wrong horse', 60000)).toThrow('Incorrect passphrase');
+    });
+
+    it('should keep the credentials unlocked until the session expires', () => {
+      setPassphrase('correct horse');
+      const expiresAt = unlockCredentials('correct horse', 60000);
+      expect(expiresAt).toBeGreaterThan(Date.now());
+
+      // A fresh process only has the session file
+      jest.isolateModules(() => {
+        const fresh = require('../lib/config');
+        expect(fresh.resolveCredentials('tba').credentials).toEqual(tbaProfile);
+      });
+
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(expiresAt + 1);
+      try {
+        jest.isolateModules(() => {
+          const fresh = require('../lib/config');
+          expect(() => fresh.resolveCredentials('tba')).toThrow('Credentials are locked');
+        });
+      } finally {
+        nowSpy.mockRestore();
+      }
+    });
+
+    it('should lock the credentials again', () => {
+      setPassphrase('correct horse');
+      unlockCredentials('correct horse', 60000);
+
+      expect(lockCredentials()).toBe(true);
+      expect(lockCredentials()).toBe(false);
+      expect(() => resolveCredentials('tba')).toThrow('Credentials are locked');
+    });
+
+    it('should change the passphrase', () => {
+      setPassphrase('correct horse');
+      unlockCredentials('correct horse');
+      setPassphrase('battery staple');
+      process.env.NSQL_PASSPHRASE = 'battery staple';
+
+      expect(resolveCredentials('tba').credentials).toEqual(tbaProfile);
+    });
+
+    it('should not set a new passphrase while locked', () => {
+      setPassphrase('correct horse');
+
+      expect(() => setPassphrase('battery staple')).toThrow('Credentials are locked');
+    });
+
+    it('should go back to the machine key when removed', () => {
+      setPassphrase('correct horse');
+      unlockCredentials('correct horse');
+      removePassphrase();
+
+      expect(isPassphraseEnabled()).toBe(false);
+      expect(fs.existsSync(keyFile)).toBe(true);
+      expect(resolveCredentials('tba').credentials).toEqual(tbaProfile);
+      expect(resolveCredentials('oauth2').credentials.refreshToken).toBe('refresh');
+    });
+
+    it('should report that no passphrase is set when unlocking', () => {
+      expect(() => unlockCredentials('correct horse', 60000)).toThrow('No passphrase is set');
+    });
+  });
+
+  describe('rotateMachineKey', () => {
+    const keyFile = path.join(CONFIG_DIR, '.encryption-key');
+    const tbaProfile = {
+      consumerKey: 'consumer-key',
+      consumerSecret: 'consumer-secret',
+      token: 'token-id',
+      tokenSecret: 'token-secret',
+      realm: '1234567'
+    };
+
+    it('should re-encrypt every secret under a new key', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+      saveOAuth2Profile('oauth2', { accountId: 'TSTDRV123', clientId: 'client-id', clientSecret: 'client-secret' });
+      setActiveProfile('tba');
+      const oldKey = fs.readFileSync(keyFile, 'utf8');
+      const oldSecret = getProfile('tba').tokenSecret;
+
+      rotateMachineKey();
+
+      expect(fs.readFileSync(keyFile, 'utf8')).not.toBe(oldKey);
+      expect(getProfile('tba').tokenSecret).not.toBe(oldSecret);
+      expect(getProfile('tba').tokenSecret).toMatch(/^v2:/);
+      expect(resolveCredentials('tba').credentials).toEqual(tbaProfile);
+      expect(resolveCredentials('oauth2').credentials.clientSecret).toBe('client-secret');
+      expect(getActiveProfile()).toBe('tba');
+      expect(fs.readdirSync(CONFIG_DIR).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should replace a legacy key and re-encrypt legacy values', () => {
+      const legacyKey = 'a'.repeat(32);
+      fs.writeFileSync(keyFile, legacyKey);
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(legacyKey, 'utf8'), iv);
+      const legacySecret = `${iv.toString('hex')}:${cipher.update('token-secret', 'utf8', 'hex')}${cipher.final('hex')}`;
+      saveProfile('tba', { ...tbaProfile, tokenSecret: legacySecret });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      try {
+        jest.isolateModules(() => {
+          require('../lib/config').rotateMachineKey();
+        });
+        expect(errorSpy).not.toHaveBeenCalled();
+      } finally {
+        errorSpy.mockRestore();
+      }
+
+
+      expect(fs.readFileSync(keyFile, 'utf8')).toMatch(/^[0-9a-f]{64}$/);
+      expect(getProfile('tba').tokenSecret).toMatch(/^v2:/);
+      expect(resolveCredentials('tba').credentials).toEqual(tbaProfile);
+    });
+
+    it('should keep the old key and config when the config cannot be written', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+      const oldKey = fs.readFileSync(keyFile, 'utf8');
+      const oldConfig = fs.readFileSync(CONFIG_FILE, 'utf8');
+      const renameSpy = jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+        throw new Error('EXDEV: cross-device link not permitted');
+      });
+
+      try {
+        expect(() => rotateMachineKey()).toThrow('Failed to write config file: EXDEV: cross-device link not permitted');
+      } finally {
+        renameSpy.mockRestore();
+      }
+      expect(fs.readFileSync(keyFile, 'utf8')).toBe(oldKey);
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).toBe(oldConfig);
+      expect(fs.readdirSync(CONFIG_DIR).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should refuse to rotate when a passphrase is set', () => {
+      saveOAuth1Profile('tba', tbaProfile);
+      setPassphrase('correct horse');
+
+      expect(() => rotateMachineKey()).toThrow('A passphrase is set, so there is no key file to rotate');
+    });
+  });
+
   describe('saveOAuth2Profile and saveOAuth2Tokens', () => {
     it('should save an OAuth2 profile with encrypted clientSecret', () => {
       saveOAuth2Profile('test-oauth2', {
@@ -662,6 +1327,54 @@ describe('config', () => {
     });
   });
 
+  describe('saveClientCredentialsProfile and saveClientCredentialsToken', () => {
+    const profileData = {
+      accountId: 'TSTDRV123',
+      clientId: 'client-id',
+      certificateId: 'cert-id',
+      privateKeyPath: 'keys/private.pem',
+    };
+
+    it('should save the profile with an absolute key path and the default algorithm', () => {
+      saveClientCredentialsProfile('m2m', profileData);
+
+      expect(getProfile('m2m')).toEqual({
+        authType: 'client_credentials',
+        accountId: 'TSTDRV123',
+        clientId: 'client-id',
+        certificateId: 'cert-id',
+        privateKeyPath: path.resolve('keys/private.pem'),
+        algorithm: 'PS256',
+        realm: 'TSTDRV123',
+      });
+    });
+
+    it('should cache an access token and drop it when the profile is saved again', () => {
+      saveClientCredentialsProfile('m2m', { ...profileData, algorithm: 'RS256', dateFormat: 'DD.MM.YYYY' });
+      saveClientCredentialsToken('m2m', { accessToken: 'access-jwt', tokenExpiry: 1700000000000 });
+
+      expect(getProfile('m2m')).toMatchObject({ algorithm: 'RS256', dateFormat: 'DD.MM.YYYY', accessToken: 'access-jwt', tokenExpiry: 1700000000000 });
+
+      saveClientCredentialsProfile('m2m', profileData);
+      expect(getProfile('m2m').accessToken).toBeUndefined();
+    });
+
+    it('should resolve the profile as client credentials', () => {
+      saveClientCredentialsProfile('m2m', profileData);
+
+      const resolved = resolveCredentials('m2m');
+
+      expect(resolved.authType).toBe('client_credentials');
+      expect(resolved.source).toBe('profile');
+      expect(resolved.credentials).toMatchObject({ clientId: 'client-id', certificateId: 'cert-id' });
+    });
+
+    it('should throw when caching a token for a non-existent profile', () => {
+      expect(() => saveClientCredentialsToken('nonexistent', { accessToken: 'token', tokenExpiry: 1 }))
+        .toThrow("Profile 'nonexistent' not found");
+    });
+  });
+
   describe('isTokenExpired', () => {
     it('should return true when no accessToken', () => {
       expect(isTokenExpired({ tokenExpiry: Date.now() + 60000 })).toBe(true);
@@ -14,7 +14,7 @@ delete require.cache[require.resolve('../lib/configure')];
 
 const { configure } = require('../lib/configure');
 const inquirer = require('inquirer');
-const { getProfile, saveProfile, profileExists, CONFIG_FILE } = require('../lib/config');
+const { getProfile, saveProfile, profileExists, decryptOAuth1Profile, isEncrypted, saveClientCredentialsProfile, CONFIG_FILE } = require('../lib/config');
 
 // Mock inquirer
 jest.mock('inquirer');
@@ -80,7 +80,7 @@ describe('configure', () => {
       expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('Creating new profile: new-profile'));
       expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining("Profile 'new-profile' saved successfully!"));
 
-      const profile = getProfile('new-profile');
+      const profile = decryptOAuth1Profile(getProfile('new-profile'));
       expect(profile).toEqual({
         consumerKey: 'test-key',
         consumerSecret: 'test-secret',
@@ -90,6 +90,28 @@ describe('configure', () => {
       });
     });
 
+    it('should store the secrets encrypted', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: 'test-key',
+          consumerSecret: 'test-secret',
+          token: 'test-token',
+          tokenSecret: 'test-token-secret',
+          realm: 'test-realm'
+        });
+
+      await configure('encrypted-profile');
+
+      const profile = getProfile('encrypted-profile');
+      expect(profile.consumerKey).toBe('test-key');
+      expect(profile.realm).toBe('test-realm');
+      expect(isEncrypted(profile.consumerSecret)).toBe(true);
+      expect(isEncrypted(profile.token)).toBe(true);
+      expect(isEncrypted(profile.tokenSecret)).toBe(true);
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).not.toContain('test-token-secret');
+    });
+
     it('should create default profile when no name provided', async () => {
       inquirer.prompt
         .mockResolvedValueOnce({ authType: 'oauth1' })
@@ -103,7 +125,7 @@ describe('configure', () => {
 
       await configure();
 
-      const profile = getProfile('default');
+      const profile = decryptOAuth1Profile(getProfile('default'));
       expect(profile).toEqual({
         consumerKey: 'default-key',
         consumerSecret: 'default-secret',
@@ -141,7 +163,7 @@ describe('configure', () => {
       expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('Editing existing profile: existing-profile'));
       expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('Current configuration:'));
 
-      const profile = getProfile('existing-profile');
+      const profile = decryptOAuth1Profile(getProfile('existing-profile'));
       expect(profile).toEqual({
         consumerKey: 'updated-key',
         consumerSecret: 'updated-secret',
@@ -178,6 +200,33 @@ describe('configure', () => {
       expect(logCalls).toContain('****');
     });
 
+    it('should mask the decrypted values of an encrypted profile', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: 'key',
+          consumerSecret: 'verylongsecret12345',
+          token: 'token',
+          tokenSecret: 'secret',
+          realm: 'realm'
+        });
+      await configure('test-profile');
+      consoleSpy.log.mockClear();
+
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: 'key',
+          consumerSecret: 'verylongsecret12345',
+          token: 'token',
+          tokenSecret: 'secret',
+          realm: 'realm'
+        });
+      await configure('test-profile');
+
+      expect(consoleSpy.log).toHaveBeenCalledWith(`  Consumer Secret: ${'*'.repeat(15)}2345`);
+    });
+
     it('should show masked values in prompt messages when editing', async () => {
       const existingProfile = {
         consumerKey: 'test-consumer-key-12345',
@@ -252,7 +301,7 @@ describe('configure', () => {
 
       await configure('test-profile');
 
-      const profile = getProfile('test-profile');
+      const profile = decryptOAuth1Profile(getProfile('test-profile'));
       expect(profile).toEqual({
         consumerKey: 'existing-key',
         consumerSecret: 'existing-secret',
@@ -263,6 +312,146 @@ describe('configure', () => {
     });
   });
 
+  describe('date format', () => {
+    it('should save the date format used by typed queries', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: 'test-key',
+          consumerSecret: 'test-secret',
+          token: 'test-token',
+          tokenSecret: 'test-token-secret',
+          realm: 'test-realm',
+          dateFormat: 'DD.MM.YYYY'
+        });
+
+      await configure('dated-profile');
+
+      expect(getProfile('dated-profile').dateFormat).toBe('DD.MM.YYYY');
+    });
+
+    it('should default to the existing date format and validate input', async () => {
+      saveProfile('dated-profile', {
+        consumerKey: 'existing-key',
+        consumerSecret: 'existing-secret',
+        token: 'existing-token',
+        tokenSecret: 'existing-token-secret',
+        realm: 'existing-realm',
+        dateFormat: 'D/M/YYYY'
+      });
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: '',
+          consumerSecret: '',
+          token: '',
+          tokenSecret: '',
+          realm: ''
+        });
+
+      await configure('dated-profile');
+
+      const question = inquirer.prompt.mock.calls[1][0].find(q => q.name === 'dateFormat');
+      expect(question.message).toContain('[D/M/YYYY]');
+      expect(question.filter('  ')).toBe('D/M/YYYY');
+      expect(question.validate('YYYY-MM-DD')).toBe(true);
+      expect(question.validate('MM/YYYY')).toContain("Invalid date format 'MM/YYYY'");
+    });
+  });
+
+  describe('client credentials', () => {
+    const keyPath = path.join(testHomeDir, `nsql-cli-test-key-${process.pid}.pem`);
+    const answers = {
+      accountId: 'TSTDRV1234567',
+      clientId: 'client-id-abcd',
+      certificateId: 'cert-id',
+      privateKeyPath: keyPath,
+      algorithm: 'PS256',
+      dateFormat: 'M/D/YYYY'
+    };
+
+    beforeAll(() => {
+      const { privateKey } = require('crypto').generateKeyPairSync('rsa', { modulusLength: 2048 });
+      fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(keyPath);
+    });
+
+    it('should save a client credentials profile', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'client_credentials' })
+        .mockResolvedValueOnce(answers);
+
+      await configure('m2m');
+
+      expect(getProfile('m2m')).toEqual({
+        authType: 'client_credentials',
+        accountId: 'TSTDRV1234567',
+        clientId: 'client-id-abcd',
+        certificateId: 'cert-id',
+        privateKeyPath: keyPath,
+        algorithm: 'PS256',
+        realm: 'TSTDRV1234567',
+        dateFormat: 'M/D/YYYY'
+      });
+      expect(consoleSpy.log).toHaveBeenCalledWith("\nProfile 'm2m' saved (OAuth 2.0 client credentials).");
+    });
+
+    it('should validate the private key path', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'client_credentials' })
+        .mockResolvedValueOnce(answers);
+
+      await configure('m2m');
+
+      const question = inquirer.prompt.mock.calls[1][0].find(q => q.name === 'privateKeyPath');
+      expect(question.validate(keyPath)).toBe(true);
+      expect(question.validate('')).toBe('Private key path is required');
+      expect(question.validate('/nonexistent/key.pem')).toContain('Could not load the private key /nonexistent/key.pem');
+      expect(question.filter('~/key.pem')).toBe(path.join(testHomeDir, 'key.pem'));
+      const algorithm = inquirer.prompt.mock.calls[1][0].find(q => q.name === 'algorithm');
+      expect(algorithm.choices).toEqual(['PS256', 'RS256']);
+    });
+
+    it('should keep the current values of an existing profile', async () => {
+      saveClientCredentialsProfile('m2m', { ...answers, algorithm: 'RS256' });
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'client_credentials' })
+        .mockResolvedValueOnce({ ...answers, algorithm: 'RS256' });
+
+      await configure('m2m');
+
+      expect(inquirer.prompt.mock.calls[0][0][0].default).toBe('client_credentials');
+      const questions = inquirer.prompt.mock.calls[1][0];
+      const clientId = questions.find(q => q.name === 'clientId');
+      expect(clientId.message).toBe('Client ID [************abcd]:');
+      expect(clientId.filter('  ')).toBe('client-id-abcd');
+      expect(questions.find(q => q.name === 'privateKeyPath').filter('')).toBe(keyPath);
+      expect(questions.find(q => q.name === 'algorithm').default).toBe('RS256');
+      expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('Editing OAuth 2.0 client credentials profile: m2m'));
+    });
+
+    it('should not treat a client credentials profile as OAuth 1.0', async () => {
+      saveClientCredentialsProfile('m2m', answers);
+      inquirer.prompt
+        .mockResolvedValueOnce({ authType: 'oauth1' })
+        .mockResolvedValueOnce({
+          consumerKey: 'test-key',
+          consumerSecret: 'test-secret',
+          token: 'test-token',
+          tokenSecret: 'test-token-secret',
+          realm: 'test-realm'
+        });
+
+      await configure('m2m');
+
+      expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('Creating new profile: m2m'));
+      expect(getProfile('m2m').authType).toBeUndefined();
+    });
+  });
+
   describe('error handling', () => {
     it('should handle TTY errors', async () => {
       const ttyError = new Error('TTY error');
@@ -317,7 +506,7 @@ describe('configure', () => {
 
       await configure('trimmed-profile');
 
-      const profile = getProfile('trimmed-profile');
+      const profile = decryptOAuth1Profile(getProfile('trimmed-profile'));
       expect(profile.consumerKey).toBe('test-key');
       expect(profile.consumerSecret).toBe('test-secret');
       expect(profile.token).toBe('test-token');
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('inquirer');
+
+const inquirer = require('inquirer');
+const { changePassphrase, rotateKey, unlock, lock } = require('../lib/credentials');
+const {
+  saveOAuth1Profile,
+  resolveCredentials,
+  isPassphraseEnabled,
+  setPassphrase,
+  lockCredentials,
+  getProfile,
+  CONFIG_FILE
+} = require('../lib/config');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+  error: jest.spyOn(console, 'error').mockImplementation()
+};
+const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+const logged = () => consoleSpy.log.mock.calls.map(call => call.join(' ')).join('\n');
+
+describe('credentials', () => {
+  const tbaProfile = {
+    consumerKey: 'consumer-key',
+    consumerSecret: 'consumer-secret',
+    token: 'token-id',
+    tokenSecret: 'token-secret',
+    realm: '1234567'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inquirer.prompt.mockReset();
+    delete process.env.NSQL_PASSPHRASE;
+    lockCredentials();
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    saveOAuth1Profile('default', tbaProfile);
+  });
+
+  afterAll(() => {
+    lockCredentials();
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+  });
+
+  describe('changePassphrase', () => {
+    it('should set a passphrase entered twice', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ passphrase: 'correct horse' })
+        .mockResolvedValueOnce({ passphrase: 'correct horse' });
+
+      await changePassphrase();
+
+      expect(isPassphraseEnabled()).toBe(true);
+      expect(logged()).toBe("Passphrase set. Run 'nsql-cli credentials unlock' or set NSQL_PASSPHRASE to use your profiles.");
+      const question = inquirer.prompt.mock.calls[0][0][0];
+      expect(question.type).toBe('password');
+      expect(question.validate('short')).toBe('Passphrase must be at least 8 characters');
+    });
+
+    it('should not set a passphrase when the two entries differ', async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ passphrase: 'correct horse' })
+        .mockResolvedValueOnce({ passphrase: 'correct horsf' });
+
+      await changePassphrase();
+
+      expect(isPassphraseEnabled()).toBe(false);
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: The passphrases do not match');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should ask for the current passphrase before changing it', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt
+        .mockResolvedValueOnce({ passphrase: 'correct horse' })
+        .mockResolvedValueOnce({ passphrase: 'battery staple' })
+        .mockResolvedValueOnce({ passphrase: 'battery staple' });
+
+      await changePassphrase();
+
+      expect(inquirer.prompt).toHaveBeenCalledTimes(3);
+      expect(logged()).toContain('Passphrase changed.');
+      process.env.NSQL_PASSPHRASE = 'battery staple';
+      expect(resolveCredentials('default').credentials).toEqual(tbaProfile);
+    });
+
+    it('should report a wrong current passphrase', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'wrong horse' });
+
+      await changePassphrase();
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: Incorrect passphrase');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should remove the passphrase using NSQL_PASSPHRASE', async () => {
+      setPassphrase('correct horse');
+      process.env.NSQL_PASSPHRASE = 'correct horse';
+
+      await changePassphrase({ remove: true });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(isPassphraseEnabled()).toBe(false);
+      delete process.env.NSQL_PASSPHRASE;
+      expect(resolveCredentials('default').credentials).toEqual(tbaProfile);
+    });
+
+    it('should say when there is no passphrase to remove', async () => {
+      await changePassphrase({ remove: true });
+
+      expect(logged()).toBe('No passphrase is set.');
+    });
+  });
+
+  describe('rotateKey', () => {
+    it('should re-encrypt the secrets under a new key file', async () => {
+      const before = getProfile('default').tokenSecret;
+
+      await rotateKey();
+
+      expect(logged()).toBe('Encryption key rotated. Every stored secret was re-encrypted with a new key in ~/.nsql-cli/.encryption-key.');
+      expect(getProfile('default').tokenSecret).not.toBe(before);
+      expect(resolveCredentials('default').credentials).toEqual(tbaProfile);
+    });
+
+    it('should rotate the salt of a passphrase and lock the secrets', async () => {
+      setPassphrase('correct horse');
+      const before = getProfile('default').tokenSecret;
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'correct horse' });
+
+      await rotateKey();
+
+      expect(logged()).toBe("Encryption key rotated with a new salt for your passphrase. Run 'nsql-cli credentials unlock' to unlock your profiles again.");
+      expect(getProfile('default').tokenSecret).not.toBe(before);
+      expect(() => resolveCredentials('default')).toThrow('Credentials are locked');
+      process.env.NSQL_PASSPHRASE = 'correct horse';
+      expect(resolveCredentials('default').credentials).toEqual(tbaProfile);
+    });
+
+    it('should report a wrong passphrase', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'wrong horse' });
+
+      await rotateKey();
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: Incorrect passphrase');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('unlock and lock', () => {
+    it('should unlock for the default duration', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'correct horse' });
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      try {
+        await unlock();
+      } finally {
+        nowSpy.mockRestore();
+      }
+
+      expect(logged()).toBe(`Credentials unlocked until ${new Date(1700000000000 + 15 * 60 * 1000).toLocaleString()}.`);
+    });
+
+    it('should unlock with NSQL_PASSPHRASE without asking', async () => {
+      setPassphrase('correct horse');
+      process.env.NSQL_PASSPHRASE = 'correct horse';
+
+      await unlock({ duration: '30' });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(logged()).toMatch(/^Credentials unlocked until /);
+    });
+
+    it('should reject an invalid duration', async () => {
+      await unlock({ duration: 'soon' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid duration 'soon'. Use a whole number of minutes, e.g. --duration 30");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should report that no passphrase is set', async () => {
+      await unlock();
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: No passphrase is set. Run 'nsql-cli credentials passphrase' to set one.");
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should report a wrong passphrase', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'wrong horse' });
+
+      await unlock();
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: Incorrect passphrase');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should lock an unlocked session', async () => {
+      setPassphrase('correct horse');
+      inquirer.prompt.mockResolvedValueOnce({ passphrase: 'correct horse' });
+      await unlock();
+      consoleSpy.log.mockClear();
+
+      lock();
+
+      expect(logged()).toBe('Credentials locked.');
+      expect(() => resolveCredentials('default')).toThrow('Credentials are locked');
+    });
+
+    it('should say when nothing was unlocked', () => {
+      lock();
+
+      expect(logged()).toBe('Credentials were not unlocked.');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { resolveCsvDialect, escapeCsvValue, createCsvWriter, formatAsCsv } = require('../lib/csv');
+
+describe('csv', () => {
+  describe('escapeCsvValue', () => {
+    it('should quote values with commas, quotes or newlines', () => {
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('a\nb')).toBe('"a\nb"');
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue('a\rb')).toBe('"a\rb"');
+    });
+  });
+
+  describe('createCsvWriter', () => {
+    it('should take the header from the first page and keep it for later pages', () => {
+      const onDroppedColumn = jest.fn();
+      const writer = createCsvWriter({ onDroppedColumn });
+
+      expect(writer.writeRows([{ id: '1', name: 'A' }, { id: '2', memo: 'x' }])).toBe('id,name,memo\n1,A,\n2,,x');
+      expect(writer.writeRows([{ memo: 'y', id: '3', extra: 'z' }, { id: '4', extra: 'w' }])).toBe('3,,y\n4,,');
+      expect(writer.end()).toBeNull();
+      expect(onDroppedColumn).toHaveBeenCalledTimes(1);
+      expect(onDroppedColumn).toHaveBeenCalledWith('extra');
+    });
+
+    it('should use the given columns even when the first page leaves some out', () => {
+      const writer = createCsvWriter({ columns: ['id', 'name', 'memo'] });
+
+      expect(writer.writeRows([{ id: '1', links: [] }])).toBe('id,name,memo\n1,,');
+      expect(writer.writeRows([{ memo: 'x', name: 'B', id: '2' }])).toBe('2,B,x');
+    });
+
+    it('should append first-page keys missing from the given columns', () => {
+      const writer = createCsvWriter({ columns: ['id'] });
+
+      expect(writer.writeRows([{ id: '1', expr1: '5' }])).toBe('id,expr1\n1,5');
+      expect(writer.getHeaders()).toEqual(['id', 'expr1']);
+    });
+
+    it('should wait for a non-empty page when no columns are given', () => {
+      const writer = createCsvWriter();
+
+      expect(writer.writeRows([])).toBeNull();
+      expect(writer.writeRows([{ id: '1' }])).toBe('id\n1');
+    });
+
+    it('should write the header for empty results when columns are known', () => {
+      const writer = createCsvWriter({ columns: ['id', 'name'] });
+
+      expect(writer.writeRows([])).toBe('id,name');
+      expect(writer.end()).toBeNull();
+    });
+
+    it('should return an empty string at the end when nothing could be written', () => {
+      const writer = createCsvWriter();
+
+      expect(writer.writeRows([])).toBeNull();
+      expect(writer.end()).toBe('');
+    });
+  });
+
+  describe('formatAsCsv', () => {
+    it('should format buffered results', () => {
+      expect(formatAsCsv({ items: [{ id: '1', tags: ['a', 'b'] }] })).toBe('id,tags\n1,"[""a"",""b""]"');
+    });
+
+    it('should return an empty string for empty results', () => {
+      expect(formatAsCsv({ items: [] })).toBe('');
+    });
+
+    it('should honor dialect options', () => {
+      const results = { items: [{ id: '1', memo: 'x' }, { id: '2' }] };
+
+      expect(formatAsCsv(results, resolveCsvDialect('csv', { delimiter: ';', quoteAll: true, crlf: true }))).toBe(
+        '"id";"memo"\r\n"1";"x"\r\n"2";""'
+      );
+      expect(formatAsCsv(results, resolveCsvDialect('tsv', { header: false, bom: true }))).toBe('\uFEFF1\tx\n2\t');
+    });
+  });
+
+  describe('resolveCsvDialect', () => {
+    it('should default to comma-separated CSV with a header', () => {
+      expect(resolveCsvDialect('csv')).toEqual({ delimiter: ',', quoteAll: false, bom: false, header: true, eol: '\n' });
+    });
+
+    it('should use tabs for tsv', () => {
+      expect(resolveCsvDialect('tsv').delimiter).toBe('\t');
+    });
+
+    it('should accept \\t and tab as a tab delimiter', () => {
+      expect(resolveCsvDialect('csv', { delimiter: '\\t' }).delimiter).toBe('\t');
+      expect(resolveCsvDialect('csv', { delimiter: 'tab' }).delimiter).toBe('\t');
+    });
+
+    it('should reject invalid delimiters', () => {
+      expect(() => resolveCsvDialect('csv', { delimiter: '' })).toThrow("Invalid delimiter ''");
+      expect(() => resolveCsvDialect('csv', { delimiter: '"' })).toThrow('Invalid delimiter');
+      expect(() => resolveCsvDialect('csv', { delimiter: ';;' })).toThrow('Invalid delimiter');
+      expect(() => resolveCsvDialect('tsv', { delimiter: ';' })).toThrow('--delimiter cannot be used with the tsv format');
+    });
+  });
+
+  describe('createCsvWriter dialect', () => {
+    it('should write the byte order mark only once', () => {
+      const writer = createCsvWriter({ columns: ['id'], bom: true });
+
+      expect(writer.writeRows([{ id: '1' }])).toBe('\uFEFFid\n1');
+      expect(writer.writeRows([{ id: '2' }])).toBe('2');
+      expect(writer.end()).toBeNull();
+    });
+
+    it('should write only the byte order mark when nothing else is written', () => {
+      const writer = createCsvWriter({ bom: true });
+
+      expect(writer.writeRows([])).toBeNull();
+      expect(writer.end()).toBe('\uFEFF');
+    });
+
+    it('should quote values containing the delimiter', () => {
+      const writer = createCsvWriter({ columns: ['memo'], delimiter: ';', header: false });
+
+      expect(writer.writeRows([{ memo: 'a;b' }, { memo: 'a,b' }])).toBe('"a;b"\na,b');
+    });
+  });
+});
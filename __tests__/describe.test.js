@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('netsuite-api-client');
+jest.mock('../lib/oauth2');
+
+const { NetsuiteApiClient } = require('netsuite-api-client');
+const { formatRecord, describeRecord } = require('../lib/describe');
+const { parseRecordMetadata, getSchemaCachePath } = require('../lib/schema');
+const { saveProfile, saveOAuth2Profile, saveOAuth2Tokens, CONFIG_FILE } = require('../lib/config');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+  error: jest.spyOn(console, 'error').mockImplementation()
+};
+const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+const customerSchema = {
+  type: 'object',
+  title: 'Customer',
+  properties: {
+    links: { type: 'array', title: 'Links' },
+    companyName: { type: 'string', title: 'Company Name' },
+    balance: { type: 'number', format: 'double', title: 'Balance' },
+    dateCreated: { type: 'string', format: 'date-time', title: 'Date Created' },
+    currency: { type: 'object', title: 'Currency', $ref: '/services/rest/record/v1/metadata-catalog/currency' },
+    subsidiary: { $ref: '#/components/schemas/subsidiary', title: 'Primary Subsidiary' },
+    contactRoles: { type: 'array', title: 'Contacts', items: { $ref: '/services/rest/record/v1/metadata-catalog/contact' } }
+  }
+};
+
+describe('describe', () => {
+  describe('formatRecord', () => {
+    it('should format the fields as a table', () => {
+      const text = formatRecord(parseRecordMetadata('customer', customerSchema), 'table');
+      const lines = text.split('\n');
+
+      expect(lines[0]).toMatch(/^field\s+\| type\s+\| label\s+\| join$/);
+      expect(lines.find(line => line.startsWith('currency'))).toMatch(/\| object\s+\| Currency\s+\| currency$/);
+      expect(text).not.toContain('Links');
+    });
+
+    it('should format the record type as JSON', () => {
+      const json = JSON.parse(formatRecord(parseRecordMetadata('customer', customerSchema), 'json'));
+
+      expect(json.id).toBe('customer');
+      expect(json.fields[3]).toEqual({ id: 'currency', label: 'Currency', type: 'object', join: 'currency' });
+    });
+  });
+
+  describe('describeRecord', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      if (fs.existsSync(CONFIG_FILE)) {
+        fs.unlinkSync(CONFIG_FILE);
+      }
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient = { request: jest.fn().mockResolvedValue({ statusCode: 200, data: customerSchema }) };
+      NetsuiteApiClient.mockImplementation(() => mockClient);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(CONFIG_FILE)) {
+        fs.unlinkSync(CONFIG_FILE);
+      }
+      fs.rmSync(getSchemaCachePath('test-realm'), { force: true });
+    });
+
+    it('should request the metadata catalog with an OAuth 1.0 profile', async () => {
+      await describeRecord('Customer', 'default', { format: 'json' });
+
+      expect(mockClient.request).toHaveBeenCalledWith({
+        path: 'record/v1/metadata-catalog/customer',
+        heads: { Accept: 'application/schema+json' }
+      });
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).label).toBe('Customer');
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should read a cached record type without calling NetSuite', async () => {
+      const cachePath = getSchemaCachePath('test-realm');
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({
+        account: 'test_realm',
+        records: [{ id: 'customer', label: 'Cached Customer', fields: [{ id: 'email', label: 'Email', type: 'string', join: null }] }]
+      }));
+
+      await describeRecord('customer', 'default', { format: 'json' });
+
+      expect(mockClient.request).not.toHaveBeenCalled();
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).label).toBe('Cached Customer');
+
+      await describeRecord('customer', 'default', { format: 'json', live: true });
+
+      expect(mockClient.request).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(consoleSpy.log.mock.calls[1][0]).label).toBe('Customer');
+    });
+
+    it('should request the metadata catalog with an OAuth 2.0 profile', async () => {
+      saveOAuth2Profile('oauth', { accountId: '1234567_SB1', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', { accessToken: 'access-token', refreshToken: 'refresh-token', tokenExpiry: Date.now() + 3600000 });
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => customerSchema });
+
+      await describeRecord('customer', 'oauth');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://1234567-sb1.suitetalk.api.netsuite.com/services/rest/record/v1/metadata-catalog/customer',
+        expect.objectContaining({
+          method: 'GET',
+          headers: { Authorization: 'Bearer access-token', Accept: 'application/schema+json' }
+        })
+      );
+      expect(consoleSpy.log.mock.calls[0][0]).toMatch(/^field/);
+    });
+
+    it('should report an unknown record type', async () => {
+      saveOAuth2Profile('oauth', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', { accessToken: 'access-token', refreshToken: 'refresh-token', tokenExpiry: Date.now() + 3600000 });
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404, text: async () => '{"title":"Not Found"}' });
+
+      await describeRecord('nosuchrecord', 'oauth');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Record type 'nosuchrecord' was not found in the metadata catalog.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject an unsupported format', async () => {
+      await describeRecord('customer', 'default', { format: 'csv' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid format 'csv'. Supported formats: table, json");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.request).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing profile', async () => {
+      await describeRecord('customer', 'missing');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: No credentials found for profile 'missing'. Run 'nsql-cli configure --profile missing' to set it up.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { formatAsHtml, escapeHtml } = require('../lib/html');
+
+describe('html', () => {
+  describe('escapeHtml', () => {
+    it('should escape special characters', () => {
+      expect(escapeHtml('<script>alert("x & \'y\'")</script>')).toBe(
+        '&lt;script&gt;alert(&quot;x &amp; &#39;y&#39;&quot;)&lt;/script&gt;'
+      );
+    });
+
+    it('should handle empty values and objects', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml({ a: '<b>' })).toBe('{&quot;a&quot;:&quot;&lt;b&gt;&quot;}');
+    });
+  });
+
+  describe('formatAsHtml', () => {
+    const results = {
+      items: [
+        { id: '1', name: 'A & B' },
+        { id: '22', name: '<i>C</i>' }
+      ],
+      hasMore: false,
+      totalResults: 2
+    };
+
+    it('should produce a standalone document with a title and the query', () => {
+      const html = formatAsHtml(results, { title: 'Open <orders>', query: "SELECT id, name FROM item WHERE name <> 'x'" });
+
+      expect(html.startsWith('<!DOCTYPE html>\n<html lang="en">')).toBe(true);
+      expect(html).toContain('<meta charset="utf-8">');
+      expect(html).toContain('<title>Open &lt;orders&gt;</title>');
+      expect(html).toContain('<h1>Open &lt;orders&gt;</h1>');
+      expect(html).toContain('<pre><code>SELECT id, name FROM item WHERE name &lt;&gt; &#39;x&#39;</code></pre>');
+      expect(html.endsWith('</body>\n</html>')).toBe(true);
+    });
+
+    it('should write an escaped table', () => {
+      const html = formatAsHtml(results);
+
+      expect(html).toContain('<title>SuiteQL query results</title>');
+      expect(html).toContain('<tr><th>id</th><th>name</th></tr>');
+      expect(html).toContain('<tr><td class="number">1</td><td>A &amp; B</td></tr>');
+      expect(html).toContain('<tr><td class="number">22</td><td>&lt;i&gt;C&lt;/i&gt;</td></tr>');
+      expect(html).toContain('<p>2 rows (totalResults: 2, hasMore: false)</p>');
+    });
+
+    it('should leave the table out when no columns are known', () => {
+      const html = formatAsHtml({ items: [] });
+
+      expect(html).not.toContain('<table>');
+      expect(html).toContain('<p>0 rows</p>');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { formatAsMarkdown, escapeMarkdownCell } = require('../lib/markdown');
+
+describe('markdown', () => {
+  describe('escapeMarkdownCell', () => {
+    it('should escape pipes and Markdown syntax', () => {
+      expect(escapeMarkdownCell('a|b')).toBe('a\\|b');
+      expect(escapeMarkdownCell('*bold* _x_ `code` [link] <b>')).toBe('\\*bold\\* \\_x\\_ \\`code\\` \\[link\\] \\<b\\>');
+      expect(escapeMarkdownCell('C:\\temp')).toBe('C:\\\\temp');
+    });
+
+    it('should turn newlines into <br>', () => {
+      expect(escapeMarkdownCell('line 1\r\nline 2\nline 3')).toBe('line 1<br>line 2<br>line 3');
+    });
+
+    it('should handle empty values and objects', () => {
+      expect(escapeMarkdownCell(null)).toBe('');
+      expect(escapeMarkdownCell(undefined)).toBe('');
+      expect(escapeMarkdownCell({ a: 1 })).toBe('{"a":1}');
+    });
+  });
+
+  describe('formatAsMarkdown', () => {
+    it('should format a GitHub-flavored table with numeric columns right-aligned', () => {
+      const results = {
+        items: [
+          { id: '1', name: 'Widget' },
+          { id: '22', name: 'Gadget | Pro' }
+        ]
+      };
+
+      expect(formatAsMarkdown(results)).toBe([
+        '| id | name |',
+        '| ---: | --- |',
+        '| 1 | Widget |',
+        '| 22 | Gadget \\| Pro |'
+      ].join('\n'));
+    });
+
+    it('should keep zero-padded codes left-aligned', () => {
+      const results = { items: [{ code: '000123', amount: '.5' }, { code: '42', amount: '12.25' }] };
+
+      expect(formatAsMarkdown(results).split('\n')[1]).toBe('| --- | ---: |');
+    });
+
+    it('should follow the SELECT list and leave missing values empty', () => {
+      const results = { items: [{ name: 'A' }] };
+
+      expect(formatAsMarkdown(results, { columns: ['id', 'name'] })).toBe('| id | name |\n| --- | --- |\n|  | A |');
+    });
+
+    it('should print only the header for empty results with known columns', () => {
+      expect(formatAsMarkdown({ items: [] }, { columns: ['id'] })).toBe('| id |\n| --- |');
+    });
+
+    it('should report empty results without known columns', () => {
+      expect(formatAsMarkdown({ items: [] })).toBe('_No rows_');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { getSuiteQLEndpoint } = require('../lib/netsuite-client');
+const { getSuiteQLEndpoint, getMetadataCatalogEndpoint, fetchRecordMetadata, fetchRecordTypes } = require('../lib/netsuite-client');
 
 describe('netsuite-client', () => {
   describe('getSuiteQLEndpoint', () => {
@@ -19,4 +19,53 @@ describe('netsuite-client', () => {
       expect(endpoint).toContain('tstdrv1234567');
     });
   });
+
+  describe('getMetadataCatalogEndpoint', () => {
+    it('should build the URL from the same account host as SuiteQL', () => {
+      const endpoint = getMetadataCatalogEndpoint('1234567_SB1', 'customer');
+      expect(endpoint).toBe(
+        'https://1234567-sb1.suitetalk.api.netsuite.com/services/rest/record/v1/metadata-catalog/customer'
+      );
+    });
+
+    it('should build the URL of the record type list without a record type', () => {
+      expect(getMetadataCatalogEndpoint('TSTDRV1234567')).toBe(
+        'https://tstdrv1234567.suitetalk.api.netsuite.com/services/rest/record/v1/metadata-catalog'
+      );
+    });
+  });
+
+  describe('fetchRecordTypes', () => {
+    it('should return the names of the record types in the catalog', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ items: [{ name: 'account', links: [] }, { name: 'customer', links: [] }] })
+      });
+
+      await expect(fetchRecordTypes('TSTDRV1234567', 'token')).resolves.toEqual(['account', 'customer']);
+      expect(global.fetch.mock.calls[0][0]).toMatch(/\/metadata-catalog$/);
+      expect(global.fetch.mock.calls[0][1].headers.Accept).toBe('application/json');
+    });
+  });
+
+  describe('fetchRecordMetadata', () => {
+    it('should return the JSON schema of the record type', async () => {
+      const schema = { title: 'Customer', properties: {} };
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => schema });
+
+      await expect(fetchRecordMetadata('TSTDRV1234567', 'token', 'customer')).resolves.toEqual(schema);
+      expect(global.fetch.mock.calls[0][1].headers.Accept).toBe('application/schema+json');
+    });
+
+    it('should throw the NetSuite error detail', async () => {
+      const body = JSON.stringify({ 'o:errorDetails': [{ detail: 'Record type is invalid.' }] });
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400, text: async () => body });
+
+      await expect(fetchRecordMetadata('TSTDRV1234567', 'token', 'bogus')).rejects.toMatchObject({
+        message: 'Record type is invalid.',
+        response: { status: 400, data: body }
+      });
+    });
+  });
 });
@@ -1,11 +1,17 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
 
 const {
   generatePKCE,
   buildAuthorizationUrl,
   getTokenEndpoint,
   startCallbackServer,
+  loadPrivateKey,
+  buildClientAssertion,
+  requestClientCredentialsToken,
   DEFAULT_CALLBACK_PORT,
 } = require('../lib/oauth2');
 
@@ -167,6 +173,100 @@ describe('oauth2', () => {
     });
   });
 
+  describe('client credentials', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const keyPath = path.join(os.tmpdir(), `nsql-cli-test-key-${process.pid}.pem`);
+    const profile = {
+      accountId: '1234567_SB1',
+      clientId: 'client-id',
+      certificateId: 'cert-id',
+      privateKeyPath: keyPath,
+      algorithm: 'PS256',
+    };
+    const originalFetch = global.fetch;
+
+    const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+    beforeAll(() => {
+      fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(keyPath);
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should build a PS256 assertion signed with the private key', () => {
+      const assertion = buildClientAssertion({ ...profile, privateKey }, 1700000000000);
+      const [header, claims, signature] = assertion.split('.');
+
+      expect(decodePart(header)).toEqual({ alg: 'PS256', typ: 'JWT', kid: 'cert-id' });
+      expect(decodePart(claims)).toEqual({
+        iss: 'client-id',
+        scope: ['rest_webservices'],
+        aud: 'https://1234567-sb1.suitetalk.api.netsuite.com/services/rest/auth/oauth2/v1/token',
+        iat: 1700000000,
+        exp: 1700000300,
+      });
+      expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+        key: publicKey,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+      }, Buffer.from(signature, 'base64url'))).toBe(true);
+    });
+
+    it('should build an RS256 assertion', () => {
+      const assertion = buildClientAssertion({ ...profile, privateKey, algorithm: 'RS256' });
+      const [header, claims, signature] = assertion.split('.');
+
+      expect(decodePart(header).alg).toBe('RS256');
+      expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+    });
+
+    it('should reject an unsupported algorithm', () => {
+      expect(() => buildClientAssertion({ ...profile, privateKey, algorithm: 'HS256' }))
+        .toThrow("Unsupported signing algorithm 'HS256'. Supported algorithms: PS256, RS256");
+    });
+
+    it('should report a private key that cannot be loaded', () => {
+      expect(() => loadPrivateKey('/nonexistent/key.pem')).toThrow('Could not load the private key /nonexistent/key.pem');
+    });
+
+    it('should exchange the assertion for an access token', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ access_token: 'access-token', expires_in: 3600, token_type: 'bearer' }),
+      });
+
+      const before = Date.now();
+      const tokens = await requestClientCredentialsToken(profile);
+
+      expect(tokens).toMatchObject({ accessToken: 'access-token', expiresIn: 3600, tokenType: 'bearer' });
+      expect(tokens.tokenExpiry).toBeGreaterThanOrEqual(before + 3600 * 1000);
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe(getTokenEndpoint('1234567_SB1'));
+      const body = new URLSearchParams(request.body);
+      expect(body.get('grant_type')).toBe('client_credentials');
+      expect(body.get('client_assertion_type')).toBe('urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+      expect(decodePart(body.get('client_assertion').split('.')[0]).kid).toBe('cert-id');
+      expect(request.headers.Authorization).toBeUndefined();
+    });
+
+    it('should report a rejected assertion', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        text: async () => JSON.stringify({ error: 'invalid_request', error_description: 'Invalid certificate' }),
+      });
+
+      await expect(requestClientCredentialsToken(profile)).rejects.toThrow('Token request failed (400): Invalid certificate');
+    });
+  });
+
   describe('DEFAULT_CALLBACK_PORT', () => {
     it('should be 9749', () => {
       expect(DEFAULT_CALLBACK_PORT).toBe(9749);
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { inferFormatFromPath, createFileSink, writeNdjson, writeCsv, writeSql } = require('../lib/output');
+
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    yield page;
+  }
+}
+
+describe('output', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-output-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('inferFormatFromPath', () => {
+    it('should map known extensions to formats', () => {
+      expect(inferFormatFromPath('out.json')).toBe('json');
+      expect(inferFormatFromPath('out.CSV')).toBe('csv');
+      expect(inferFormatFromPath('/tmp/rows.ndjson')).toBe('ndjson');
+      expect(inferFormatFromPath('report.xlsx')).toBe('xlsx');
+      expect(inferFormatFromPath('netsuite.db')).toBe('sqlite');
+      expect(inferFormatFromPath('netsuite.sqlite3')).toBe('sqlite');
+      expect(inferFormatFromPath('seed.sql')).toBe('sql');
+      expect(inferFormatFromPath('rows.tsv')).toBe('tsv');
+      expect(inferFormatFromPath('results.md')).toBe('markdown');
+      expect(inferFormatFromPath('report.html')).toBe('html');
+    });
+
+    it('should return null for unknown or missing paths', () => {
+      expect(inferFormatFromPath('out.txt')).toBeNull();
+      expect(inferFormatFromPath(undefined)).toBeNull();
+    });
+  });
+
+  describe('createFileSink', () => {
+    it('should only create the target file on close', () => {
+      const target = path.join(tempDir, 'out.csv');
+      const sink = createFileSink(target);
+      sink.writeLine('id');
+      sink.writeLine('1');
+
+      expect(fs.existsSync(target)).toBe(false);
+      sink.close();
+      expect(fs.readFileSync(target, 'utf8')).toBe('id\n1\n');
+      expect(fs.readdirSync(tempDir)).toEqual(['out.csv']);
+    });
+
+    it('should refuse to overwrite an existing file', () => {
+      const target = path.join(tempDir, 'out.json');
+      fs.writeFileSync(target, 'keep');
+
+      expect(() => createFileSink(target)).toThrow(`Output file already exists: ${target}. Use --force to overwrite it.`);
+      expect(fs.readFileSync(target, 'utf8')).toBe('keep');
+    });
+
+    it('should overwrite an existing file with force', () => {
+      const target = path.join(tempDir, 'out.json');
+      fs.writeFileSync(target, 'old');
+
+      const sink = createFileSink(target, { force: true });
+      sink.writeLine('new');
+      sink.close();
+
+      expect(fs.readFileSync(target, 'utf8')).toBe('new\n');
+    });
+
+    it('should remove the temp file and keep the existing file on abort', () => {
+      const target = path.join(tempDir, 'out.json');
+      fs.writeFileSync(target, 'old');
+
+      const sink = createFileSink(target, { force: true });
+      sink.writeLine('partial');
+      sink.abort();
+
+      expect(fs.readFileSync(target, 'utf8')).toBe('old');
+      expect(fs.readdirSync(tempDir)).toEqual(['out.json']);
+    });
+
+    it('should report a missing directory', () => {
+      expect(() => createFileSink(path.join(tempDir, 'missing', 'out.json'))).toThrow('Failed to open output file');
+    });
+  });
+
+  describe('writers', () => {
+    it('should write NDJSON rows to the sink', async () => {
+      const sink = { writeLine: jest.fn() };
+      const count = await writeNdjson(pagesOf({ items: [{ id: '1' }] }, { items: [{ id: '2' }] }), sink);
+
+      expect(count).toBe(2);
+      expect(sink.writeLine.mock.calls).toEqual([['{"id":"1"}'], ['{"id":"2"}']]);
+    });
+
+    it('should write CSV pages to the sink', async () => {
+      const sink = { writeLine: jest.fn() };
+      const count = await writeCsv(pagesOf({ items: [{ id: '1' }] }, { items: [{ id: '2' }] }), sink, { columns: ['id'] });
+
+      expect(count).toBe(2);
+      expect(sink.writeLine.mock.calls).toEqual([['id\n1'], ['2']]);
+    });
+
+    it('should write CSV with CRLF line endings through write()', async () => {
+      const sink = { write: jest.fn(), writeLine: jest.fn() };
+      await writeCsv(pagesOf({ items: [{ id: '1' }] }, { items: [{ id: '2' }] }), sink, { columns: ['id'], eol: '\r\n' });
+
+      expect(sink.writeLine).not.toHaveBeenCalled();
+      expect(sink.write.mock.calls).toEqual([['id\r\n1\r\n'], ['2\r\n']]);
+    });
+
+    it('should write SQL pages to the sink and finish with COMMIT', async () => {
+      const sink = { writeLine: jest.fn() };
+      const count = await writeSql(pagesOf({ items: [{ id: '1' }] }, { items: [{ id: '2' }] }), sink, { table: 't' });
+
+      expect(count).toBe(2);
+      expect(sink.writeLine.mock.calls.map(call => call[0])).toEqual([
+        'BEGIN;\nCREATE TABLE "t" (\n  "id" BIGINT\n);\nINSERT INTO "t" ("id") VALUES\n  (1);',
+        'INSERT INTO "t" ("id") VALUES\n  (2);',
+        'COMMIT;'
+      ]);
+    });
+
+    it('should warn when no SQL could be written', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      const sink = { writeLine: jest.fn() };
+
+      await writeSql(pagesOf({ items: [] }), sink);
+
+      expect(sink.writeLine).not.toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('no SQL was written'));
+      errorSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { resolvePagePlan, describePagePlan, iteratePages, mergePages, collectPages } = require('../lib/pagination');
+
+function makeFetcher(totalRows, pageSize = 1000) {
+  return jest.fn(async (limit = pageSize, offset = 0) => {
+    const items = [];
+    for (let i = offset; i < Math.min(offset + limit, totalRows); i++) {
+      items.push({ id: String(i) });
+    }
+    return {
+      links: [{ rel: 'self', href: `https://example.com?offset=${offset}` }],
+      count: items.length,
+      hasMore: offset + limit < totalRows,
+      items,
+      offset,
+      totalResults: totalRows,
+    };
+  });
+}
+
+async function collectAll(iterator) {
+  const pages = [];
+  for await (const page of iterator) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+describe('pagination', () => {
+  describe('resolvePagePlan', () => {
+    it('should parse numeric strings', () => {
+      expect(resolvePagePlan({ limit: '500', offset: '5000', maxRows: '2500' })).toEqual({
+        all: false,
+        limit: 500,
+        offset: 5000,
+        maxRows: 2500,
+      });
+    });
+
+    it('should leave unset options undefined', () => {
+      expect(resolvePagePlan({})).toEqual({ all: false, limit: undefined, offset: undefined, maxRows: undefined });
+    });
+
+    it('should reject a limit above 1000', () => {
+      expect(() => resolvePagePlan({ limit: 5000 })).toThrow("Invalid limit '5000'. Must be an integer between 1 and 1000");
+    });
+
+    it('should reject non-integer and negative values', () => {
+      expect(() => resolvePagePlan({ limit: 'abc' })).toThrow('Invalid limit');
+      expect(() => resolvePagePlan({ offset: '-1' })).toThrow("Invalid offset '-1'. Must be an integer 0 or greater");
+      expect(() => resolvePagePlan({ maxRows: '0' })).toThrow('Invalid max-rows');
+      expect(() => resolvePagePlan({ maxRows: '1.5' })).toThrow('Invalid max-rows');
+    });
+  });
+
+  describe('describePagePlan', () => {
+    it('should describe a single request', () => {
+      expect(describePagePlan({ offset: 5000 })).toBe('1000 rows per request starting at offset 5000, single request');
+    });
+
+    it('should describe following all pages', () => {
+      expect(describePagePlan({ all: true, limit: 500 })).toBe(
+        '500 rows per request starting at offset 0, following hasMore until all rows are fetched'
+      );
+    });
+
+    it('should describe a max-rows plan with the number of requests', () => {
+      expect(describePagePlan({ maxRows: 2500 })).toBe(
+        '1000 rows per request starting at offset 0, stopping after 2500 rows (at most 3 requests)'
+      );
+      expect(describePagePlan({ maxRows: 10 })).toBe(
+        '10 rows per request starting at offset 0, stopping after 10 rows (at most 1 request)'
+      );
+    });
+  });
+
+  describe('iteratePages', () => {
+    it('should make a single request without options', async () => {
+      const fetchPage = makeFetcher(2500);
+      const pages = [];
+      for await (const page of iteratePages(fetchPage)) {
+        pages.push(page);
+      }
+
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+      expect(fetchPage).toHaveBeenCalledWith();
+      expect(pages).toHaveLength(1);
+      expect(pages[0].hasMore).toBe(true);
+    });
+
+    it('should follow hasMore until the result set is exhausted with all', async () => {
+      const fetchPage = makeFetcher(2500);
+      const pages = [];
+      for await (const page of iteratePages(fetchPage, { all: true })) {
+        pages.push(page);
+      }
+
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(fetchPage).toHaveBeenNthCalledWith(1, 1000, 0);
+      expect(fetchPage).toHaveBeenNthCalledWith(2, 1000, 1000);
+      expect(fetchPage).toHaveBeenNthCalledWith(3, 1000, 2000);
+      expect(pages.map(page => page.items.length)).toEqual([1000, 1000, 500]);
+    });
+
+    it('should make a single request at the given limit and offset', async () => {
+      const fetchPage = makeFetcher(10000);
+      const pages = await collectAll(iteratePages(fetchPage, { offset: 5000 }));
+
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+      expect(fetchPage).toHaveBeenCalledWith(1000, 5000);
+      expect(pages[0].items[0]).toEqual({ id: '5000' });
+      expect(pages[0].items[999]).toEqual({ id: '5999' });
+    });
+
+    it('should stop after maxRows and trim the last page', async () => {
+      const fetchPage = makeFetcher(10000);
+      const pages = await collectAll(iteratePages(fetchPage, { maxRows: 2500 }));
+
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(pages.map(page => page.items.length)).toEqual([1000, 1000, 500]);
+      expect(pages[2].count).toBe(500);
+      expect(pages[2].hasMore).toBe(true);
+    });
+
+    it('should stop before maxRows when the result set is exhausted', async () => {
+      const fetchPage = makeFetcher(1200);
+      const pages = await collectAll(iteratePages(fetchPage, { maxRows: 5000, limit: 500 }));
+
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(fetchPage).toHaveBeenLastCalledWith(500, 1000);
+      expect(pages.map(page => page.items.length)).toEqual([500, 500, 200]);
+    });
+
+    it('should stop when a page comes back empty', async () => {
+      const fetchPage = jest.fn().mockResolvedValue({ items: [], hasMore: true });
+      const pages = [];
+      for await (const page of iteratePages(fetchPage, { all: true })) {
+        pages.push(page);
+      }
+
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+      expect(pages).toHaveLength(1);
+    });
+  });
+
+  describe('mergePages', () => {
+    it('should return a single page unchanged', () => {
+      const page = { items: [{ id: '1' }], hasMore: false, links: [] };
+      expect(mergePages([page])).toBe(page);
+    });
+
+    it('should concatenate items and take hasMore from the last page', () => {
+      const merged = mergePages([
+        { items: [{ id: '1' }], hasMore: true, count: 1, offset: 0, totalResults: 2, links: [{ rel: 'next' }] },
+        { items: [{ id: '2' }], hasMore: false, count: 1, offset: 1, totalResults: 2, links: [{ rel: 'prev' }] },
+      ]);
+
+      expect(merged).toEqual({
+        items: [{ id: '1' }, { id: '2' }],
+        hasMore: false,
+        count: 2,
+        offset: 0,
+        totalResults: 2,
+      });
+    });
+  });
+
+  describe('collectPages', () => {
+    it('should merge every page into one result', async () => {
+      const fetchPage = makeFetcher(2500);
+      const results = await collectPages(fetchPage, { all: true });
+
+      expect(results.items).toHaveLength(2500);
+      expect(results.items[2499]).toEqual({ id: '2499' });
+      expect(results.count).toBe(2500);
+      expect(results.hasMore).toBe(false);
+      expect(results.totalResults).toBe(2500);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('inquirer');
+
+const inquirer = require('inquirer');
+const { listProfiles, useProfile, showProfile, removeProfile, moveProfile, copyProfile } = require('../lib/profile');
+const {
+  getProfile,
+  saveProfile,
+  saveOAuth1Profile,
+  saveOAuth2Profile,
+  saveOAuth2Tokens,
+  saveClientCredentialsProfile,
+  getAllProfiles,
+  getActiveProfile,
+  decryptOAuth2Profile,
+  CONFIG_FILE
+} = require('../lib/config');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+  error: jest.spyOn(console, 'error').mockImplementation()
+};
+const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+const logged = () => consoleSpy.log.mock.calls.map(call => call.join(' ')).join('\n');
+
+describe('profile', () => {
+  const tokenExpiry = Date.now() + 3600000;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    saveOAuth1Profile('default', {
+      consumerKey: 'consumer-key-1234',
+      consumerSecret: 'consumer-secret-5678',
+      token: 'token-abcd',
+      tokenSecret: 'token-secret-efgh',
+      realm: '1234567'
+    });
+    saveOAuth2Profile('sb1', { accountId: '1234567_SB1', clientId: 'client-id-wxyz', clientSecret: 'client-secret-9999', dateFormat: 'DD.MM.YYYY' });
+    saveOAuth2Tokens('sb1', { accessToken: 'access-token-0000', refreshToken: 'refresh-token-1111', tokenExpiry });
+    saveOAuth2Profile('new', { accountId: 'TSTDRV1', clientId: 'client', clientSecret: 'secret' });
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+  });
+
+  describe('listProfiles', () => {
+    it('should list the auth type, account and token expiry of each profile', () => {
+      listProfiles();
+
+      const lines = consoleSpy.log.mock.calls[0][0].split('\n');
+      expect(lines[0]).toMatch(/^profile\s+\| auth\s+\| account\s+\| token expires$/);
+      expect(lines[2]).toMatch(/^default \(in use\) \| OAuth 1\.0 \(TBA\)\s+\| 1234567\s+\| n\/a$/);
+      expect(lines[3]).toContain(`| ${new Date(tokenExpiry).toLocaleString()}`);
+      expect(lines[3]).toMatch(/^sb1\s+\| OAuth 2\.0\s+\| 1234567_SB1/);
+      expect(lines[4]).toMatch(/\| not logged in$/);
+    });
+
+    it('should list a client credentials profile without a token yet', () => {
+      saveClientCredentialsProfile('m2m', { accountId: 'TSTDRV1', clientId: 'client', certificateId: 'cert-id', privateKeyPath: '/keys/private.pem' });
+
+      listProfiles();
+
+      expect(logged()).toMatch(/m2m\s+\| OAuth 2\.0 client credentials \(M2M\) \| TSTDRV1\s+\| not requested yet/);
+    });
+
+    it('should mark expired tokens', () => {
+      saveOAuth2Tokens('sb1', { accessToken: 'a', refreshToken: 'r', tokenExpiry: Date.now() - 1000 });
+
+      listProfiles();
+
+      expect(logged()).toContain('(expired)');
+    });
+
+    it('should list profiles as JSON', () => {
+      listProfiles({ format: 'json' });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0])).toEqual([
+        { name: 'default', inUse: true, authType: 'oauth1', account: '1234567', tokenExpiry: null },
+        { name: 'sb1', inUse: false, authType: 'oauth2', account: '1234567_SB1', tokenExpiry: new Date(tokenExpiry).toISOString() },
+        { name: 'new', inUse: false, authType: 'oauth2', account: 'TSTDRV1', tokenExpiry: null }
+      ]);
+    });
+
+    it('should say when there are no profiles', () => {
+      fs.unlinkSync(CONFIG_FILE);
+
+      listProfiles();
+
+      expect(logged()).toBe("No profiles configured. Run 'nsql-cli configure' or 'nsql-cli login' to add one.");
+    });
+  });
+
+  describe('useProfile', () => {
+    afterEach(() => {
+      delete process.env.NSQL_PROFILE;
+    });
+
+    it('should set the active profile and mark it as in use', () => {
+      useProfile('sb1');
+
+      expect(getActiveProfile()).toBe('sb1');
+      expect(getAllProfiles()).toEqual(['default', 'sb1', 'new']);
+      expect(logged()).toBe("Active profile set to 'sb1'.");
+
+      listProfiles({ format: 'json' });
+      expect(JSON.parse(consoleSpy.log.mock.calls[1][0]).filter(entry => entry.inUse).map(entry => entry.name)).toEqual(['sb1']);
+    });
+
+    it('should say when NSQL_PROFILE overrides the active profile', () => {
+      process.env.NSQL_PROFILE = 'new';
+
+      useProfile('sb1');
+
+      expect(logged()).toContain("Note: NSQL_PROFILE is set, so commands use 'new' (from NSQL_PROFILE) until it is unset.");
+    });
+
+    it('should report an unknown profile', () => {
+      useProfile('missing');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Profile 'missing' not found. Run 'nsql-cli profile list' to see the configured profiles.");
+      expect(getActiveProfile()).toBeNull();
+    });
+  });
+
+  describe('showProfile', () => {
+    it('should mask the secrets of an OAuth 1.0 profile', () => {
+      showProfile('default');
+
+      const output = logged();
+      expect(output).toContain('Profile: default');
+      expect(output).toContain('Auth type: OAuth 1.0 (TBA)');
+      expect(output).toContain('Realm: 1234567');
+      expect(output).toContain('Consumer Secret: ****************5678');
+      expect(output).not.toContain('consumer-secret');
+      expect(output).not.toContain('token-secret');
+    });
+
+    it('should mask the secrets of a plaintext OAuth 1.0 profile', () => {
+      saveProfile('legacy', {
+        consumerKey: 'consumer-key-1234',
+        consumerSecret: 'consumer-secret-5678',
+        token: 'token-abcd',
+        tokenSecret: 'token-secret-efgh',
+        realm: '1234567'
+      });
+
+      showProfile('legacy', { format: 'json' });
+
+      const shown = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(shown.consumerSecret).toBe('****************5678');
+      expect(shown.tokenSecret).toBe('*************efgh');
+    });
+
+    it('should decrypt and mask the secrets of an OAuth 2.0 profile', () => {
+      showProfile('sb1', { format: 'json' });
+
+      const shown = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(shown).toMatchObject({
+        name: 'sb1',
+        authType: 'oauth2',
+        accountId: '1234567_SB1',
+        dateFormat: 'DD.MM.YYYY',
+        clientSecret: '**************9999',
+        refreshToken: '**************1111',
+        accessToken: '*************0000',
+        tokenExpiry
+      });
+    });
+
+    it('should show a client credentials profile', () => {
+      saveClientCredentialsProfile('m2m', { accountId: 'TSTDRV1', clientId: 'client-id-wxyz', certificateId: 'cert-id', privateKeyPath: '/keys/private.pem' });
+
+      showProfile('m2m');
+
+      const output = logged();
+      expect(output).toContain('Auth type: OAuth 2.0 client credentials (M2M)');
+      expect(output).toContain('Client ID: ************wxyz');
+      expect(output).toContain('Certificate ID: cert-id');
+      expect(output).toContain('Private key: /keys/private.pem');
+      expect(output).toContain('Algorithm: PS256');
+    });
+
+    it('should report an unknown profile', () => {
+      showProfile('missing');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Profile 'missing' not found. Run 'nsql-cli profile list' to see the configured profiles.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('removeProfile', () => {
+    it('should delete a profile after confirmation', async () => {
+      inquirer.prompt.mockResolvedValue({ confirmed: true });
+
+      await removeProfile('sb1');
+
+      expect(inquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(getAllProfiles()).toEqual(['default', 'new']);
+      expect(logged()).toBe("Profile 'sb1' deleted.");
+    });
+
+    it('should keep the profile when the deletion is not confirmed', async () => {
+      inquirer.prompt.mockResolvedValue({ confirmed: false });
+
+      await removeProfile('sb1');
+
+      expect(getAllProfiles()).toEqual(['default', 'sb1', 'new']);
+    });
+
+    it('should delete without asking with yes', async () => {
+      await removeProfile('default', { yes: true });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(getAllProfiles()).toEqual(['sb1', 'new']);
+    });
+  });
+
+  describe('moveProfile', () => {
+    it('should rename a profile in place', () => {
+      moveProfile('sb1', 'sandbox');
+
+      expect(getAllProfiles()).toEqual(['default', 'sandbox', 'new']);
+      expect(decryptOAuth2Profile(getProfile('sandbox')).refreshToken).toBe('refresh-token-1111');
+    });
+
+    it('should not overwrite an existing profile', () => {
+      moveProfile('sb1', 'default');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Profile 'default' already exists");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(getProfile('default').realm).toBe('1234567');
+    });
+  });
+
+  describe('copyProfile', () => {
+    it('should copy an OAuth 1.0 profile', () => {
+      copyProfile('default', 'prod');
+
+      expect(getProfile('prod')).toEqual(getProfile('default'));
+    });
+
+    it('should copy an OAuth 2.0 profile without its tokens', () => {
+      copyProfile('sb1', 'sb1-copy');
+
+      const copy = decryptOAuth2Profile(getProfile('sb1-copy'));
+      expect(copy).toMatchObject({ authType: 'oauth2', accountId: '1234567_SB1', clientSecret: 'client-secret-9999', dateFormat: 'DD.MM.YYYY' });
+      expect(copy.accessToken).toBeUndefined();
+      expect(copy.refreshToken).toBeNull();
+      expect(logged()).toContain("Run 'nsql-cli login --profile sb1-copy' to sign in with the copy.");
+    });
+
+    it('should not overwrite an existing profile', () => {
+      copyProfile('default', 'sb1');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Profile 'sb1' already exists");
+      expect(getProfile('sb1').authType).toBe('oauth2');
+    });
+  });
+});
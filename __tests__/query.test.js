@@ -14,7 +14,9 @@ delete require.cache[require.resolve('../lib/query')];
 
 const { executeQuery, replacePlaceholders } = require('../lib/query');
 const { NetsuiteApiClient } = require('netsuite-api-client');
-const { getProfile, saveProfile, CONFIG_FILE } = require('../lib/config');
+const ExcelJS = require('exceljs');
+const Database = require('better-sqlite3');
+const { getProfile, saveProfile, saveOAuth1Profile, saveOAuth2Profile, saveOAuth2Tokens, saveClientCredentialsProfile, saveClientCredentialsToken, setPassphrase, CONFIG_FILE } = require('../lib/config');
 
 // Mock netsuite-api-client
 jest.mock('netsuite-api-client');
@@ -268,6 +270,1036 @@ describe('query', () => {
     });
   });
 
+  describe('pagination', () => {
+    const originalFetch = global.fetch;
+
+    function page(ids, hasMore, totalResults) {
+      return {
+        items: ids.map(id => ({ id: String(id) })),
+        hasMore,
+        count: ids.length,
+        totalResults
+      };
+    }
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should fetch all pages with OAuth 1.0 when all is set', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query
+        .mockResolvedValueOnce(page([1, 2], true, 3))
+        .mockResolvedValueOnce(page([3], false, 3));
+
+      await executeQuery('SELECT id FROM transaction', 'default', false, 'json', {}, { all: true });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+      expect(mockClient.query).toHaveBeenNthCalledWith(1, 'SELECT id FROM transaction', 1000, 0);
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, 'SELECT id FROM transaction', 1000, 1000);
+      const output = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(output.items.map(item => item.id)).toEqual(['1', '2', '3']);
+      expect(output.count).toBe(3);
+      expect(output.hasMore).toBe(false);
+    });
+
+    it('should only fetch the first page when all is not set', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue(page([1, 2], true, 3));
+
+      await executeQuery('SELECT id FROM transaction', 'default');
+
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      expect(mockClient.query).toHaveBeenCalledWith('SELECT id FROM transaction');
+    });
+
+    it('should fetch all pages with OAuth 2.0 using a single access token', async () => {
+      saveOAuth2Profile('oauth', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', {
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        tokenExpiry: Date.now() + 60 * 60 * 1000
+      });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => page([1, 2], true, 3) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => page([3], false, 3) });
+
+      await executeQuery('SELECT id FROM transaction', 'oauth', false, 'json', {}, { all: true });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][0]).toContain('limit=1000&offset=0');
+      expect(global.fetch.mock.calls[1][0]).toContain('limit=1000&offset=1000');
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer access-token');
+      const output = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(output.items).toHaveLength(3);
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should stop after maxRows with OAuth 1.0', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query
+        .mockResolvedValueOnce(page([1, 2], true, 6))
+        .mockResolvedValueOnce(page([3, 4], true, 6));
+
+      await executeQuery('SELECT id FROM transaction', 'default', false, 'json', {}, { limit: 2, maxRows: 3 });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, 'SELECT id FROM transaction', 2, 2);
+      const output = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(output.items.map(item => item.id)).toEqual(['1', '2', '3']);
+      expect(output.hasMore).toBe(true);
+    });
+
+    it('should pass limit and offset to OAuth 2.0 requests', async () => {
+      saveOAuth2Profile('oauth', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', {
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        tokenExpiry: Date.now() + 60 * 60 * 1000
+      });
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => page([5001], true, 9000) });
+
+      await executeQuery('SELECT id FROM transaction', 'oauth', false, 'json', {}, { limit: '1000', offset: '5000' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toContain('limit=1000&offset=5000');
+    });
+
+    it('should reject an invalid limit', async () => {
+      await executeQuery('SELECT id FROM transaction', 'default', false, 'json', {}, { limit: '5000' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid limit '5000'. Must be an integer between 1 and 1000");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should fill a :limit placeholder instead of setting the page size', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue(page([1], false, 1));
+
+      await executeQuery('SELECT id FROM transaction WHERE ROWNUM <= :limit', 'default', false, 'json', {}, { limit: '5000' });
+
+      expect(mockClient.query).toHaveBeenCalledWith('SELECT id FROM transaction WHERE ROWNUM <= 5000');
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should keep validating the limit when a parameter fills the placeholder', async () => {
+      await executeQuery('SELECT id FROM transaction WHERE ROWNUM <= :limit', 'default', false, 'json', { limit: '10' }, { limit: '5000' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid limit '5000'. Must be an integer between 1 and 1000");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should show the page plan in dry-run', async () => {
+      await executeQuery('SELECT id FROM transaction', 'default', true, 'json', {}, { all: true });
+      expect(consoleSpy.log).toHaveBeenCalledWith(
+        'Page plan:',
+        '1000 rows per request starting at offset 0, following hasMore until all rows are fetched'
+      );
+
+      await executeQuery('SELECT id FROM transaction', 'default', true, 'json', {}, { offset: '5000', maxRows: '2500' });
+      expect(consoleSpy.log).toHaveBeenCalledWith(
+        'Page plan:',
+        '1000 rows per request starting at offset 5000, stopping after 2500 rows (at most 3 requests)'
+      );
+    });
+  });
+
+  describe('streaming csv format', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    it('should take the header from the SELECT list and keep it across pages', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1', links: [] }], hasMore: true })
+        .mockResolvedValueOnce({ items: [{ memo: 'x', name: 'B', id: '2', links: [] }], hasMore: false });
+
+      await executeQuery('SELECT id, name, memo FROM transaction', 'default', false, 'csv', {}, { all: true, limit: 1 });
+
+      expect(consoleSpy.log.mock.calls).toEqual([['id,name,memo\n1,,'], ['2,B,x']]);
+      expect(consoleSpy.error).not.toHaveBeenCalled();
+    });
+
+    it('should warn about columns that appear after the header was written', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1' }], hasMore: true })
+        .mockResolvedValueOnce({ items: [{ id: '2', memo: 'x' }], hasMore: false });
+
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'csv', {}, { all: true, limit: 1 });
+
+      expect(consoleSpy.log.mock.calls).toEqual([['id\n1'], ['2']]);
+      expect(consoleSpy.error).toHaveBeenCalledWith(
+        "Warning: column 'memo' first appeared after the CSV header was written and was left out."
+      );
+    });
+
+    it('should write only the header for empty results with a known SELECT list', async () => {
+      mockClient.query.mockResolvedValue({ items: [], hasMore: false });
+
+      await executeQuery('SELECT id, name FROM item WHERE id = -1', 'default', false, 'csv');
+
+      expect(consoleSpy.log.mock.calls).toEqual([['id,name']]);
+    });
+  });
+
+  describe('output file', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-query-output-'));
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue({ items: [{ id: '1', name: 'A' }], hasMore: false });
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('should write results to the file and infer the format from the extension', async () => {
+      const outputPath = path.join(outputDir, 'items.csv');
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, undefined, {}, { output: outputPath });
+
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('id,name\n1,A\n');
+      expect(consoleSpy.log).toHaveBeenCalledTimes(1);
+      expect(consoleSpy.log).toHaveBeenCalledWith(`Wrote 1 row to ${outputPath}`);
+    });
+
+    it('should prefer an explicit format over the extension', async () => {
+      const outputPath = path.join(outputDir, 'items.csv');
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'ndjson', {}, { output: outputPath });
+
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('{"id":"1","name":"A"}\n');
+    });
+
+    it('should default to JSON for unknown extensions', async () => {
+      const outputPath = path.join(outputDir, 'items.out');
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, undefined, {}, { output: outputPath });
+
+      expect(JSON.parse(fs.readFileSync(outputPath, 'utf8')).items).toEqual([{ id: '1', name: 'A' }]);
+    });
+
+    it('should refuse to overwrite an existing file without force', async () => {
+      const outputPath = path.join(outputDir, 'items.json');
+      fs.writeFileSync(outputPath, 'keep');
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, undefined, {}, { output: outputPath });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith(`Error: Output file already exists: ${outputPath}. Use --force to overwrite it.`);
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('keep');
+    });
+
+    it('should overwrite an existing file with force', async () => {
+      const outputPath = path.join(outputDir, 'items.json');
+      fs.writeFileSync(outputPath, 'old');
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, undefined, {}, { output: outputPath, force: true });
+
+      expect(JSON.parse(fs.readFileSync(outputPath, 'utf8')).items).toHaveLength(1);
+    });
+
+    it('should leave no file behind when the query fails midway', async () => {
+      const outputPath = path.join(outputDir, 'items.ndjson');
+      mockClient.query
+        .mockReset()
+        .mockResolvedValueOnce({ items: [{ id: '1' }], hasMore: true })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      await executeQuery('SELECT id FROM item', 'default', false, undefined, {}, { output: outputPath, all: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error executing query:', 'Network error');
+      expect(fs.readdirSync(outputDir)).toEqual([]);
+    });
+
+    it('should leave no temp file behind when authentication fails', async () => {
+      saveOAuth2Profile('default', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+      let filesAtExit;
+      // process.exit() ends the process, so nothing after it gets to clean up
+      exitSpy.mockImplementationOnce(() => { filesAtExit = fs.readdirSync(outputDir); });
+
+      await executeQuery('SELECT id FROM item', 'default', false, undefined, {}, { output: path.join(outputDir, 'items.csv') });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Profile 'default' has no tokens. Run 'nsql-cli login --profile default' first.");
+      expect(filesAtExit).toEqual([]);
+      expect(fs.readdirSync(outputDir)).toEqual([]);
+    });
+
+    it('should show the output file in dry-run without creating it', async () => {
+      const outputPath = path.join(outputDir, 'items.csv');
+
+      await executeQuery('SELECT id FROM item', 'default', true, undefined, {}, { output: outputPath });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Output:', `${outputPath} (csv)`);
+      expect(fs.readdirSync(outputDir)).toEqual([]);
+    });
+  });
+
+  describe('table format', () => {
+    it('should print an aligned table with a row-count footer', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue({
+        items: [{ id: '1', name: 'Widget', links: [] }, { id: '22', links: [] }],
+        hasMore: true,
+        totalResults: 40
+      });
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'table');
+
+      expect(consoleSpy.log).toHaveBeenCalledTimes(1);
+      const output = consoleSpy.log.mock.calls[0][0];
+      expect(output.split('\n').slice(0, 4)).toEqual([
+        'id | name',
+        '---+-------',
+        ' 1 | Widget',
+        '22 |'
+      ]);
+      expect(output).toContain('2 rows (totalResults: 40, hasMore: true)');
+      expect(output).not.toContain('links');
+    });
+  });
+
+  describe('ndjson format', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    it('should write one JSON object per row', async () => {
+      mockClient.query.mockResolvedValue({
+        items: [{ id: '1', name: 'A' }, { id: '2', name: 'B' }],
+        hasMore: false
+      });
+
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'ndjson');
+
+      expect(consoleSpy.log).toHaveBeenCalledTimes(1);
+      expect(consoleSpy.log).toHaveBeenCalledWith('{"id":"1","name":"A"}\n{"id":"2","name":"B"}');
+    });
+
+    it('should write each page as it arrives', async () => {
+      let writesBeforeSecondPage;
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1' }], hasMore: true })
+        .mockImplementationOnce(async () => {
+          writesBeforeSecondPage = consoleSpy.log.mock.calls.length;
+          return { items: [{ id: '2' }], hasMore: false };
+        });
+
+      await executeQuery('SELECT id FROM item', 'default', false, 'ndjson', {}, { all: true, limit: 1 });
+
+      expect(writesBeforeSecondPage).toBe(1);
+      expect(consoleSpy.log.mock.calls).toEqual([['{"id":"1"}'], ['{"id":"2"}']]);
+    });
+
+    it('should write nothing for empty results', async () => {
+      mockClient.query.mockResolvedValue({ items: [], hasMore: false });
+
+      await executeQuery('SELECT id FROM item WHERE id = -1', 'default', false, 'ndjson');
+
+      expect(consoleSpy.log).not.toHaveBeenCalled();
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('xlsx format', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-query-xlsx-'));
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    async function readWorkbook(filePath) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(filePath);
+      return workbook;
+    }
+
+    it('should write a workbook inferred from the .xlsx extension', async () => {
+      const outputPath = path.join(outputDir, 'items.xlsx');
+      mockClient.query.mockResolvedValue({ items: [{ id: '1', itemid: '00123' }], hasMore: false });
+
+      await executeQuery('SELECT id, itemid FROM item', 'default', false, undefined, {}, { output: outputPath });
+
+      const workbook = await readWorkbook(outputPath);
+      const sheet = workbook.getWorksheet('Results');
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['id', 'itemid']);
+      expect(sheet.getRow(2).values.slice(1)).toEqual([1, '00123']);
+      expect(consoleSpy.log).toHaveBeenCalledWith(`Wrote 1 row to ${outputPath}`);
+    });
+
+    it('should require an output file', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'xlsx');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: The xlsx format writes a binary workbook. Use --output <file.xlsx> to choose where to save it.');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should write each statement to its own sheet with sheetPerQuery', async () => {
+      const outputPath = path.join(outputDir, 'report.xlsx');
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1' }], hasMore: false })
+        .mockResolvedValueOnce({ items: [{ name: 'A' }, { name: 'B' }], hasMore: false });
+
+      await executeQuery("SELECT id FROM item; SELECT name FROM customer WHERE name <> ';';", 'default', false, 'xlsx', {}, {
+        output: outputPath,
+        sheetPerQuery: true
+      });
+
+      expect(mockClient.query).toHaveBeenNthCalledWith(1, 'SELECT id FROM item');
+      expect(mockClient.query).toHaveBeenNthCalledWith(2, "SELECT name FROM customer WHERE name <> ';'");
+      const workbook = await readWorkbook(outputPath);
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Query 1', 'Query 2']);
+      expect(workbook.getWorksheet('Query 2').getColumn(1).values.slice(1)).toEqual(['name', 'A', 'B']);
+      expect(consoleSpy.log).toHaveBeenCalledWith(`Wrote 3 rows to ${outputPath}`);
+    });
+
+    it('should reject sheetPerQuery for other formats', async () => {
+      await executeQuery('SELECT id FROM item; SELECT id FROM customer', 'default', false, 'csv', {}, { sheetPerQuery: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --sheet-per-query is only supported with the xlsx format, not 'csv'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should list each statement in dry-run mode', async () => {
+      await executeQuery('SELECT id FROM item; SELECT id FROM customer', 'default', true, 'xlsx', {}, {
+        output: 'report.xlsx',
+        sheetPerQuery: true
+      });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith("Query (sheet 'Query 1'):", 'SELECT id FROM item');
+      expect(consoleSpy.log).toHaveBeenCalledWith("Query (sheet 'Query 2'):", 'SELECT id FROM customer');
+      expect(consoleSpy.log).toHaveBeenCalledWith('Output:', 'report.xlsx (xlsx)');
+    });
+  });
+
+  describe('sqlite format', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-query-sqlite-'));
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    function readTable(dbPath, table) {
+      const db = new Database(dbPath, { readonly: true });
+      try {
+        return db.prepare(`SELECT * FROM ${table}`).all();
+      } finally {
+        db.close();
+      }
+    }
+
+    it('should insert every page into the table', async () => {
+      const dbPath = path.join(outputDir, 'netsuite.db');
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1', tranid: 'SO1' }], hasMore: true })
+        .mockResolvedValueOnce({ items: [{ id: '2', tranid: 'SO2' }], hasMore: false });
+
+      await executeQuery('SELECT id, tranid FROM transaction', 'default', false, undefined, {}, {
+        output: dbPath,
+        table: 'transactions',
+        all: true,
+        limit: 1
+      });
+
+      expect(readTable(dbPath, 'transactions')).toEqual([{ id: 1, tranid: 'SO1' }, { id: 2, tranid: 'SO2' }]);
+      expect(consoleSpy.log).toHaveBeenCalledWith(`Wrote 2 rows to table 'transactions' in ${dbPath}`);
+    });
+
+    it('should not create the database or the table when authentication fails', async () => {
+      const dbPath = path.join(outputDir, 'netsuite.db');
+      const existingPath = path.join(outputDir, 'existing.db');
+      const existing = new Database(existingPath);
+      existing.exec('CREATE TABLE other (id INTEGER)');
+      existing.close();
+      saveOAuth2Profile('default', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+      let filesAtExit;
+      // process.exit() ends the process, so nothing after it gets to clean up
+      exitSpy.mockImplementation(() => { filesAtExit = fs.readdirSync(outputDir); });
+
+      try {
+        await executeQuery('SELECT id FROM transaction', 'default', false, undefined, {}, { output: dbPath, table: 'transactions' });
+        expect(filesAtExit).toEqual(['existing.db']);
+
+        await executeQuery('SELECT id FROM transaction', 'default', false, undefined, {}, { output: existingPath, table: 'transactions' });
+        expect(filesAtExit).toEqual(['existing.db']);
+      } finally {
+        exitSpy.mockImplementation(() => {});
+      }
+
+      const db = new Database(existingPath, { readonly: true });
+      try {
+        expect(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()).toEqual([{ name: 'other' }]);
+      } finally {
+        db.close();
+      }
+    });
+
+    it('should require a table name', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, { output: path.join(outputDir, 'x.db') });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: The sqlite format requires --table <name>');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should require an output file', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, { table: 'items' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: The sqlite format writes to a database file. Use --output <file.db> to choose it.');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject append together with replace', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, {
+        output: path.join(outputDir, 'x.db'),
+        table: 'items',
+        append: true,
+        replace: true
+      });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: --append and --replace cannot be used together');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject table options for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'csv', {}, { table: 'items' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --table is only supported with the sqlite and sql formats, not 'csv'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject append and replace for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'sql', {}, { append: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --append and --replace are only supported with the sqlite format, not 'sql'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should fail before querying when the table already exists', async () => {
+      const dbPath = path.join(outputDir, 'netsuite.db');
+      mockClient.query.mockResolvedValue({ items: [{ id: '1' }], hasMore: false });
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, { output: dbPath, table: 'items' });
+      mockClient.query.mockClear();
+
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, { output: dbPath, table: 'items' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith(
+        `Error: Table 'items' already exists in ${dbPath}. Use --append to add rows or --replace to recreate it.`
+      );
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when a later page fails', async () => {
+      const dbPath = path.join(outputDir, 'netsuite.db');
+      mockClient.query.mockResolvedValue({ items: [{ id: '1' }], hasMore: false });
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, { output: dbPath, table: 'items' });
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '2' }], hasMore: true })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      await executeQuery('SELECT id FROM item', 'default', false, 'sqlite', {}, {
+        output: dbPath,
+        table: 'items',
+        append: true,
+        all: true,
+        limit: 1
+      });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error executing query:', 'Network error');
+      expect(readTable(dbPath, 'items')).toEqual([{ id: 1 }]);
+    });
+
+    it('should show the table and mode in dry-run mode', async () => {
+      await executeQuery('SELECT id FROM item', 'default', true, undefined, {}, {
+        output: 'netsuite.db',
+        table: 'items',
+        replace: true
+      });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Output:', "netsuite.db (sqlite, table 'items', replace)");
+    });
+  });
+
+  describe('sql format', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    it('should write CREATE TABLE and INSERT statements for each page', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ items: [{ id: '1', tranid: "O'Brien", links: [] }], hasMore: true })
+        .mockResolvedValueOnce({ items: [{ id: '2', tranid: 'SO2', links: [] }], hasMore: false });
+
+      await executeQuery('SELECT id, tranid FROM transaction', 'default', false, 'sql', {}, {
+        table: 'transactions',
+        all: true,
+        limit: 1
+      });
+
+      expect(consoleSpy.log.mock.calls.map(call => call[0])).toEqual([
+        'BEGIN;\nCREATE TABLE "transactions" (\n  "id" BIGINT,\n  "tranid" TEXT\n);\n' +
+          'INSERT INTO "transactions" ("id", "tranid") VALUES\n  (1, \'O\'\'Brien\');',
+        'INSERT INTO "transactions" ("id", "tranid") VALUES\n  (2, \'SO2\');',
+        'COMMIT;'
+      ]);
+    });
+
+    it('should use the requested dialect', async () => {
+      mockClient.query.mockResolvedValue({ items: [{ id: '1', memo: 'a\\b' }], hasMore: false });
+
+      await executeQuery('SELECT id, memo FROM item', 'default', false, 'sql', {}, { dialect: 'mysql' });
+
+      const output = consoleSpy.log.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('START TRANSACTION;');
+      expect(output).toContain('CREATE TABLE `results` (');
+      expect(output).toContain("(1, 'a\\\\b')");
+    });
+
+    it('should reject an unknown dialect', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'sql', {}, { dialect: 'oracle' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: Invalid dialect \'oracle\'. Supported dialects: postgres, mysql, sqlite');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a dialect for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'csv', {}, { dialect: 'mysql' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --dialect is only supported with the sql format, not 'csv'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('markdown and html formats', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue({ items: [{ id: '1', name: 'A|B', links: [] }], hasMore: false });
+    });
+
+    it('should print a markdown table', async () => {
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'markdown');
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('| id | name |\n| ---: | --- |\n| 1 | A\\|B |');
+    });
+
+    it('should print an html page with the title and query', async () => {
+      await executeQuery('SELECT id, name\nFROM item WHERE id < :max', 'default', false, 'html', { max: 10 }, { title: 'Items' });
+
+      const html = consoleSpy.log.mock.calls[0][0];
+      expect(html).toContain('<h1>Items</h1>');
+      expect(html).toContain('<pre><code>SELECT id, name FROM item WHERE id &lt; 10</code></pre>');
+      expect(html).toContain('<td>A|B</td>');
+    });
+
+    it('should reject a title for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'markdown', {}, { title: 'Items' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --title is only supported with the html format, not 'markdown'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('output shaping', () => {
+    const response = {
+      links: [{ rel: 'self', href: 'https://example.com' }],
+      count: 1,
+      hasMore: false,
+      items: [{ id: '1', name: 'A', links: [{ rel: 'self' }] }]
+    };
+
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue(response);
+    });
+
+    it('should drop links from JSON output by default', async () => {
+      await executeQuery('SELECT id, name FROM item');
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0])).toEqual({
+        count: 1,
+        hasMore: false,
+        items: [{ id: '1', name: 'A' }]
+      });
+    });
+
+    it('should drop links from CSV output without a SELECT list', async () => {
+      await executeQuery('SELECT * FROM item', 'default', false, 'csv');
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('id,name\n1,A');
+    });
+
+    it('should keep the exact API response with raw', async () => {
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'json', {}, { raw: true });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0])).toEqual(response);
+    });
+
+    it('should keep links in NDJSON rows with raw', async () => {
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'ndjson', {}, { raw: true });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('{"id":"1","name":"A","links":[{"rel":"self"}]}');
+    });
+
+    it('should print only the items on one line with compact', async () => {
+      await executeQuery('SELECT id, name FROM item', 'default', false, undefined, {}, { compact: true });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('[{"id":"1","name":"A"}]');
+    });
+
+    it('should combine compact with raw', async () => {
+      await executeQuery('SELECT id, name FROM item', 'default', false, 'json', {}, { compact: true, raw: true });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('[{"id":"1","name":"A","links":[{"rel":"self"}]}]');
+    });
+
+    it('should reject raw for tabular formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'csv', {}, { raw: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --raw is only supported with the json and ndjson formats, not 'csv'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject compact for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'ndjson', {}, { compact: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --compact is only supported with the json format, not 'ndjson'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('column selection', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue({
+        items: [
+          { tranid: 'SO1', id: '1', amount: '10', links: [] },
+          { id: '2', tranid: 'SO2', links: [] }
+        ],
+        hasMore: false
+      });
+    });
+
+    it('should pick, order and rename CSV columns', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'csv', {}, { columns: 'id,tranid:TranNumber,amount' });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('id,TranNumber,amount\n1,SO1,10\n2,SO2,');
+    });
+
+    it('should apply to JSON output with null for missing columns', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'json', {}, { columns: 'amount,id' });
+
+      const output = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(output.items).toEqual([{ amount: '10', id: '1' }, { amount: null, id: '2' }]);
+      expect(Object.keys(output.items[1])).toEqual(['amount', 'id']);
+    });
+
+    it('should apply to table output', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'table', {}, { columns: 'tranid:Number,id' });
+
+      expect(consoleSpy.log.mock.calls[0][0].split('\n')[0]).toBe('Number | id');
+    });
+
+    it('should reject an invalid column list before querying', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'csv', {}, { columns: 'id,,amount' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid column '' in --columns. Use name or name:NewName, separated by commas");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject columns combined with raw', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', false, 'json', {}, { columns: 'id', raw: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: --raw cannot be combined with --columns');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should show the column list in dry-run mode', async () => {
+      await executeQuery('SELECT * FROM transaction', 'default', true, 'csv', {}, { columns: 'id,tranid:TranNumber' });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Columns:', 'id, tranid as TranNumber');
+    });
+  });
+
+  describe('typed values', () => {
+    const response = {
+      items: [
+        { id: '1', isinactive: 'F', trandate: '25/12/2024', itemid: '00123', links: [] },
+        { id: '2', isinactive: 'T', trandate: '1/1/2025', itemid: 'A-1', links: [] }
+      ],
+      hasMore: false
+    };
+
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm',
+        dateFormat: 'D/M/YYYY'
+      });
+      mockClient.query.mockResolvedValue(response);
+    });
+
+    afterEach(() => {
+      delete process.env.NSQL_DATE_FORMAT;
+    });
+
+    it('should convert JSON values using the profile date format', async () => {
+      await executeQuery('SELECT id, isinactive, trandate, itemid FROM item', 'default', false, 'json', {}, { typed: true });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).items).toEqual([
+        { id: 1, isinactive: false, trandate: '2024-12-25', itemid: '00123' },
+        { id: 2, isinactive: true, trandate: '2025-01-01', itemid: 'A-1' }
+      ]);
+    });
+
+    it('should convert NDJSON rows after applying columns', async () => {
+      await executeQuery('SELECT * FROM item', 'default', false, 'ndjson', {}, { typed: true, columns: 'id:ID,isinactive' });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('{"ID":1,"isinactive":false}\n{"ID":2,"isinactive":true}');
+    });
+
+    it('should write booleans and dates to xlsx cells', async () => {
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-query-typed-'));
+      const outputPath = path.join(outputDir, 'items.xlsx');
+      try {
+        await executeQuery('SELECT id, isinactive, trandate FROM item', 'default', false, undefined, {}, { typed: true, output: outputPath });
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(outputPath);
+        const row = workbook.getWorksheet('Results').getRow(2);
+        expect(row.getCell(1).value).toBe(1);
+        expect(row.getCell(2).value).toBe(false);
+        expect(row.getCell(3).value).toEqual(new Date(Date.UTC(2024, 11, 25)));
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should use NSQL_DATE_FORMAT when the profile has no date format', async () => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      process.env.NSQL_DATE_FORMAT = 'DD/MM/YYYY';
+
+      await executeQuery('SELECT trandate FROM item', 'default', false, 'json', {}, { typed: true });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).items[0].trandate).toBe('2024-12-25');
+    });
+
+    it('should reject an invalid date format before querying', async () => {
+      process.env.NSQL_DATE_FORMAT = 'YYYY';
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+
+      await executeQuery('SELECT id FROM item', 'default', false, 'json', {}, { typed: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith(expect.stringContaining("Error: Invalid date format 'YYYY'"));
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject typed for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'csv', {}, { typed: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: --typed is only supported with the json, ndjson and xlsx formats, not 'csv'");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject typed combined with raw', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'json', {}, { typed: true, raw: true });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: --raw cannot be combined with --typed');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should show the date format in dry-run mode', async () => {
+      await executeQuery('SELECT id FROM item', 'default', true, 'json', {}, { typed: true });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Typed values: dates in', 'D/M/YYYY');
+    });
+  });
+
+  describe('csv dialect options', () => {
+    let writeSpy;
+
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+      mockClient.query.mockResolvedValue({ items: [{ id: '1', memo: 'a;b' }], hasMore: false });
+      writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      writeSpy.mockRestore();
+    });
+
+    it('should use the given delimiter and BOM', async () => {
+      await executeQuery('SELECT id, memo FROM item', 'default', false, 'csv', {}, { delimiter: ';', bom: true });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('\uFEFFid;memo\n1;"a;b"');
+    });
+
+    it('should write tab-separated values for the tsv format', async () => {
+      await executeQuery('SELECT id, memo FROM item', 'default', false, 'tsv');
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('id\tmemo\n1\ta;b');
+    });
+
+    it('should quote every field and leave out the header', async () => {
+      await executeQuery('SELECT id, memo FROM item', 'default', false, 'csv', {}, { quoteAll: true, header: false });
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('"1","a;b"');
+    });
+
+    it('should end lines with CRLF', async () => {
+      await executeQuery('SELECT id, memo FROM item', 'default', false, 'csv', {}, { crlf: true });
+
+      expect(writeSpy).toHaveBeenCalledWith('id,memo\r\n1,a;b\r\n');
+      expect(consoleSpy.log).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid delimiter', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'csv', {}, { delimiter: '||' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid delimiter '||'. Use a single character other than a quote or line break");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a delimiter for the tsv format', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'tsv', {}, { delimiter: ';' });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: --delimiter cannot be used with the tsv format, which always uses tabs');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject csv options for other formats', async () => {
+      await executeQuery('SELECT id FROM item', 'default', false, 'json', {}, { header: false });
+
+      expect(consoleSpy.error).toHaveBeenCalledWith(
+        "Error: --delimiter, --quote-all, --bom, --no-header and --crlf are only supported with the csv and tsv formats, not 'json'"
+      );
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
   describe('dry-run mode', () => {
     it('should work without credentials', async () => {
       // Remove config file if it exists
@@ -310,6 +1342,29 @@ describe('query', () => {
       expect(mockClient.query).not.toHaveBeenCalled();
     });
 
+    it('should show which profile is used and the precedence order', async () => {
+      saveProfile('sb1', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'sb1-realm'
+      });
+      process.env.NSQL_PROFILE = 'sb1';
+
+      try {
+        await executeQuery('SELECT id FROM item', undefined, true);
+      } finally {
+        delete process.env.NSQL_PROFILE;
+      }
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Profile:', "'sb1' (from NSQL_PROFILE)");
+      expect(consoleSpy.log).toHaveBeenCalledWith(
+        'Precedence: OAuth 1.0 environment variables, then OAuth 2.0 environment variables, then the profile from --profile, NSQL_PROFILE, the active profile (nsql-cli profile use), "default"'
+      );
+      expect(consoleSpy.log).toHaveBeenCalledWith('Realm:', 'sb1-realm');
+    });
+
     it('should display baseUrl in dry-run if present', async () => {
       // Ensure config directory exists
       const configDir = require('path').dirname(CONFIG_FILE);
@@ -495,6 +1550,45 @@ describe('query', () => {
       expect(exitSpy).toHaveBeenCalledWith(1);
     });
 
+    it('should show an error when the profile secrets are locked', async () => {
+      saveOAuth1Profile('production', {
+        consumerKey: 'profile-key',
+        consumerSecret: 'profile-secret',
+        token: 'profile-token',
+        tokenSecret: 'profile-token-secret',
+        realm: 'profile-realm'
+      });
+      setPassphrase('correct horse');
+
+      await executeQuery('SELECT * FROM customer', 'production', false);
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Credentials are locked. Run 'nsql-cli credentials unlock' or set NSQL_PASSPHRASE.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(NetsuiteApiClient).not.toHaveBeenCalled();
+    });
+
+    it('should preview a query in dry-run mode while the profile secrets are locked', async () => {
+      saveOAuth1Profile('production', {
+        consumerKey: 'profile-key',
+        consumerSecret: 'profile-secret',
+        token: 'profile-token',
+        tokenSecret: 'profile-token-secret',
+        realm: 'profile-realm'
+      });
+      setPassphrase('correct horse');
+      const before = fs.readFileSync(CONFIG_FILE, 'utf8');
+
+      await executeQuery('SELECT id FROM customer', 'production', true);
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Credentials source:', "profile 'production'");
+      expect(consoleSpy.log).toHaveBeenCalledWith('Auth type:', 'OAuth 1.0 (TBA)');
+      expect(consoleSpy.log).toHaveBeenCalledWith('Realm:', 'profile-realm');
+      expect(consoleSpy.log).toHaveBeenCalledWith('Query:', 'SELECT id FROM customer');
+      expect(consoleSpy.error).not.toHaveBeenCalled();
+      expect(exitSpy).not.toHaveBeenCalled();
+      expect(fs.readFileSync(CONFIG_FILE, 'utf8')).toBe(before);
+    });
+
     it('should show credentials source as environment in dry-run mode', async () => {
       process.env.NSQL_CONSUMER_KEY = 'env-consumer-key';
       process.env.NSQL_CONSUMER_SECRET = 'env-consumer-secret';
@@ -509,6 +1603,160 @@ describe('query', () => {
       expect(consoleSpy.log).toHaveBeenCalledWith('Realm:', 'env-realm');
       expect(mockClient.query).not.toHaveBeenCalled();
     });
+
+    describe('OAuth 2.0', () => {
+      const originalFetch = global.fetch;
+      const results = { ok: true, status: 200, json: async () => ({ items: [{ id: '1' }], hasMore: false, count: 1 }) };
+
+      beforeEach(() => {
+        process.env.NSQL_ACCOUNT_ID = 'TSTDRV1234567';
+      });
+
+      afterEach(() => {
+        global.fetch = originalFetch;
+      });
+
+      it('should refresh the access token in memory without writing the config', async () => {
+        process.env.NSQL_CLIENT_ID = 'env-client-id';
+        process.env.NSQL_CLIENT_SECRET = 'env-client-secret';
+        process.env.NSQL_REFRESH_TOKEN = 'env-refresh-token';
+        global.fetch = jest.fn()
+          .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ access_token: 'fresh-access-token', expires_in: 3600 }) })
+          .mockResolvedValueOnce(results);
+
+        await executeQuery('SELECT id FROM customer', 'default', false, 'json');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(global.fetch.mock.calls[0][0]).toBe('https://tstdrv1234567.suitetalk.api.netsuite.com/services/rest/auth/oauth2/v1/token');
+        expect(global.fetch.mock.calls[0][1].body).toContain('refresh_token=env-refresh-token');
+        expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh-access-token');
+        expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).items).toEqual([{ id: '1' }]);
+        expect(fs.existsSync(CONFIG_FILE)).toBe(false);
+        expect(exitSpy).not.toHaveBeenCalled();
+      });
+
+      it('should use an access token as it is', async () => {
+        process.env.NSQL_ACCESS_TOKEN = 'env-access-token';
+        global.fetch = jest.fn().mockResolvedValueOnce(results);
+
+        await executeQuery('SELECT id FROM customer', 'default', false, 'json');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer env-access-token');
+        expect(fs.existsSync(CONFIG_FILE)).toBe(false);
+      });
+
+      it('should take precedence over a profile', async () => {
+        saveOAuth2Profile('default', { accountId: 'PROFILE1', clientId: 'client-id', clientSecret: 'client-secret' });
+        process.env.NSQL_ACCESS_TOKEN = 'env-access-token';
+        global.fetch = jest.fn().mockResolvedValueOnce(results);
+        const before = fs.readFileSync(CONFIG_FILE, 'utf8');
+
+        await executeQuery('SELECT id FROM customer', 'default', false, 'json');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('https://tstdrv1234567.suitetalk.api.netsuite.com/');
+        expect(fs.readFileSync(CONFIG_FILE, 'utf8')).toBe(before);
+      });
+
+      it('should point at the environment variables when the refresh fails', async () => {
+        process.env.NSQL_CLIENT_ID = 'env-client-id';
+        process.env.NSQL_CLIENT_SECRET = 'env-client-secret';
+        process.env.NSQL_REFRESH_TOKEN = 'expired-refresh-token';
+        global.fetch = jest.fn().mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          text: async () => JSON.stringify({ error: 'invalid_grant' })
+        });
+
+        await executeQuery('SELECT id FROM customer', 'default', false, 'json');
+
+        expect(consoleSpy.error).toHaveBeenCalledWith('Token refresh failed: Token refresh failed (400): invalid_grant');
+        expect(consoleSpy.error).toHaveBeenCalledWith('Check NSQL_CLIENT_ID, NSQL_CLIENT_SECRET and NSQL_REFRESH_TOKEN, or set a current NSQL_ACCESS_TOKEN.');
+        expect(exitSpy).toHaveBeenCalledWith(1);
+      });
+
+      it('should report the variables used in dry-run mode', async () => {
+        process.env.NSQL_CLIENT_ID = 'env-client-id';
+        process.env.NSQL_CLIENT_SECRET = 'env-client-secret';
+        process.env.NSQL_REFRESH_TOKEN = 'env-refresh-token';
+
+        await executeQuery('SELECT id FROM customer', 'default', true);
+
+        expect(consoleSpy.log).toHaveBeenCalledWith('Credentials source:', 'environment variables');
+        expect(consoleSpy.log).toHaveBeenCalledWith('Environment variables:', 'NSQL_ACCOUNT_ID, NSQL_CLIENT_ID, NSQL_CLIENT_SECRET, NSQL_REFRESH_TOKEN');
+        expect(consoleSpy.log).toHaveBeenCalledWith('Auth type:', 'OAuth 2.0');
+        expect(consoleSpy.log).toHaveBeenCalledWith('Realm:', 'TSTDRV1234567');
+      });
+    });
+  });
+
+  describe('client credentials profiles', () => {
+    const originalFetch = global.fetch;
+    const keyPath = path.join(testHomeDir, `nsql-cli-test-key-${process.pid}.pem`);
+    const results = { ok: true, status: 200, json: async () => ({ items: [{ id: '1' }], hasMore: false, count: 1 }) };
+
+    beforeAll(() => {
+      const { privateKey } = require('crypto').generateKeyPairSync('rsa', { modulusLength: 2048 });
+      fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    });
+
+    beforeEach(() => {
+      saveClientCredentialsProfile('m2m', { accountId: 'TSTDRV1234567', clientId: 'client-id', certificateId: 'cert-id', privateKeyPath: keyPath });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(keyPath);
+    });
+
+    it('should request an access token with the certificate and cache it', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ access_token: 'm2m-access-token', expires_in: 3600 }) })
+        .mockResolvedValueOnce(results);
+
+      await executeQuery('SELECT id FROM customer', 'm2m', false, 'json');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][1].body).toContain('grant_type=client_credentials');
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer m2m-access-token');
+      expect(getProfile('m2m').accessToken).toBe('m2m-access-token');
+      expect(getProfile('m2m').tokenExpiry).toBeGreaterThan(Date.now());
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should reuse a cached access token until it expires', async () => {
+      saveClientCredentialsToken('m2m', { accessToken: 'cached-token', tokenExpiry: Date.now() + 3600000 });
+      global.fetch = jest.fn().mockResolvedValueOnce(results);
+
+      await executeQuery('SELECT id FROM customer', 'm2m', false, 'json');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer cached-token');
+    });
+
+    it('should point at the profile setup when the token request fails', async () => {
+      global.fetch = jest.fn().mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        text: async () => JSON.stringify({ error: 'invalid_client' })
+      });
+
+      await executeQuery('SELECT id FROM customer', 'm2m', false, 'json');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Token request failed (401): invalid_client');
+      expect(consoleSpy.error).toHaveBeenCalledWith("Check the client ID, certificate ID and private key with 'nsql-cli configure --profile m2m'.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should report the auth type in dry-run mode', async () => {
+      await executeQuery('SELECT id FROM customer', 'm2m', true);
+
+      expect(consoleSpy.log).toHaveBeenCalledWith('Auth type:', 'OAuth 2.0 client credentials (M2M)');
+      expect(consoleSpy.log).toHaveBeenCalledWith('Realm:', 'TSTDRV1234567');
+    });
   });
 
   describe('format validation', () => {
@@ -533,7 +1781,7 @@ describe('query', () => {
     it('should reject invalid format', async () => {
       await executeQuery('SELECT * FROM customer', 'default', false, 'invalid');
 
-      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid format 'invalid'. Supported formats: json, csv");
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid format 'invalid'. Supported formats: json, csv, tsv, ndjson, table, markdown, html, xlsx, sqlite, sql");
       expect(exitSpy).toHaveBeenCalledWith(1);
       // Note: Since process.exit is mocked, the code continues, but in production it would exit
       // We verify that the error was logged and exit was called
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('netsuite-api-client');
+// Keep decodeTokenClaims, so getTokenRole reads real access tokens
+jest.mock('../lib/oauth2', () => ({
+  ...jest.requireActual('../lib/oauth2'),
+  refreshAccessToken: jest.fn(),
+  requestClientCredentialsToken: jest.fn(),
+}));
+
+const { NetsuiteApiClient } = require('netsuite-api-client');
+const { refreshAccessToken, requestClientCredentialsToken } = require('../lib/oauth2');
+const {
+  getSchemaCachePath,
+  readSchemaCache,
+  writeSchemaCache,
+  findRecord,
+  parseRecordMetadata,
+  getTokenRole,
+  searchCache,
+  pullSchema,
+  searchSchema
+} = require('../lib/schema');
+const { saveProfile, saveOAuth2Profile, saveOAuth2Tokens, saveClientCredentialsProfile, setPassphrase, lockCredentials, CONFIG_FILE } = require('../lib/config');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+  error: jest.spyOn(console, 'error').mockImplementation()
+};
+const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+const schemas = {
+  customer: {
+    title: 'Customer',
+    properties: {
+      links: { type: 'array' },
+      companyName: { type: 'string', title: 'Company Name' },
+      email: { type: 'string', format: 'email', title: 'Email' },
+      currency: { type: 'object', title: 'Currency', $ref: '/services/rest/record/v1/metadata-catalog/currency' }
+    }
+  },
+  contact: {
+    title: 'Contact',
+    properties: {
+      email: { type: 'string', title: 'Email' },
+      company: { type: 'object', title: 'Company', $ref: '/services/rest/record/v1/metadata-catalog/customer' }
+    }
+  }
+};
+
+const cache = {
+  account: 'test_realm',
+  records: [
+    parseRecordMetadata('customer', schemas.customer),
+    parseRecordMetadata('contact', schemas.contact)
+  ]
+};
+
+describe('schema', () => {
+  const cachePath = getSchemaCachePath('test-realm');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    fs.rmSync(cachePath, { force: true });
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    fs.rmSync(cachePath, { force: true });
+  });
+
+  describe('parseRecordMetadata', () => {
+    it('should read the fields with their types, labels and join targets', () => {
+      const record = parseRecordMetadata('customer', {
+        title: 'Customer',
+        properties: {
+          links: { type: 'array', title: 'Links' },
+          companyName: { type: 'string', title: 'Company Name' },
+          balance: { type: 'number', format: 'double', title: 'Balance' },
+          currency: { type: 'object', title: 'Currency', $ref: '/services/rest/record/v1/metadata-catalog/currency' },
+          subsidiary: { $ref: '#/components/schemas/subsidiary', title: 'Primary Subsidiary' },
+          contactRoles: { type: 'array', title: 'Contacts', items: { $ref: '/services/rest/record/v1/metadata-catalog/contact' } },
+          categories: { type: 'array', title: 'Categories', items: { type: 'string' } }
+        }
+      });
+
+      expect(record.id).toBe('customer');
+      expect(record.label).toBe('Customer');
+      expect(record.fields).toEqual([
+        { id: 'companyName', label: 'Company Name', type: 'string', join: null },
+        { id: 'balance', label: 'Balance', type: 'double', join: null },
+        { id: 'currency', label: 'Currency', type: 'object', join: 'currency' },
+        { id: 'subsidiary', label: 'Primary Subsidiary', type: 'object', join: 'subsidiary' },
+        { id: 'contactRoles', label: 'Contacts', type: 'array', join: 'contact' },
+        { id: 'categories', label: 'Categories', type: 'array of string', join: null }
+      ]);
+    });
+
+    it('should handle a schema without properties', () => {
+      expect(parseRecordMetadata('customer', {})).toEqual({ id: 'customer', label: '', fields: [] });
+    });
+  });
+
+  describe('writeSchemaCache', () => {
+    it('should write a cache that readSchemaCache can read', () => {
+      const written = writeSchemaCache('TEST-REALM', cache);
+
+      expect(written).toBe(cachePath);
+      expect(readSchemaCache('test_realm')).toEqual(cache);
+      expect(fs.readdirSync(path.dirname(cachePath)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+
+  describe('findRecord', () => {
+    it('should find a record type case-insensitively', () => {
+      expect(findRecord(cache, 'Contact').label).toBe('Contact');
+      expect(findRecord(cache, 'vendor')).toBeNull();
+    });
+  });
+
+  describe('getTokenRole', () => {
+    it('should read the role from the subject of a JWT access token', () => {
+      const payload = Buffer.from(JSON.stringify({ sub: '3;-5' })).toString('base64url');
+      expect(getTokenRole(`header.${payload}.signature`)).toBe('3');
+    });
+
+    it('should return null for tokens that are not JWTs', () => {
+      expect(getTokenRole('opaque-token')).toBeNull();
+      expect(getTokenRole('a.not-json.c')).toBeNull();
+      expect(getTokenRole(undefined)).toBeNull();
+    });
+  });
+
+  describe('searchCache', () => {
+    it('should find record types and fields by ID or label', () => {
+      expect(searchCache(cache, 'EMAIL')).toEqual([
+        { record: 'customer', field: 'email', type: 'email', label: 'Email', join: '' },
+        { record: 'contact', field: 'email', type: 'string', label: 'Email', join: '' }
+      ]);
+      expect(searchCache(cache, 'compan')).toEqual([
+        { record: 'customer', field: 'companyName', type: 'string', label: 'Company Name', join: '' },
+        { record: 'contact', field: 'company', type: 'object', label: 'Company', join: 'customer' }
+      ]);
+      expect(searchCache(cache, 'contact')[0]).toEqual({ record: 'contact', field: '', type: '', label: 'Contact', join: '' });
+    });
+  });
+
+  describe('pullSchema', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'TEST-REALM'
+      });
+      mockClient = {
+        request: jest.fn(async ({ path: requestPath }) => {
+          const recordType = requestPath.split('/')[3];
+          if (!recordType) {
+            return { statusCode: 200, data: { items: [{ name: 'customer' }, { name: 'contact' }, { name: 'secret' }] } };
+          }
+          if (!schemas[recordType]) {
+            throw new Error('Response code 403 (Forbidden)');
+          }
+          return { statusCode: 200, data: schemas[recordType] };
+        })
+      };
+      NetsuiteApiClient.mockImplementation(() => mockClient);
+    });
+
+    it('should cache every record type visible to the role', async () => {
+      await pullSchema('default');
+
+      const pulled = readSchemaCache('test-realm');
+      expect(pulled.account).toBe('test_realm');
+      expect(pulled.profile).toBe('default');
+      expect(pulled).not.toHaveProperty('role');
+      expect(new Date(pulled.pulledAt).getTime()).not.toBeNaN();
+      expect(pulled.records).toEqual(cache.records);
+      expect(consoleSpy.error).toHaveBeenCalledWith('Warning: skipped 1 record types that could not be read: secret');
+      expect(consoleSpy.log).toHaveBeenCalledWith(`Saved 2 record types with 5 fields to ${cachePath}`);
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should record the role of an OAuth 2.0 profile', async () => {
+      const payload = Buffer.from(JSON.stringify({ sub: '1022;7' })).toString('base64url');
+      saveOAuth2Profile('oauth', { accountId: 'TEST-REALM', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', { accessToken: `h.${payload}.s`, refreshToken: 'refresh-token', tokenExpiry: Date.now() + 3600000 });
+      global.fetch = jest.fn(async url => ({
+        ok: true,
+        status: 200,
+        json: async () => (url.endsWith('/metadata-catalog') ? { items: [{ name: 'contact' }] } : schemas.contact)
+      }));
+
+      await pullSchema('oauth');
+
+      const pulled = readSchemaCache('test-realm');
+      expect(pulled.role).toBe('1022');
+      expect(pulled.records.map(record => record.id)).toEqual(['contact']);
+    });
+
+    it('should record the role of the token a client credentials profile requests', async () => {
+      const payload = Buffer.from(JSON.stringify({ sub: '3;42' })).toString('base64url');
+      saveClientCredentialsProfile('m2m', { accountId: 'TEST-REALM', clientId: 'client-id', certificateId: 'cert-id', privateKeyPath: '/keys/private.pem' });
+      requestClientCredentialsToken.mockResolvedValue({ accessToken: `h.${payload}.s`, tokenExpiry: Date.now() + 3600000 });
+      global.fetch = jest.fn(async url => ({
+        ok: true,
+        status: 200,
+        json: async () => (url.endsWith('/metadata-catalog') ? { items: [{ name: 'contact' }] } : schemas.contact)
+      }));
+
+      await pullSchema('m2m');
+
+      expect(requestClientCredentialsToken).toHaveBeenCalledTimes(1);
+      expect(readSchemaCache('test-realm').role).toBe('3');
+    });
+
+    it('should record the role of a refreshed OAuth 2.0 token', async () => {
+      const token = sub => `h.${Buffer.from(JSON.stringify({ sub })).toString('base64url')}.s`;
+      saveOAuth2Profile('oauth', { accountId: 'TEST-REALM', clientId: 'client-id', clientSecret: 'client-secret' });
+      saveOAuth2Tokens('oauth', { accessToken: token('1022;7'), refreshToken: 'refresh-token', tokenExpiry: Date.now() - 1000 });
+      refreshAccessToken.mockResolvedValue({ accessToken: token('1033;7'), refreshToken: 'refresh-token', expiresIn: 3600 });
+      global.fetch = jest.fn(async url => ({
+        ok: true,
+        status: 200,
+        json: async () => (url.endsWith('/metadata-catalog') ? { items: [{ name: 'contact' }] } : schemas.contact)
+      }));
+
+      await pullSchema('oauth');
+
+      expect(readSchemaCache('test-realm').role).toBe('1033');
+    });
+
+    it('should keep the previous cache when no record type can be read', async () => {
+      writeSchemaCache('test-realm', cache);
+      mockClient.request.mockImplementation(async ({ path: requestPath }) => {
+        if (requestPath === 'record/v1/metadata-catalog') {
+          return { statusCode: 200, data: { items: [{ name: 'secret' }] } };
+        }
+        throw new Error('Response code 403 (Forbidden)');
+      });
+
+      await pullSchema('default');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith('Error: None of the 1 record types could be read; the schema cache was not changed.');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(readSchemaCache('test-realm')).toEqual(cache);
+    });
+  });
+
+  describe('searchSchema', () => {
+    beforeEach(() => {
+      saveProfile('default', {
+        consumerKey: 'test-key',
+        consumerSecret: 'test-secret',
+        token: 'test-token',
+        tokenSecret: 'test-token-secret',
+        realm: 'test-realm'
+      });
+    });
+
+    it('should print the matches from the cache', () => {
+      writeSchemaCache('test-realm', cache);
+
+      searchSchema('email', 'default', { format: 'json' });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).map(match => match.record)).toEqual(['customer', 'contact']);
+      expect(NetsuiteApiClient).toHaveBeenCalledTimes(0);
+    });
+
+    it('should search while the credentials are locked', () => {
+      writeSchemaCache('test-realm', cache);
+      setPassphrase('correct horse');
+      lockCredentials();
+
+      searchSchema('email', 'default', { format: 'json' });
+
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0]).map(match => match.record)).toEqual(['customer', 'contact']);
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should print the matches as a table', () => {
+      writeSchemaCache('test-realm', cache);
+
+      searchSchema('currency', 'default');
+
+      expect(consoleSpy.log.mock.calls[0][0].split('\n')[0]).toMatch(/^record\s+\| field\s+\| type\s+\| label\s+\| join$/);
+    });
+
+    it('should print the role that pulled the cache below the table', () => {
+      writeSchemaCache('test-realm', { ...cache, profile: 'default', pulledAt: '2024-01-02T03:04:05.000Z', role: '1022' });
+
+      searchSchema('currency', 'default');
+
+      expect(consoleSpy.log.mock.calls[1][0]).toMatch(/^Schema cache pulled .+ by profile 'default' with role 1022\.$/);
+    });
+
+    it('should say the role is unknown for a cache pulled with OAuth 1.0', () => {
+      writeSchemaCache('test-realm', { ...cache, profile: 'default', pulledAt: '2024-01-02T03:04:05.000Z' });
+
+      searchSchema('currency', 'default');
+
+      expect(consoleSpy.log.mock.calls[1][0]).toMatch(/; its role is unknown, as OAuth 1\.0 does not report it\.$/);
+    });
+
+    it('should keep the JSON output to the matches', () => {
+      writeSchemaCache('test-realm', { ...cache, profile: 'default', pulledAt: '2024-01-02T03:04:05.000Z', role: '1022' });
+
+      searchSchema('currency', 'default', { format: 'json' });
+
+      expect(consoleSpy.log).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ask to pull the schema when there is no cache', () => {
+      searchSchema('email', 'default');
+
+      expect(consoleSpy.error).toHaveBeenCalledWith("Error: No schema cache for profile 'default'. Run 'nsql-cli schema pull --profile default' first.");
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+});
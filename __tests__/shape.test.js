@@ -0,0 +1,94 @@
+const { stripHypermedia, parseColumnSpec, projectRow, shapePage, shapePages } = require('../lib/shape');
+
+describe('shape', () => {
+  describe('stripHypermedia', () => {
+    it('should remove links and keep other fields', () => {
+      expect(stripHypermedia({ id: '1', links: [{ rel: 'self' }], name: 'A' })).toEqual({ id: '1', name: 'A' });
+    });
+
+    it('should not modify the original object', () => {
+      const row = { id: '1', links: [] };
+
+      stripHypermedia(row);
+
+      expect(row).toEqual({ id: '1', links: [] });
+    });
+
+    it('should pass through non-objects', () => {
+      expect(stripHypermedia(null)).toBeNull();
+      expect(stripHypermedia('x')).toBe('x');
+    });
+  });
+
+  describe('shapePage', () => {
+    it('should remove links from the envelope and every row', () => {
+      const page = {
+        links: [{ rel: 'next' }],
+        count: 2,
+        hasMore: true,
+        items: [{ id: '1', links: [] }, { id: '2', links: [] }]
+      };
+
+      expect(shapePage(page)).toEqual({ count: 2, hasMore: true, items: [{ id: '1' }, { id: '2' }] });
+    });
+
+    it('should project rows onto a column list', () => {
+      const page = { links: [], items: [{ id: '1', links: [] }] };
+
+      expect(shapePage(page, { columns: parseColumnSpec('name,id:ID') })).toEqual({ items: [{ name: null, ID: '1' }] });
+    });
+
+    it('should handle pages without items', () => {
+      expect(shapePage({ links: [], hasMore: false })).toEqual({ hasMore: false });
+    });
+  });
+
+  describe('parseColumnSpec', () => {
+    it('should parse names and renames in order', () => {
+      expect(parseColumnSpec('id, TranID:TranNumber ,amount')).toEqual([
+        { source: 'id', name: 'id' },
+        { source: 'tranid', name: 'TranNumber' },
+        { source: 'amount', name: 'amount' }
+      ]);
+    });
+
+    it('should reject empty and malformed entries', () => {
+      expect(() => parseColumnSpec('id,,amount')).toThrow("Invalid column '' in --columns");
+      expect(() => parseColumnSpec('a:b:c')).toThrow("Invalid column 'a:b:c' in --columns");
+      expect(() => parseColumnSpec('tranid:')).toThrow("Invalid column 'tranid:' in --columns");
+    });
+
+    it('should reject duplicate output names', () => {
+      expect(() => parseColumnSpec('id,tranid:id')).toThrow("Column 'id' appears more than once in --columns");
+    });
+  });
+
+  describe('projectRow', () => {
+    it('should pick, order and rename columns and fill in missing ones', () => {
+      const columns = parseColumnSpec('amount,tranid:TranNumber,memo');
+
+      expect(projectRow({ tranid: 'SO1', id: '1', amount: '5', links: [] }, columns)).toEqual({
+        amount: '5',
+        TranNumber: 'SO1',
+        memo: null
+      });
+      expect(Object.keys(projectRow({}, columns))).toEqual(['amount', 'TranNumber', 'memo']);
+    });
+  });
+
+  describe('shapePages', () => {
+    it('should shape each page of a stream', async () => {
+      async function* pages() {
+        yield { links: [], items: [{ id: '1', links: [] }] };
+        yield { links: [], items: [{ id: '2', links: [] }] };
+      }
+
+      const shaped = [];
+      for await (const page of shapePages(pages())) {
+        shaped.push(page);
+      }
+
+      expect(shaped).toEqual([{ items: [{ id: '1' }] }, { items: [{ id: '2' }] }]);
+    });
+  });
+});
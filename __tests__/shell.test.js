@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { PassThrough } = require('stream');
+
+// Mock os.homedir() to use a temporary directory before requiring config
+const testConfigDir = path.join(os.tmpdir(), `suiteql-cli-test-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+const testHomeDir = path.dirname(testConfigDir);
+
+jest.spyOn(os, 'homedir').mockReturnValue(testHomeDir);
+
+jest.mock('netsuite-api-client');
+jest.mock('../lib/oauth2');
+
+const { NetsuiteApiClient } = require('netsuite-api-client');
+const { refreshAccessToken } = require('../lib/oauth2');
+const { startShell } = require('../lib/shell');
+const { getProfile, saveProfile, saveOAuth2Profile, saveOAuth2Tokens, decryptOAuth2Profile, CONFIG_FILE } = require('../lib/config');
+
+const consoleSpy = {
+  log: jest.spyOn(console, 'log').mockImplementation(),
+  error: jest.spyOn(console, 'error').mockImplementation()
+};
+const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+describe('shell', () => {
+  let mockClient;
+  let tempDir;
+  let historyFile;
+
+  function runShell(lines, options = {}, io = {}) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    output.resume();
+    const done = startShell(options.profile || 'default', { historyFile, ...options }, { input, output, terminal: false, ...io });
+    input.end(lines.map(line => `${line}\n`).join(''));
+    return done;
+  }
+
+  const logged = () => consoleSpy.log.mock.calls.map(call => call.join(' '));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-shell-'));
+    historyFile = path.join(tempDir, 'history');
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+    saveProfile('default', {
+      consumerKey: 'test-key',
+      consumerSecret: 'test-secret',
+      token: 'test-token',
+      tokenSecret: 'test-token-secret',
+      realm: 'test-realm'
+    });
+    mockClient = { query: jest.fn().mockResolvedValue({ items: [{ id: '1', name: 'A', links: [] }], hasMore: false }) };
+    NetsuiteApiClient.mockImplementation(() => mockClient);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+  });
+
+  it('should run statements once they end with a semicolon', async () => {
+    await runShell(['SELECT id, name', 'FROM item;', 'SELECT id FROM customer; SELECT id', 'FROM vendor;']);
+
+    expect(mockClient.query.mock.calls.map(call => call[0])).toEqual([
+      'SELECT id, name FROM item',
+      'SELECT id FROM customer',
+      'SELECT id FROM vendor'
+    ]);
+    expect(NetsuiteApiClient).toHaveBeenCalledTimes(1);
+    expect(consoleSpy.log.mock.calls[0][0].split('\n')[0]).toBe('id | name');
+  });
+
+  it('should not split on semicolons inside string literals', async () => {
+    await runShell(["SELECT id FROM item WHERE itemid = 'a;b';"]);
+
+    expect(mockClient.query).toHaveBeenCalledWith("SELECT id FROM item WHERE itemid = 'a;b'");
+  });
+
+  it('should warn about an unterminated statement at the end of input', async () => {
+    await runShell(['SELECT id FROM item']);
+
+    expect(mockClient.query).not.toHaveBeenCalled();
+    expect(consoleSpy.error).toHaveBeenCalledWith('Warning: the last statement did not end with ; and was not run.');
+  });
+
+  it('should switch format and limit with meta-commands', async () => {
+    await runShell(['\\format json', '\\limit 10', 'SELECT id, name FROM item;', '\\format', '\\limit']);
+
+    expect(mockClient.query).toHaveBeenCalledWith('SELECT id, name FROM item', 10, 0);
+    expect(JSON.parse(consoleSpy.log.mock.calls[2][0])).toEqual({ items: [{ id: '1', name: 'A' }], hasMore: false });
+    expect(logged()).toEqual(expect.arrayContaining(['Format: json', 'Limit: 10 rows per statement']));
+  });
+
+  it('should reject invalid meta-command values and keep running', async () => {
+    await runShell(['\\format xlsx', '\\limit 5000', '\\bogus', 'SELECT id FROM item;']);
+
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid format 'xlsx'. Supported formats in the shell: table, json, csv, tsv, ndjson, markdown, html, sql");
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid limit '5000'. Must be an integer between 1 and 1000");
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: Unknown command '\\bogus'. Type \\help for the list of commands");
+    expect(mockClient.query).toHaveBeenCalledTimes(1);
+    expect(exitSpy).not.toHaveBeenCalled();
+  });
+
+  it('should switch profiles and keep the current one when the new one is missing', async () => {
+    saveProfile('prod', {
+      consumerKey: 'prod-key',
+      consumerSecret: 'prod-secret',
+      token: 'prod-token',
+      tokenSecret: 'prod-token-secret',
+      realm: 'prod-realm'
+    });
+
+    await runShell(['\\profile missing', '\\profile prod', 'SELECT id FROM item;', '\\profile']);
+
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: No credentials found for profile 'missing'. Run 'nsql-cli configure --profile missing' to set it up.");
+    expect(NetsuiteApiClient).toHaveBeenLastCalledWith(expect.objectContaining({ realm: 'prod-realm' }));
+    expect(logged()).toContain("Profile: 'prod' (OAuth 1.0 (TBA))");
+  });
+
+  it('should print query errors and keep running', async () => {
+    mockClient.query
+      .mockRejectedValueOnce(new Error('Invalid search query'))
+      .mockResolvedValueOnce({ items: [], hasMore: false });
+
+    await runShell(['SELECT bad FROM item;', 'SELECT id FROM item;']);
+
+    expect(consoleSpy.error).toHaveBeenCalledWith('Error executing query:', 'Invalid search query');
+    expect(mockClient.query).toHaveBeenCalledTimes(2);
+    expect(exitSpy).not.toHaveBeenCalled();
+  });
+
+  it('should stop at \\q', async () => {
+    await runShell(['\\q', 'SELECT id FROM item;']);
+
+    expect(mockClient.query).not.toHaveBeenCalled();
+  });
+
+  it('should exit when the profile has no credentials', async () => {
+    await runShell([], { profile: 'missing' });
+
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: No credentials found for profile 'missing'. Run 'nsql-cli configure --profile missing' to set it up.");
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should exit for an unsupported initial format', async () => {
+    await runShell([], { format: 'sqlite' });
+
+    expect(consoleSpy.error).toHaveBeenCalledWith("Error: Invalid format 'sqlite'. Supported formats in the shell: table, json, csv, tsv, ndjson, markdown, html, sql");
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should refresh an expired OAuth 2.0 token once and reuse it across statements', async () => {
+    saveOAuth2Profile('oauth', { accountId: 'TSTDRV1234567', clientId: 'client-id', clientSecret: 'client-secret' });
+    saveOAuth2Tokens('oauth', { accessToken: 'old-token', refreshToken: 'refresh-token', tokenExpiry: Date.now() - 1000 });
+    refreshAccessToken.mockResolvedValue({ accessToken: 'new-token', refreshToken: 'new-refresh-token', expiresIn: 3600 });
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ items: [{ id: '1' }], hasMore: false }) });
+
+    await runShell(['SELECT id FROM item;', 'SELECT id FROM customer;'], { profile: 'oauth' });
+
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new-token');
+    expect(decryptOAuth2Profile(getProfile('oauth')).refreshToken).toBe('new-refresh-token');
+  });
+
+  it('should keep history in interactive mode', async () => {
+    fs.writeFileSync(historyFile, 'SELECT 1 FROM dual;\n');
+
+    await runShell(['SELECT id FROM item;', '\\q'], {}, { terminal: true });
+
+    expect(fs.readFileSync(historyFile, 'utf8')).toBe('SELECT 1 FROM dual;\nSELECT id FROM item;\n\\q\n');
+    expect((fs.statSync(historyFile).mode & 0o777).toString(8)).toBe('600');
+  });
+});
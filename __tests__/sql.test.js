@@ -0,0 +1,126 @@
+const { createSqlWriter, formatAsSql, formatLiteral, quoteIdentifier } = require('../lib/sql');
+
+describe('sql', () => {
+  describe('quoteIdentifier', () => {
+    it('should quote identifiers for each dialect', () => {
+      expect(quoteIdentifier('items', 'postgres')).toBe('"items"');
+      expect(quoteIdentifier('my"table', 'sqlite')).toBe('"my""table"');
+      expect(quoteIdentifier('my`table', 'mysql')).toBe('`my``table`');
+    });
+  });
+
+  describe('formatLiteral', () => {
+    it('should format NULL and numbers', () => {
+      expect(formatLiteral(null, 'postgres')).toBe('NULL');
+      expect(formatLiteral(42, 'mysql')).toBe('42');
+      expect(formatLiteral(-1.5, 'sqlite')).toBe('-1.5');
+    });
+
+    it('should double single quotes for postgres and sqlite', () => {
+      expect(formatLiteral("O'Brien", 'postgres')).toBe("'O''Brien'");
+      expect(formatLiteral('C:\\temp\nnext', 'sqlite')).toBe("'C:\\temp\nnext'");
+    });
+
+    it('should backslash-escape special characters for mysql', () => {
+      expect(formatLiteral("O'Brien", 'mysql')).toBe("'O\\'Brien'");
+      expect(formatLiteral('C:\\temp\nnext\r\t\0\x1a', 'mysql')).toBe("'C:\\\\temp\\nnext\\r\\t\\0\\Z'");
+    });
+  });
+
+  describe('createSqlWriter', () => {
+    it('should create the table with inferred column types per dialect', () => {
+      const items = [{ id: '1', itemid: '00123', rate: '9.99', links: [] }];
+
+      expect(formatAsSql({ items }, { dialect: 'postgres', table: 'items' })).toBe([
+        'BEGIN;',
+        'CREATE TABLE "items" (',
+        '  "id" BIGINT,',
+        '  "itemid" TEXT,',
+        '  "rate" NUMERIC',
+        ');',
+        'INSERT INTO "items" ("id", "itemid", "rate") VALUES',
+        "  (1, '00123', 9.99);",
+        'COMMIT;'
+      ].join('\n'));
+      expect(formatAsSql({ items }, { dialect: 'mysql' })).toContain('`rate` DOUBLE');
+      expect(formatAsSql({ items }, { dialect: 'sqlite' })).toContain('"id" INTEGER');
+    });
+
+    it('should type decimals without a leading zero as numbers', () => {
+      const items = [{ amount: '.5' }, { amount: '-.25' }];
+
+      expect(formatAsSql({ items }, { dialect: 'postgres', table: 'items' })).toBe([
+        'BEGIN;',
+        'CREATE TABLE "items" (',
+        '  "amount" NUMERIC',
+        ');',
+        'INSERT INTO "items" ("amount") VALUES',
+        '  (0.5),',
+        '  (-0.25);',
+        'COMMIT;'
+      ].join('\n'));
+      expect(formatAsSql({ items }, { dialect: 'mysql' })).toContain('`amount` DOUBLE');
+      expect(formatAsSql({ items }, { dialect: 'sqlite' })).toContain('"amount" REAL');
+    });
+
+    it('should drop the links column', () => {
+      const sql = formatAsSql({ items: [{ id: '1', links: [{ rel: 'self' }] }] });
+
+      expect(sql).not.toContain('links');
+      expect(sql).not.toContain('self');
+    });
+
+    it('should use the SELECT list for column order and write NULL for missing values', () => {
+      const sql = formatAsSql({ items: [{ name: 'A' }] }, { columns: ['id', 'name'] });
+
+      expect(sql).toContain('("id", "name") VALUES\n  (NULL, \'A\');');
+      expect(sql).toContain('"id" TEXT');
+    });
+
+    it('should split pages into batches of 500 rows', () => {
+      const items = Array.from({ length: 1001 }, (_, index) => ({ id: String(index + 1) }));
+
+      const sql = formatAsSql({ items });
+
+      expect(sql.match(/INSERT INTO/g)).toHaveLength(3);
+      expect(sql).toContain('  (500)');
+      expect(sql).toContain('  (1001);');
+    });
+
+    it('should add columns that first appear on later pages', () => {
+      const writer = createSqlWriter({ table: 'items' });
+
+      writer.writeRows([{ id: '1' }]);
+      const second = writer.writeRows([{ id: '2', memo: 'late' }]);
+
+      expect(second).toBe([
+        'ALTER TABLE "items" ADD COLUMN "memo" TEXT;',
+        'INSERT INTO "items" ("id", "memo") VALUES',
+        "  (2, 'late');"
+      ].join('\n'));
+    });
+
+    it('should write values that do not match a numeric column as text', () => {
+      const writer = createSqlWriter();
+
+      writer.writeRows([{ qty: '1' }]);
+
+      expect(writer.writeRows([{ qty: 'n/a' }])).toContain("  ('n/a');");
+    });
+
+    it('should write nothing when no columns can be determined', () => {
+      const writer = createSqlWriter();
+
+      expect(writer.writeRows([])).toBeNull();
+      expect(writer.end()).toBeNull();
+    });
+
+    it('should create an empty table when the columns are known', () => {
+      expect(formatAsSql({ items: [] }, { columns: ['id'] })).toBe('BEGIN;\nCREATE TABLE "results" (\n  "id" TEXT\n);\nCOMMIT;');
+    });
+
+    it('should reject unknown dialects', () => {
+      expect(() => createSqlWriter({ dialect: 'oracle' })).toThrow("Invalid dialect 'oracle'. Supported dialects: postgres, mysql, sqlite");
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Database = require('better-sqlite3');
+
+const { openSqliteTable, writeSqlite, inferColumnType, toSqlValue } = require('../lib/sqlite');
+
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    yield page;
+  }
+}
+
+describe('sqlite', () => {
+  let tempDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-sqlite-'));
+    dbPath = path.join(tempDir, 'netsuite.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function query(sql) {
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      return db.prepare(sql).all();
+    } finally {
+      db.close();
+    }
+  }
+
+  function columnsOf(table) {
+    return query(`PRAGMA table_info(${table})`).map(info => `${info.name} ${info.type}`);
+  }
+
+  async function exportPages(pages, options = {}) {
+    const target = openSqliteTable(dbPath, { table: 'items', ...options });
+    const rowCount = await writeSqlite(pagesOf(...pages), target, { columns: options.columns });
+    target.close();
+    return rowCount;
+  }
+
+  describe('inferColumnType', () => {
+    it('should detect integers and reals', () => {
+      expect(inferColumnType(['1', '-20', 3])).toBe('INTEGER');
+      expect(inferColumnType(['1', '2.5'])).toBe('REAL');
+    });
+
+    it('should detect decimals without a leading zero as reals', () => {
+      expect(inferColumnType(['.5', '12.25'])).toBe('REAL');
+      expect(inferColumnType(['-.25'])).toBe('REAL');
+    });
+
+    it('should keep leading zeros, unsafe integers and other values as text', () => {
+      expect(inferColumnType(['00123'])).toBe('TEXT');
+      expect(inferColumnType(['12345678901234567890'])).toBe('TEXT');
+      expect(inferColumnType(['2024-01-15'])).toBe('TEXT');
+      expect(inferColumnType(['1', 'T'])).toBe('TEXT');
+    });
+  });
+
+  describe('toSqlValue', () => {
+    it('should convert numeric strings in numeric columns', () => {
+      expect(toSqlValue('42', 'INTEGER')).toBe(42);
+      expect(toSqlValue('2.5', 'REAL')).toBe(2.5);
+      expect(toSqlValue('.5', 'REAL')).toBe(0.5);
+      expect(toSqlValue('-.25', 'REAL')).toBe(-0.25);
+      expect(toSqlValue('', 'INTEGER')).toBeNull();
+    });
+
+    it('should store values that do not match the column type as text', () => {
+      expect(toSqlValue('n/a', 'INTEGER')).toBe('n/a');
+      expect(toSqlValue('007', 'TEXT')).toBe('007');
+      expect(toSqlValue({ a: 1 }, 'TEXT')).toBe('{"a":1}');
+      expect(toSqlValue(undefined, 'TEXT')).toBeNull();
+    });
+  });
+
+  describe('openSqliteTable', () => {
+    it('should create the table with inferred types and insert every page', async () => {
+      const rowCount = await exportPages([
+        { items: [{ id: '1', itemid: '00123', rate: '9.99', links: [] }] },
+        { items: [{ id: '2', itemid: 'ABC', rate: '10', links: [] }] }
+      ], { columns: ['id', 'itemid', 'rate'] });
+
+      expect(rowCount).toBe(2);
+      expect(columnsOf('items')).toEqual(['id INTEGER', 'itemid TEXT', 'rate REAL']);
+      expect(query('SELECT * FROM items ORDER BY id')).toEqual([
+        { id: 1, itemid: '00123', rate: 9.99 },
+        { id: 2, itemid: 'ABC', rate: 10 }
+      ]);
+    });
+
+    it('should store decimals without a leading zero as numbers', async () => {
+      await exportPages([{ items: [{ id: '1', amount: '.5' }, { id: '2', amount: '12.25' }] }]);
+
+      expect(columnsOf('items')).toEqual(['id INTEGER', 'amount REAL']);
+      expect(query('SELECT amount FROM items ORDER BY id')).toEqual([{ amount: 0.5 }, { amount: 12.25 }]);
+    });
+
+    it('should insert pages larger than one batch', async () => {
+      const items = Array.from({ length: 1203 }, (_, index) => ({ id: String(index + 1) }));
+
+      await exportPages([{ items }], { columns: ['id'] });
+
+      expect(query('SELECT COUNT(*) AS n, SUM(id) AS total FROM items')).toEqual([{ n: 1203, total: (1203 * 1204) / 2 }]);
+    });
+
+    it('should add columns that first appear on later pages', async () => {
+      await exportPages([
+        { items: [{ id: '1' }] },
+        { items: [{ id: '2', memo: 'late' }] }
+      ]);
+
+      expect(columnsOf('items')).toEqual(['id INTEGER', 'memo TEXT']);
+      expect(query('SELECT * FROM items ORDER BY id')).toEqual([{ id: 1, memo: null }, { id: 2, memo: 'late' }]);
+    });
+
+    it('should refuse to write into an existing table by default', async () => {
+      await exportPages([{ items: [{ id: '1' }] }]);
+
+      expect(() => openSqliteTable(dbPath, { table: 'items' })).toThrow(
+        `Table 'items' already exists in ${dbPath}. Use --append to add rows or --replace to recreate it.`
+      );
+      expect(query('SELECT COUNT(*) AS n FROM items')).toEqual([{ n: 1 }]);
+    });
+
+    it('should append rows and add missing columns', async () => {
+      await exportPages([{ items: [{ id: '1', name: 'A' }] }]);
+      await exportPages([{ items: [{ id: '2', name: 'B', qty: '5' }] }], { mode: 'append' });
+
+      expect(columnsOf('items')).toEqual(['id INTEGER', 'name TEXT', 'qty INTEGER']);
+      expect(query('SELECT * FROM items ORDER BY id')).toEqual([
+        { id: 1, name: 'A', qty: null },
+        { id: 2, name: 'B', qty: 5 }
+      ]);
+    });
+
+    it('should replace an existing table', async () => {
+      await exportPages([{ items: [{ id: '1', name: 'A' }] }]);
+      await exportPages([{ items: [{ code: 'X' }] }], { mode: 'replace' });
+
+      expect(columnsOf('items')).toEqual(['code TEXT']);
+      expect(query('SELECT * FROM items')).toEqual([{ code: 'X' }]);
+    });
+
+    it('should create an empty table when the columns are known', async () => {
+      await exportPages([{ items: [] }], { columns: ['id', 'name'] });
+
+      expect(columnsOf('items')).toEqual(['id TEXT', 'name TEXT']);
+    });
+
+    it('should warn and leave the table alone when no columns can be determined', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      await exportPages([{ items: [{ id: '1' }] }]);
+
+      await exportPages([{ items: [] }], { mode: 'replace' });
+
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('no table was created'));
+      expect(query('SELECT * FROM items')).toEqual([{ id: 1 }]);
+      errorSpy.mockRestore();
+    });
+
+    it('should roll back on abort and remove a database it created', async () => {
+      const target = openSqliteTable(dbPath, { table: 'items' });
+      target.writeRows([{ id: '1' }]);
+      target.abort();
+
+      expect(fs.existsSync(dbPath)).toBe(false);
+    });
+
+    it('should leave an existing database unchanged on abort', async () => {
+      await exportPages([{ items: [{ id: '1' }] }]);
+
+      const target = openSqliteTable(dbPath, { table: 'items', mode: 'replace' });
+      target.writeRows([{ id: '2' }, { id: '3' }]);
+      target.abort();
+
+      expect(query('SELECT * FROM items')).toEqual([{ id: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { formatAsTable } = require('../lib/table');
+
+describe('table', () => {
+  describe('formatAsTable', () => {
+    it('should align columns and right-align numeric columns', () => {
+      const output = formatAsTable({
+        items: [
+          { id: '1', name: 'Widget', amount: '10.5' },
+          { id: '200', name: 'Gadget with a longer name', amount: '-3' }
+        ],
+        hasMore: false,
+        totalResults: 2
+      }, { width: 200 });
+
+      expect(output).toBe([
+        'id  | name                      | amount',
+        '----+---------------------------+-------',
+        '  1 | Widget                    |   10.5',
+        '200 | Gadget with a longer name |     -3',
+        '',
+        '2 rows (totalResults: 2, hasMore: false)'
+      ].join('\n'));
+    });
+
+    it('should keep zero-padded codes left-aligned', () => {
+      const output = formatAsTable({ items: [{ code: '000123' }, { code: '42' }] }, { width: 80 });
+
+      expect(output.split('\n').slice(0, 4)).toEqual([
+        'code',
+        '------',
+        '000123',
+        '42'
+      ]);
+    });
+
+    it('should follow the given column order and show missing values as empty cells', () => {
+      const output = formatAsTable({ items: [{ name: 'A' }, { id: '2', name: 'B' }] }, { columns: ['id', 'name'], width: 80 });
+
+      expect(output.split('\n').slice(0, 4)).toEqual([
+        'id | name',
+        '---+-----',
+        '   | A',
+        ' 2 | B'
+      ]);
+    });
+
+    it('should truncate values longer than the maximum column width', () => {
+      const output = formatAsTable({ items: [{ memo: 'x'.repeat(100) }] }, { width: 200 });
+      const row = output.split('\n')[2];
+
+      expect(row).toBe('x'.repeat(39) + '…');
+    });
+
+    it('should shrink wide columns to fit the width', () => {
+      const output = formatAsTable({ items: [{ a: 'a'.repeat(30), b: 'b'.repeat(30) }] }, { width: 40 });
+      const lines = output.split('\n');
+
+      expect(lines[2].length).toBeLessThanOrEqual(40);
+      expect(lines[2]).toContain('…');
+    });
+
+    it('should wrap columns into several blocks when they cannot fit', () => {
+      const item = {};
+      for (let i = 0; i < 6; i++) {
+        item[`column${i}`] = 'value';
+      }
+      const output = formatAsTable({ items: [item] }, { width: 30 });
+      const blocks = output.split('\n\n');
+
+      expect(blocks.length).toBeGreaterThan(2);
+      expect(blocks[0].split('\n')[0]).toBe('column0 | column1 | column2');
+      output.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(30));
+    });
+
+    it('should flatten newlines and JSON-stringify objects', () => {
+      const output = formatAsTable({ items: [{ memo: 'a\nb', data: { x: 1 } }] }, { width: 80 });
+
+      expect(output.split('\n')[2]).toBe('a b  | {"x":1}');
+    });
+
+    it('should report empty results', () => {
+      expect(formatAsTable({ items: [], hasMore: false, totalResults: 0 })).toBe(
+        '(no rows)\n0 rows (totalResults: 0, hasMore: false)'
+      );
+    });
+
+    it('should use a singular footer for one row without paging details', () => {
+      expect(formatAsTable({ items: [{ id: '1' }] })).toMatch(/\n1 row$/);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { parseDateFormat, toIsoDate, detectValueType, createTypeConverter, typePages } = require('../lib/typed');
+
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    yield page;
+  }
+}
+
+describe('typed', () => {
+  describe('parseDateFormat', () => {
+    it('should accept common NetSuite date formats', () => {
+      ['M/D/YYYY', 'MM/DD/YYYY', 'D/M/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'DD-Mon-YYYY', 'Month D, YYYY'].forEach(format => {
+        expect(() => parseDateFormat(format)).not.toThrow();
+      });
+    });
+
+    it('should reject formats without exactly one year, month and day', () => {
+      expect(() => parseDateFormat('MM/YYYY')).toThrow("Invalid date format 'MM/YYYY'");
+      expect(() => parseDateFormat('D/D/YYYY')).toThrow('Invalid date format');
+      expect(() => parseDateFormat('')).toThrow('Invalid date format');
+    });
+  });
+
+  describe('toIsoDate', () => {
+    it('should convert dates in the given format', () => {
+      expect(toIsoDate('1/5/2024', parseDateFormat('M/D/YYYY'))).toBe('2024-01-05');
+      expect(toIsoDate('05/01/2024', parseDateFormat('DD/MM/YYYY'))).toBe('2024-01-05');
+      expect(toIsoDate('05.01.2024', parseDateFormat('DD.MM.YYYY'))).toBe('2024-01-05');
+      expect(toIsoDate('5-Jan-2024', parseDateFormat('DD-Mon-YYYY'))).toBe('2024-01-05');
+      expect(toIsoDate('January 5, 2024', parseDateFormat('Month D, YYYY'))).toBe('2024-01-05');
+    });
+
+    it('should convert dates with a time of day to local date-times', () => {
+      const format = parseDateFormat('M/D/YYYY');
+
+      expect(toIsoDate('1/5/2024 3:45 pm', format)).toBe('2024-01-05T15:45:00');
+      expect(toIsoDate('1/5/2024 12:05 am', format)).toBe('2024-01-05T00:05:00');
+      expect(toIsoDate('1/5/2024 15:45:30', format)).toBe('2024-01-05T15:45:30');
+    });
+
+    it('should reject impossible dates and values in other formats', () => {
+      const format = parseDateFormat('M/D/YYYY');
+
+      expect(toIsoDate('2/30/2024', format)).toBeNull();
+      expect(toIsoDate('13/1/2024', format)).toBeNull();
+      expect(toIsoDate('2024-01-05', format)).toBeNull();
+      expect(toIsoDate('1/5/2024 13:00 pm', format)).toBeNull();
+      expect(toIsoDate('5-Foo-2024', parseDateFormat('DD-Mon-YYYY'))).toBeNull();
+    });
+  });
+
+  describe('detectValueType', () => {
+    const format = parseDateFormat('M/D/YYYY');
+
+    it('should detect numbers, booleans and dates', () => {
+      expect(detectValueType(['1', '-2.5', '.75'], format)).toBe('number');
+      expect(detectValueType(['T', 'F'], format)).toBe('boolean');
+      expect(detectValueType(['1/5/2024', '12/31/2023'], format)).toBe('date');
+    });
+
+    it('should keep codes and mixed values as text', () => {
+      expect(detectValueType(['00123', '1'], format)).toBe('text');
+      expect(detectValueType(['1234567890123456'], format)).toBe('text');
+      expect(detectValueType(['T', 'X'], format)).toBe('text');
+      expect(detectValueType(['1/5/2024', '5'], format)).toBe('text');
+    });
+  });
+
+  describe('createTypeConverter', () => {
+    it('should convert the rows of a page by column type', () => {
+      const converter = createTypeConverter();
+      const page = {
+        count: 2,
+        items: [
+          { id: '1', isinactive: 'F', trandate: '1/5/2024', itemid: '00123', memo: null },
+          { id: '2', isinactive: 'T', trandate: '2/1/2024', itemid: '42' }
+        ]
+      };
+
+      expect(converter.convertPage(page)).toEqual({
+        count: 2,
+        items: [
+          { id: 1, isinactive: false, trandate: '2024-01-05', itemid: '00123', memo: null },
+          { id: 2, isinactive: true, trandate: '2024-02-01', itemid: '42' }
+        ]
+      });
+      expect(page.items[0].id).toBe('1');
+    });
+
+    it('should use the given date format', () => {
+      const converter = createTypeConverter({ dateFormat: 'DD/MM/YYYY' });
+
+      expect(converter.convertPage({ items: [{ trandate: '25/12/2024' }] }).items).toEqual([{ trandate: '2024-12-25' }]);
+    });
+
+    it('should keep column types from the first page with values', () => {
+      const converter = createTypeConverter();
+      converter.convertPage({ items: [{ amount: '10' }, { amount: '' }] });
+
+      expect(converter.convertPage({ items: [{ amount: 'n/a' }, { amount: '2.5' }] }).items)
+        .toEqual([{ amount: 'n/a' }, { amount: 2.5 }]);
+      expect(converter.getTypes().get('amount')).toBe('number');
+    });
+
+    it('should throw for an invalid date format', () => {
+      expect(() => createTypeConverter({ dateFormat: 'YYYY' })).toThrow('Invalid date format');
+    });
+  });
+
+  describe('typePages', () => {
+    it('should convert each page of a stream', async () => {
+      const pages = [];
+      for await (const page of typePages(pagesOf({ items: [{ id: '1' }] }, { items: [{ id: '2' }] }))) {
+        pages.push(page);
+      }
+
+      expect(pages).toEqual([{ items: [{ id: 1 }] }, { items: [{ id: 2 }] }]);
+    });
+  });
+});
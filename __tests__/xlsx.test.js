@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ExcelJS = require('exceljs');
+
+const { writeXlsx, detectColumnType, toCell } = require('../lib/xlsx');
+const { createFileSink } = require('../lib/output');
+
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    yield page;
+  }
+}
+
+describe('xlsx', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsql-cli-xlsx-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function writeAndRead(sheets) {
+    const filePath = path.join(tempDir, 'out.xlsx');
+    const sink = createFileSink(filePath);
+    const rowCount = await writeXlsx(sheets, sink);
+    sink.close();
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return { workbook, rowCount };
+  }
+
+  describe('detectColumnType', () => {
+    it('should detect numbers', () => {
+      expect(detectColumnType(['1', '-2.5', 3, '0'])).toBe('number');
+      expect(detectColumnType(['.5', '-.25'])).toBe('number');
+    });
+
+    it('should keep values with leading zeros as text', () => {
+      expect(detectColumnType(['00123', '1'])).toBe('text');
+    });
+
+    it('should keep numbers with more than 15 digits as text', () => {
+      expect(detectColumnType(['1234567890123456'])).toBe('text');
+      expect(detectColumnType(['123456789012345'])).toBe('number');
+    });
+
+    it('should detect ISO dates and date-times', () => {
+      expect(detectColumnType(['2024-01-15', '2024-02-29'])).toBe('date');
+      expect(detectColumnType(['2024-01-15', '2024-01-15T10:30:00Z'])).toBe('datetime');
+      expect(detectColumnType(['2024-01-15 10:30'])).toBe('datetime');
+    });
+
+    it('should detect booleans from typed results', () => {
+      expect(detectColumnType([true, false])).toBe('boolean');
+      expect(detectColumnType(['T', 'F'])).toBe('text');
+    });
+
+    it('should treat non-ISO and mixed values as text', () => {
+      expect(detectColumnType(['1/15/2024'])).toBe('text');
+      expect(detectColumnType(['2024-01-15', '12'])).toBe('text');
+      expect(detectColumnType(['2024-13-45'])).toBe('text');
+      expect(detectColumnType(['2023-02-29'])).toBe('text');
+    });
+  });
+
+  describe('toCell', () => {
+    it('should read dates without a time zone as UTC', () => {
+      expect(toCell('2024-01-15', 'date')).toEqual({ value: new Date(Date.UTC(2024, 0, 15)), numFmt: 'yyyy-mm-dd' });
+      expect(toCell('2024-01-15 10:30:05', 'datetime')).toEqual({
+        value: new Date(Date.UTC(2024, 0, 15, 10, 30, 5)),
+        numFmt: 'yyyy-mm-dd hh:mm:ss'
+      });
+    });
+
+    it('should write values that do not match the column type as text', () => {
+      expect(toCell('n/a', 'number')).toEqual({ value: 'n/a' });
+      expect(toCell('00123', 'number')).toEqual({ value: '00123' });
+    });
+
+    it('should write booleans as boolean cells', () => {
+      expect(toCell(false, 'boolean')).toEqual({ value: false });
+      expect(toCell('x', 'boolean')).toEqual({ value: 'x' });
+    });
+
+    it('should write empty values as empty cells', () => {
+      expect(toCell(null, 'number')).toEqual({ value: null });
+      expect(toCell('', 'text')).toEqual({ value: null });
+    });
+
+    it('should JSON-stringify objects', () => {
+      expect(toCell({ a: 1 }, 'text')).toEqual({ value: '{"a":1}' });
+    });
+  });
+
+  describe('writeXlsx', () => {
+    it('should write a bold, frozen header and typed cells', async () => {
+      const { workbook, rowCount } = await writeAndRead([{
+        name: 'Results',
+        pages: pagesOf({ items: [
+          { id: '1', itemid: '00123', created: '2024-01-15', amount: '10.50', links: [] },
+          { id: '2', itemid: 'ABC', created: '2024-02-01', amount: '3', links: [] }
+        ] }),
+        columns: null
+      }]);
+
+      expect(rowCount).toBe(2);
+      const sheet = workbook.getWorksheet('Results');
+      expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['id', 'itemid', 'created', 'amount', 'links']);
+      expect(sheet.getRow(1).font).toMatchObject({ bold: true });
+      expect(sheet.getCell('A2').value).toBe(1);
+      expect(sheet.getCell('B2').value).toBe('00123');
+      expect(sheet.getCell('C2').value).toEqual(new Date(Date.UTC(2024, 0, 15)));
+      expect(sheet.getCell('C2').numFmt).toBe('yyyy-mm-dd');
+      expect(sheet.getCell('D2').value).toBe(10.5);
+      expect(sheet.getCell('D3').value).toBe(3);
+    });
+
+    it('should keep the header fixed across pages and use the SELECT list', async () => {
+      const { workbook } = await writeAndRead([{
+        name: 'Results',
+        pages: pagesOf(
+          { items: [{ id: '1', links: [] }] },
+          { items: [{ id: '2', name: 'B', links: [] }] }
+        ),
+        columns: ['id', 'name']
+      }]);
+
+      const sheet = workbook.getWorksheet('Results');
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['id', 'name']);
+      expect(sheet.getRow(3).values.slice(1)).toEqual([2, 'B']);
+    });
+
+    it('should type a column from the first page that has values for it', async () => {
+      const { workbook } = await writeAndRead([{
+        name: 'Results',
+        pages: pagesOf(
+          { items: [{ id: '1' }] },
+          { items: [{ id: '2', code: '007' }] }
+        ),
+        columns: ['id', 'code']
+      }]);
+
+      expect(workbook.getWorksheet('Results').getCell('B3').value).toBe('007');
+    });
+
+    it('should write one sheet per entry', async () => {
+      const { workbook, rowCount } = await writeAndRead([
+        { name: 'Query 1', pages: pagesOf({ items: [{ id: '1' }] }), columns: ['id'] },
+        { name: 'Query 2', pages: pagesOf({ items: [] }), columns: ['name'] }
+      ]);
+
+      expect(rowCount).toBe(1);
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Query 1', 'Query 2']);
+      expect(workbook.getWorksheet('Query 2').getRow(1).values.slice(1)).toEqual(['name']);
+      expect(workbook.getWorksheet('Query 2').rowCount).toBe(1);
+    });
+  });
+});
@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, Argument } = require('commander');
 const { configure } = require('./lib/configure');
 const { executeQuery } = require('./lib/query');
 const { login } = require('./lib/oauth2');
-const { saveOAuth2Profile, saveOAuth2Tokens, getProfile, profileExists, decryptOAuth2Profile } = require('./lib/config');
+const { startShell } = require('./lib/shell');
+const { describeRecord } = require('./lib/describe');
+const { pullSchema, searchSchema } = require('./lib/schema');
+const { listProfiles, useProfile, showProfile, removeProfile, moveProfile, copyProfile } = require('./lib/profile');
+const { DEFAULT_UNLOCK_MINUTES, changePassphrase, rotateKey, unlock, lock } = require('./lib/credentials');
+const { COMPLETION_SHELLS, printCompletions, generateCompletionScript } = require('./lib/completion');
+const { saveOAuth2Profile, saveOAuth2Tokens, getProfile, profileExists, decryptOAuth2Profile, resolveProfileName, PROFILE_ENV_VAR } = require('./lib/config');
 const debug = require('./lib/debug');
 const fs = require('fs');
 const path = require('path');
@@ -12,6 +18,8 @@ const { version } = require('./package.json');
 
 const program = new Command();
 
+const PROFILE_DEFAULT_HELP = `$${PROFILE_ENV_VAR}, the profile set with "profile use", or "default"`;
+
 program
   .name('nsql-cli')
   .description('CLI tool for executing SuiteQL queries against NetSuite')
@@ -20,15 +28,15 @@ program
 program
   .command('configure')
   .description('Set up NetSuite account credentials')
-  .option('-p, --profile <name>', 'Profile name to configure (defaults to "default")', 'default')
+  .option('-p, --profile <name>', `Profile name to configure (defaults to ${PROFILE_DEFAULT_HELP})`)
   .action(async (options) => {
-    await configure(options.profile);
+    await configure(resolveProfileName(options.profile).profileName);
   });
 
 program
   .command('login')
   .description('Authenticate with NetSuite using browser-based OAuth 2.0')
-  .option('-p, --profile <name>', 'Profile name', 'default')
+  .option('-p, --profile <name>', `Profile name (defaults to ${PROFILE_DEFAULT_HELP})`)
   .option('--port <port>', 'Local callback server port', '9749')
   .option('--account-id <id>', 'NetSuite account ID (e.g. TSTDRV1234567 or 1234567_SB1)')
   .option('--client-id <id>', 'OAuth 2.0 Client ID from your Integration Record')
@@ -38,7 +46,7 @@ program
     try {
       if (options.debug) debug.enable();
       const port = parseInt(options.port, 10);
-      const profileName = options.profile;
+      const profileName = resolveProfileName(options.profile).profileName;
 
       let accountId = options.accountId;
       let clientId = options.clientId;
@@ -144,10 +152,31 @@ const queryCommand = program
   .description('Execute a SuiteQL query')
   .option('-q, --query <sql>', 'SuiteQL query to execute')
   .option('--cli-input-suiteql <file>', 'Read SuiteQL query from file (use file:// prefix for file path)')
-  .option('-p, --profile <name>', 'Profile to use (defaults to "default")', 'default')
+  .option('-p, --profile <name>', `Profile to use (defaults to ${PROFILE_DEFAULT_HELP})`)
   .option('--dry-run', 'Preview the query without executing it')
   .option('--debug', 'Enable debug logging')
-  .option('-f, --format <format>', 'Output format: json or csv (defaults to "json")', 'json')
+  .option('-f, --format <format>', 'Output format: json, csv, tsv, ndjson, table, markdown, html, xlsx, sqlite or sql (defaults to "json", or inferred from --output)')
+  .option('--all', 'Fetch all pages of results by following hasMore (defaults to the first 1000 rows)')
+  .option('--limit <n>', 'Rows per request, 1-1000 (defaults to 1000)')
+  .option('--offset <n>', 'Row offset to start from (defaults to 0)')
+  .option('--max-rows <n>', 'Stop after this many rows in total (follows hasMore)')
+  .option('-o, --output <path>', 'Write results to a file (format inferred from the extension, e.g. .csv, .xlsx, .db or .html)')
+  .option('--force', 'Overwrite the --output file if it already exists')
+  .option('--sheet-per-query', 'Run each ;-separated statement and write it to its own xlsx sheet')
+  .option('--table <name>', 'Table to insert the results into (sqlite and sql formats)')
+  .option('--append', 'Add rows to an existing SQLite table')
+  .option('--replace', 'Drop and recreate an existing SQLite table')
+  .option('--title <text>', 'Page title for the html format')
+  .option('--columns <list>', 'Output columns to pick, order and rename, e.g. "id,tranid:TranNumber,amount"')
+  .option('--delimiter <char>', 'CSV field delimiter, e.g. ";" or "\\t" (defaults to ",")')
+  .option('--quote-all', 'Quote every CSV field')
+  .option('--bom', 'Start CSV output with a UTF-8 byte order mark (for Excel)')
+  .option('--no-header', 'Leave out the CSV header row')
+  .option('--crlf', 'End CSV lines with CRLF instead of LF')
+  .option('--raw', 'Keep the API response as returned, including SuiteQL links (json and ndjson)')
+  .option('--compact', 'Print only the items array, without pretty-printing (json)')
+  .option('--typed', 'Convert numbers, T/F and dates to real types using the profile date format (json, ndjson and xlsx)')
+  .option('--dialect <dialect>', 'SQL dialect for the sql format: postgres, mysql or sqlite (defaults to "postgres")')
   .option('--param <key=value>', 'Query parameter (can be used multiple times). Use :key in query as placeholder', (value, prev) => {
     const [key, val] = value.split('=');
     if (!key || val === undefined) {
@@ -214,7 +243,14 @@ const queryCommand = program
         i += 2;
         continue;
       }
-      if (arg === '--dry-run' || arg === '--debug') {
+      if (arg === '--limit' || arg === '--offset' || arg === '--max-rows' || arg === '-o' || arg === '--output' ||
+        arg === '--table' || arg === '--dialect' || arg === '--title' || arg === '--columns' || arg === '--delimiter') {
+        i += 2;
+        continue;
+      }
+      if (arg === '--dry-run' || arg === '--debug' || arg === '--all' || arg === '--force' ||
+        arg === '--sheet-per-query' || arg === '--append' || arg === '--replace' || arg === '--raw' || arg === '--compact' ||
+        arg === '--typed' || arg === '--quote-all' || arg === '--bom' || arg === '--no-header' || arg === '--crlf') {
         i += 1;
         continue;
       }
@@ -241,7 +277,186 @@ const queryCommand = program
     }
     
     if (options.debug) debug.enable();
-    await executeQuery(query, options.profile, options.dryRun, options.format, params);
+    await executeQuery(query, options.profile, options.dryRun, options.format, params, {
+      all: options.all,
+      limit: options.limit,
+      offset: options.offset,
+      maxRows: options.maxRows,
+      output: options.output,
+      force: options.force,
+      sheetPerQuery: options.sheetPerQuery,
+      table: options.table,
+      append: options.append,
+      replace: options.replace,
+      dialect: options.dialect,
+      title: options.title,
+      raw: options.raw,
+      compact: options.compact,
+      typed: options.typed,
+      columns: options.columns,
+      delimiter: options.delimiter,
+      quoteAll: options.quoteAll,
+      bom: options.bom,
+      header: options.header,
+      crlf: options.crlf,
+    });
+  });
+
+program
+  .command('shell')
+  .description('Open an interactive SuiteQL shell')
+  .option('-p, --profile <name>', `Profile to start with (defaults to ${PROFILE_DEFAULT_HELP})`)
+  .option('-f, --format <format>', 'Initial output format: table, json, csv, tsv, ndjson, markdown, html or sql (defaults to "table")')
+  .option('--limit <n>', 'Rows fetched per statement, 1-1000 (defaults to 1000)')
+  .option('--debug', 'Enable debug logging')
+  .action(async (options) => {
+    if (options.debug) debug.enable();
+    await startShell(options.profile, { format: options.format, limit: options.limit });
+  });
+
+program
+  .command('describe')
+  .description('Show the fields of a record type with their types, labels and join targets')
+  .argument('<recordType>', 'Record type ID, e.g. customer or salesorder')
+  .option('-p, --profile <name>', `Profile to use (defaults to ${PROFILE_DEFAULT_HELP})`)
+  .option('-f, --format <format>', 'Output format: table or json (defaults to "table")', 'table')
+  .option('--live', 'Ask NetSuite even if the record type is in the schema cache')
+  .option('--debug', 'Enable debug logging')
+  .action(async (recordType, options) => {
+    if (options.debug) debug.enable();
+    await describeRecord(recordType, options.profile, { format: options.format, live: options.live });
+  });
+
+const schema = program
+  .command('schema')
+  .description('Manage the local cache of record types and fields');
+
+schema
+  .command('pull')
+  .description('Download the metadata of every record type visible to the profile\'s role')
+  .option('-p, --profile <name>', `Profile to use (defaults to ${PROFILE_DEFAULT_HELP})`)
+  .option('--debug', 'Enable debug logging')
+  .action(async (options) => {
+    if (options.debug) debug.enable();
+    await pullSchema(options.profile);
+  });
+
+schema
+  .command('search')
+  .description('Find record types and fields by ID or label in the schema cache')
+  .argument('<term>', 'Text to search for')
+  .option('-p, --profile <name>', `Profile whose account to search (defaults to ${PROFILE_DEFAULT_HELP})`)
+  .option('-f, --format <format>', 'Output format: table or json (defaults to "table")', 'table')
+  .option('--debug', 'Enable debug logging')
+  .action((term, options) => {
+    if (options.debug) debug.enable();
+    searchSchema(term, options.profile, { format: options.format });
+  });
+
+const profileCommand = program
+  .command('profile')
+  .description('List, show, use, delete, rename and copy profiles');
+
+profileCommand
+  .command('list')
+  .description('List profiles with their auth type, account and token expiry')
+  .option('-f, --format <format>', 'Output format: table or json (defaults to "table")', 'table')
+  .action((options) => {
+    listProfiles({ format: options.format });
+  });
+
+profileCommand
+  .command('use')
+  .description('Set the profile used when --profile is not given')
+  .argument('<profile>', 'Profile name')
+  .action((profileName) => {
+    useProfile(profileName);
+  });
+
+profileCommand
+  .command('show')
+  .description('Show the settings of a profile with secrets masked')
+  .argument('<profile>', 'Profile name')
+  .option('-f, --format <format>', 'Output format: table or json (defaults to "table")', 'table')
+  .action((profileName, options) => {
+    showProfile(profileName, { format: options.format });
+  });
+
+profileCommand
+  .command('delete')
+  .description('Delete a profile')
+  .argument('<profile>', 'Profile name')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .action(async (profileName, options) => {
+    await removeProfile(profileName, { yes: options.yes });
+  });
+
+profileCommand
+  .command('rename')
+  .description('Rename a profile')
+  .argument('<profile>', 'Current profile name')
+  .argument('<newName>', 'New profile name')
+  .action((profileName, newName) => {
+    moveProfile(profileName, newName);
+  });
+
+profileCommand
+  .command('copy')
+  .description('Copy a profile under a new name (OAuth 2.0 tokens are not copied)')
+  .argument('<profile>', 'Profile to copy')
+  .argument('<newName>', 'Name of the copy')
+  .action((profileName, newName) => {
+    copyProfile(profileName, newName);
+  });
+
+const credentialsCommand = program
+  .command('credentials')
+  .description('Protect the stored secrets with a passphrase and rotate their key');
+
+credentialsCommand
+  .command('passphrase')
+  .description('Set or change the passphrase that encrypts the stored secrets')
+  .option('--remove', 'Stop using a passphrase and go back to the machine-local key')
+  .action(async (options) => {
+    await changePassphrase({ remove: options.remove });
+  });
+
+credentialsCommand
+  .command('rotate-key')
+  .description('Re-encrypt every stored secret under a fresh key')
+  .action(async () => {
+    await rotateKey();
+  });
+
+credentialsCommand
+  .command('unlock')
+  .description('Enter the passphrase once and keep the stored secrets unlocked for a while')
+  .option('-d, --duration <minutes>', `Minutes to stay unlocked (defaults to ${DEFAULT_UNLOCK_MINUTES})`)
+  .action(async (options) => {
+    await unlock({ duration: options.duration });
+  });
+
+credentialsCommand
+  .command('lock')
+  .description('Lock the stored secrets again before the unlock expires')
+  .action(() => {
+    lock();
+  });
+
+program
+  .command('completion')
+  .description('Print a shell completion script for bash, zsh or fish')
+  .addArgument(new Argument('<shell>', 'Shell to generate the script for').choices(COMPLETION_SHELLS))
+  .action((shell) => {
+    process.stdout.write(generateCompletionScript(shell, program.name()));
+  });
+
+// Called by the completion scripts with the words typed so far
+program
+  .command('__complete', { hidden: true })
+  .argument('[words...]')
+  .action((words) => {
+    printCompletions(program, words);
   });
 
 // Handle unknown commands
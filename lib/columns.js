@@ -0,0 +1,150 @@
+/**
+ * Column discovery for SuiteQL results.
+ * SuiteQL leaves null columns out of each row, so the set of keys varies
+ * between rows and pages. Output formats with a fixed header determine
+ * their columns from the SELECT list where possible, or from the rows of
+ * the first page otherwise.
+ */
+
+const ALIAS_KEYWORDS = new Set(['end', 'null', 'true', 'false', 'asc', 'desc', 'and', 'or', 'not', 'is', 'in', 'like', 'between', 'else', 'then']);
+const IDENTIFIER = '"?([A-Za-z_][\\w$#]*)"?';
+const SIMPLE_COLUMN = new RegExp(`^(?:[A-Za-z_][\\w$#]*\\.)?${IDENTIFIER}$`);
+const AS_ALIAS = new RegExp(`\\s+AS\\s+${IDENTIFIER}$`, 'i');
+const BARE_ALIAS = new RegExp(`[\\w)"'\\]]\\s+${IDENTIFIER}$`);
+
+/**
+ * Split a SQL fragment on a separator, ignoring separators inside
+ * parentheses, string literals and quoted identifiers.
+ * @param {string} sql - SQL fragment
+ * @param {RegExp} separator - Sticky regex matched at each top-level position
+ * @returns {{ parts: string[], positions: number[] }} Parts and the offsets of each separator match
+ */
+function splitTopLevel(sql, separator) {
+  const parts = [];
+  const positions = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+    } else if (depth === 0) {
+      separator.lastIndex = i;
+      const match = separator.exec(sql);
+      if (match) {
+        parts.push(sql.slice(start, i));
+        positions.push(i);
+        start = i + match[0].length;
+        i = start - 1;
+      }
+    }
+  }
+  parts.push(sql.slice(start));
+  return { parts, positions };
+}
+
+/**
+ * Work out the output column name of a single SELECT list expression.
+ * @param {string} expression - SELECT list item
+ * @returns {string|null} Lowercased column name, or null if it cannot be determined
+ */
+function getColumnName(expression) {
+  const trimmed = expression.trim();
+
+  const asMatch = trimmed.match(AS_ALIAS);
+  if (asMatch) {
+    return asMatch[1].toLowerCase();
+  }
+
+  const simpleMatch = trimmed.match(SIMPLE_COLUMN);
+  if (simpleMatch) {
+    return simpleMatch[1].toLowerCase();
+  }
+
+  const bareMatch = trimmed.match(BARE_ALIAS);
+  if (bareMatch && !ALIAS_KEYWORDS.has(bareMatch[1].toLowerCase())) {
+    return bareMatch[1].toLowerCase();
+  }
+
+  return null;
+}
+
+/**
+ * Determine the result columns of a query from its SELECT list.
+ * SuiteQL returns column names in lowercase, so names are lowercased.
+ * @param {string} query - SuiteQL query
+ * @returns {string[]|null} Column names in SELECT order, or null if the list uses
+ *   `*`, contains unnamed expressions or cannot be parsed
+ */
+function parseSelectColumns(query) {
+  if (!query || typeof query !== 'string') {
+    return null;
+  }
+  const sql = query.replace(/\/\*[\s\S]*?\*\//g, ' ');
+
+  const { positions: selectPositions } = splitTopLevel(sql, /\bSELECT\b/iy);
+  if (selectPositions.length === 0) {
+    return null;
+  }
+  const afterSelect = sql.slice(selectPositions[0] + 'SELECT'.length);
+  const selectList = splitTopLevel(afterSelect, /\bFROM\b/iy).parts[0]
+    .replace(/^\s*(DISTINCT|ALL)\b/i, '')
+    .replace(/^\s*TOP\s+\d+\b/i, '');
+
+  const columns = [];
+  for (const expression of splitTopLevel(selectList, /,/y).parts) {
+    const trimmed = expression.trim();
+    if (!trimmed || trimmed === '*' || trimmed.endsWith('.*')) {
+      return null;
+    }
+    const name = getColumnName(trimmed);
+    if (!name || columns.includes(name)) {
+      return null;
+    }
+    columns.push(name);
+  }
+  return columns.length > 0 ? columns : null;
+}
+
+/**
+ * Collect the keys of a set of rows in first-seen order.
+ * @param {Object[]} items - Result rows
+ * @returns {string[]} Unique keys
+ */
+function collectKeys(items) {
+  const keys = new Set();
+  items.forEach(item => {
+    Object.keys(item).forEach(key => keys.add(key));
+  });
+  return Array.from(keys);
+}
+
+/**
+ * Decide the header of a fixed-header output from the known columns and the
+ * rows of the first page. Known columns (usually from the SELECT list) come
+ * first, followed by any other keys of the first page apart from the `links`
+ * metadata SuiteQL adds to every row. Without known columns the header is the
+ * set of keys of the first page.
+ * @param {string[]|null|undefined} columns - Known column names, in order
+ * @param {Object[]} items - Rows of the first page
+ * @returns {string[]|null} Header, or null if it cannot be determined yet
+ */
+function resolveHeader(columns, items) {
+  if (columns) {
+    const extra = collectKeys(items).filter(key => key !== 'links' && !columns.includes(key));
+    return [...columns, ...extra];
+  }
+  return items.length > 0 ? collectKeys(items) : null;
+}
+
+module.exports = { splitTopLevel, parseSelectColumns, collectKeys, resolveHeader };
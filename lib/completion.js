@@ -0,0 +1,286 @@
+/**
+ * Shell completion for the CLI.
+ * The bash, zsh and fish scripts only pass the words typed so far to the
+ * hidden `__complete` command, which works out the candidates from the
+ * commander program: subcommands, options and option values. Profile names
+ * come from the config file, and record types and field IDs from the schema
+ * cache of the active profile's account (see schema.js), so completion never
+ * calls NetSuite.
+ */
+
+const { getAllProfiles, resolveAccount } = require('./config');
+const { SUPPORTED_FORMATS } = require('./query');
+const { SHELL_FORMATS } = require('./shell');
+const { DESCRIBE_FORMATS } = require('./describe');
+const { PROFILE_FORMATS } = require('./profile');
+const { SQL_DIALECTS } = require('./sql');
+const { SEARCH_FORMATS, readSchemaCache, findRecord } = require('./schema');
+const debug = require('./debug');
+
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+const COMMAND_FORMATS = {
+  query: SUPPORTED_FORMATS,
+  shell: SHELL_FORMATS,
+  describe: DESCRIBE_FORMATS,
+  search: SEARCH_FORMATS,
+  list: PROFILE_FORMATS,
+  show: PROFILE_FORMATS,
+};
+
+/**
+ * Find an option of a command by its long or short flag
+ * @param {Object} command - Commander command
+ * @param {string} word - Typed word
+ * @returns {Object|undefined} Commander option
+ */
+function findOption(command, word) {
+  return command.options.find(option => option.long === word || option.short === word);
+}
+
+/**
+ * Whether an option takes a value
+ * @param {Object} option - Commander option
+ * @returns {boolean}
+ */
+function takesValue(option) {
+  return Boolean(option.required || option.optional);
+}
+
+/**
+ * Get the value of an option from the typed words
+ * @param {string[]} words - Typed words
+ * @param {string[]} flags - Flags of the option, e.g. ['-p', '--profile']
+ * @returns {string|undefined}
+ */
+function findOptionValue(words, flags) {
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (flags.includes(words[i]) && i + 1 < words.length) {
+      return words[i + 1];
+    }
+    const inline = flags.find(flag => flag.startsWith('--') && words[i].startsWith(`${flag}=`));
+    if (inline) {
+      return words[i].slice(inline.length + 1);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read the schema cache of the account used by the typed command
+ * @param {string[]} words - Typed words
+ * @returns {Object|null} Cached metadata (see readSchemaCache())
+ */
+function loadSchema(words) {
+  const { account } = resolveAccount(findOptionValue(words, ['-p', '--profile']));
+  return account ? readSchemaCache(account) : null;
+}
+
+/**
+ * Complete a comma-separated --columns list with field IDs. Fields come from
+ * the record type after FROM in --query when it is cached, otherwise from
+ * every cached record type. They are lowercased, as SuiteQL returns column
+ * names in lower case while the metadata catalog uses camelCase.
+ * @param {string[]} words - Typed words
+ * @param {string} current - Word being completed
+ * @returns {string[]}
+ */
+function completeFields(words, current) {
+  const schema = loadSchema(words);
+  if (!schema) {
+    return [];
+  }
+  const query = findOptionValue(words, ['-q', '--query']) || '';
+  const from = query.match(/\bFROM\s+([A-Za-z_]\w*)/i);
+  const record = from ? findRecord(schema, from[1]) : null;
+  const records = record ? [record] : schema.records;
+  const fields = new Set();
+  records.forEach(entry => (entry.fields || []).forEach(field => fields.add(String(field.id).toLowerCase())));
+
+  const prefix = current.slice(0, current.lastIndexOf(',') + 1);
+  return Array.from(fields).map(field => `${prefix}${field}`);
+}
+
+/**
+ * Get the candidate values of an option
+ * @param {Object} command - Commander command the option belongs to
+ * @param {Object} option - Commander option
+ * @param {string[]} words - Typed words
+ * @param {string} current - Word being completed
+ * @returns {string[]} Candidates; empty to let the shell complete file names
+ */
+function completeOptionValue(command, option, words, current) {
+  if (option.argChoices) {
+    return option.argChoices;
+  }
+  const name = option.attributeName();
+  if (name === 'profile') {
+    return getAllProfiles();
+  }
+  if (name === 'format') {
+    return COMMAND_FORMATS[command.name()] || [];
+  }
+  if (name === 'dialect') {
+    return SQL_DIALECTS;
+  }
+  if (name === 'columns') {
+    return completeFields(words, current);
+  }
+  return [];
+}
+
+/**
+ * Get the candidate values of a positional argument
+ * @param {Object} command - Commander command
+ * @param {number} position - Index of the argument
+ * @param {string[]} words - Typed words
+ * @returns {string[]}
+ */
+function completeArgument(command, position, words) {
+  const argumentsList = command.registeredArguments;
+  const last = argumentsList[argumentsList.length - 1];
+  const argument = argumentsList[position] || (last && last.variadic ? last : null);
+  if (!argument) {
+    return [];
+  }
+  if (argument.argChoices) {
+    return argument.argChoices;
+  }
+  if (argument.name() === 'profile') {
+    return getAllProfiles();
+  }
+  if (argument.name() === 'recordType') {
+    const schema = loadSchema(words);
+    return schema ? schema.records.map(record => record.id) : [];
+  }
+  return [];
+}
+
+/**
+ * Work out the completions for the words typed after the program name
+ * @param {Object} program - Commander program
+ * @param {string[]} words - Typed words; the last one is the word being completed (possibly empty)
+ * @returns {string[]} Candidates starting with the word being completed
+ */
+function complete(program, words) {
+  const typed = words.length > 0 ? words.slice(0, -1) : [];
+  const current = words.length > 0 ? words[words.length - 1] : '';
+
+  // Walk down the command tree along the typed words
+  let command = program;
+  const positionals = [];
+  let pendingOption = null;
+  for (let i = 0; i < typed.length; i++) {
+    const word = typed[i];
+    const option = findOption(command, word);
+    if (option) {
+      if (takesValue(option)) {
+        if (i + 1 === typed.length) {
+          pendingOption = option;
+        }
+        i += 1;
+      }
+      continue;
+    }
+    const subcommand = positionals.length === 0 && command.commands.find(candidate => candidate.name() === word);
+    if (subcommand) {
+      command = subcommand;
+    } else if (!word.startsWith('-')) {
+      positionals.push(word);
+    }
+  }
+
+  const visible = command.commands.filter(candidate => !candidate._hidden).map(candidate => candidate.name());
+  let candidates;
+  if (pendingOption) {
+    candidates = completeOptionValue(command, pendingOption, typed, current);
+  } else if (current.startsWith('-')) {
+    candidates = command.options.flatMap(option => [option.long, option.short]).filter(Boolean);
+    candidates.push('--help');
+  } else if (command === program && positionals[0] === 'help' && positionals.length === 1) {
+    candidates = visible;
+  } else if (visible.length > 0 && positionals.length === 0) {
+    candidates = command === program ? [...visible, 'help'] : visible;
+  } else {
+    candidates = completeArgument(command, positionals.length, typed);
+  }
+  return Array.from(new Set(candidates)).filter(candidate => candidate.startsWith(current));
+}
+
+/**
+ * Print the completions for the typed words, one per line. Errors (e.g. an
+ * unreadable config file) produce no candidates rather than noise in the shell.
+ * @param {Object} program - Commander program
+ * @param {string[]} words - Typed words (see complete())
+ */
+function printCompletions(program, words) {
+  let candidates = [];
+  try {
+    candidates = complete(program, words);
+  } catch (error) {
+    debug.log('Completion failed:', error.message);
+  }
+  if (candidates.length > 0) {
+    console.log(candidates.join('\n'));
+  }
+}
+
+/**
+ * Generate the completion script for a shell
+ * @param {string} shell - 'bash', 'zsh' or 'fish'
+ * @param {string} [name='nsql-cli'] - Program name
+ * @returns {string} Script to source in the shell
+ */
+function generateCompletionScript(shell, name = 'nsql-cli') {
+  const fn = `_${name.replace(/[^A-Za-z0-9]/g, '_')}_completion`;
+  if (shell === 'bash') {
+    return [
+      `# ${name} completion for bash. Add this line to ~/.bashrc:`,
+      `#   source <(${name} completion bash)`,
+      `${fn}() {`,
+      '  local IFS=$\'\\n\'',
+      `  COMPREPLY=($(${name} __complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))`,
+      '}',
+      `complete -o default -F ${fn} ${name}`,
+      '',
+    ].join('\n');
+  }
+  if (shell === 'zsh') {
+    return [
+      `#compdef ${name}`,
+      `# ${name} completion for zsh. Add this line to ~/.zshrc (after compinit):`,
+      `#   source <(${name} completion zsh)`,
+      `${fn}() {`,
+      '  local -a candidates',
+      `  candidates=("\${(@f)$(${name} __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}")`,
+      '  if [[ -n "${candidates[*]}" ]]; then',
+      '    compadd -- "${candidates[@]}"',
+      '  else',
+      '    _files',
+      '  fi',
+      '}',
+      `compdef ${fn} ${name}`,
+      '',
+    ].join('\n');
+  }
+  if (shell === 'fish') {
+    return [
+      `# ${name} completion for fish. Save it with:`,
+      `#   ${name} completion fish > ~/.config/fish/completions/${name}.fish`,
+      `function ${fn}`,
+      '    set -l words (commandline -opc)',
+      '    set -l current (commandline -ct)',
+      `    set -l candidates (${name} __complete -- $words[2..-1] "$current" 2>/dev/null)`,
+      '    if test (count $candidates) -gt 0',
+      '        printf \'%s\\n\' $candidates',
+      '    else',
+      '        __fish_complete_path "$current"',
+      '    end',
+      'end',
+      `complete -c ${name} -f -a '(${fn})'`,
+      '',
+    ].join('\n');
+  }
+  throw new Error(`Unsupported shell '${shell}'. Supported shells: ${COMPLETION_SHELLS.join(', ')}`);
+}
+
+module.exports = { COMPLETION_SHELLS, complete, printCompletions, generateCompletionScript };
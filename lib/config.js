@@ -2,15 +2,72 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { decodeTokenClaims, CLIENT_ASSERTION_ALGORITHMS } = require('./oauth2');
 const debug = require('./debug');
 
 const CONFIG_DIR = path.join(os.homedir(), '.nsql-cli');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 const KEY_FILE = path.join(CONFIG_DIR, '.encryption-key');
 
+const DEFAULT_PROFILE = 'default';
+const PROFILE_ENV_VAR = 'NSQL_PROFILE';
+const OAUTH1_ENV_VARS = {
+  consumerKey: 'NSQL_CONSUMER_KEY',
+  consumerSecret: 'NSQL_CONSUMER_SECRET',
+  token: 'NSQL_TOKEN',
+  tokenSecret: 'NSQL_TOKEN_SECRET',
+  realm: 'NSQL_REALM',
+};
+const OAUTH2_ENV_VARS = {
+  accountId: 'NSQL_ACCOUNT_ID',
+  clientId: 'NSQL_CLIENT_ID',
+  clientSecret: 'NSQL_CLIENT_SECRET',
+  refreshToken: 'NSQL_REFRESH_TOKEN',
+  accessToken: 'NSQL_ACCESS_TOKEN',
+};
+// Key of the CLI settings (e.g. the active profile) in config.json; it is not a profile
+const SETTINGS_KEY = '_settings';
+const AUTH_TYPE_LABELS = {
+  oauth1: 'OAuth 1.0 (TBA)',
+  oauth2: 'OAuth 2.0',
+  client_credentials: 'OAuth 2.0 client credentials (M2M)',
+};
+const PROFILE_PRECEDENCE = `--profile, ${PROFILE_ENV_VAR}, the active profile (nsql-cli profile use), "${DEFAULT_PROFILE}"`;
+
 const TOKEN_EXPIRY_BUFFER_MS = 5 * 60 * 1000;
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
-const IV_LENGTH = 16;
+// Secrets are stored as v2:<iv>:<auth tag>:<ciphertext> in hex, encrypted
+// with AES-256-GCM. Values without a version prefix are in the legacy
+// <iv>:<ciphertext> AES-256-CBC format, which is still decrypted.
+const ENCRYPTION_VERSION = 'v2';
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const LEGACY_ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+const LEGACY_IV_LENGTH = 16;
+const ENCRYPTED_PATTERN = new RegExp(`^${ENCRYPTION_VERSION}:[0-9a-f]{${IV_LENGTH * 2}}:[0-9a-f]{${AUTH_TAG_LENGTH * 2}}:[0-9a-f]+$`, 'i');
+const LEGACY_ENCRYPTED_PATTERN = new RegExp(`^[0-9a-f]{${LEGACY_IV_LENGTH * 2}}:[0-9a-f]+$`, 'i');
+// Key files hold 32 random bytes in hex. Older versions wrote 32 hex
+// characters that were used as the key bytes themselves (128 bits of entropy).
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+const OAUTH1_SECRET_FIELDS = ['consumerSecret', 'token', 'tokenSecret'];
+const SECRET_FIELDS = [...OAUTH1_SECRET_FIELDS, 'clientSecret', 'refreshToken'];
+
+const PASSPHRASE_ENV_VAR = 'NSQL_PASSPHRASE';
+const PASSPHRASE_CHECK_LABEL = 'nsql-cli passphrase check';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// scrypt needs 128 * N * r bytes, just over Node's 32 MB default limit
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+// The key of an unlocked session is cached outside CONFIG_DIR, so a copy of
+// the directory never includes it, and per CONFIG_DIR
+const SESSION_FILE = path.join(
+  os.tmpdir(),
+  `nsql-cli-session-${crypto.createHash('sha256').update(CONFIG_DIR).digest('hex').slice(0, 16)}.json`
+);
+
+// Last key derived from a passphrase: { passphrase, salt, key }
+let derivedKey = null;
+// Whether this process already warned that the key file is in a legacy format
+let legacyKeyWarned = false;
 
 /**
  * Ensure the config directory exists
@@ -41,15 +98,19 @@ function readConfig() {
 }
 
 /**
- * Write the configuration file
+ * Write the configuration file. It is written to a temp file and renamed, so
+ * an interrupted write keeps the previous config.
  * @param {Object} config - Configuration object with profiles
  */
 function writeConfig(config) {
   ensureConfigDir();
-  
+
+  const tempPath = `${CONFIG_FILE}.${process.pid}.tmp`;
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2), 'utf8');
+    fs.renameSync(tempPath, CONFIG_FILE);
   } catch (error) {
+    fs.rmSync(tempPath, { force: true });
     throw new Error(`Failed to write config file: ${error.message}`);
   }
 }
@@ -59,22 +120,82 @@ function writeConfig(config) {
  * @param {string} profileName - Name of the profile (defaults to "default")
  * @returns {Object|null} Profile configuration or null if not found
  */
-function getProfile(profileName = 'default') {
+function getProfile(profileName = DEFAULT_PROFILE) {
+  if (profileName === SETTINGS_KEY) {
+    return null;
+  }
   const config = readConfig();
   return config[profileName] || null;
 }
 
+/**
+ * Throw if a name cannot be used for a profile
+ * @param {string} profileName - Name of the profile
+ */
+function assertProfileName(profileName) {
+  if (!profileName || typeof profileName !== 'string' || !profileName.trim()) {
+    throw new Error('Profile name is required');
+  }
+  if (profileName === SETTINGS_KEY) {
+    throw new Error(`Profile name '${SETTINGS_KEY}' is reserved`);
+  }
+}
+
 /**
  * Save a profile to the config
  * @param {string} profileName - Name of the profile
  * @param {Object} profileData - Profile configuration data
  */
 function saveProfile(profileName, profileData) {
+  assertProfileName(profileName);
   const config = readConfig();
   config[profileName] = profileData;
   writeConfig(config);
 }
 
+/**
+ * Delete a profile from the config
+ * @param {string} profileName - Name of the profile
+ * @returns {boolean} True if the profile existed
+ */
+function deleteProfile(profileName) {
+  if (!profileExists(profileName)) {
+    return false;
+  }
+  const config = readConfig();
+  delete config[profileName];
+  if (config[SETTINGS_KEY] && config[SETTINGS_KEY].activeProfile === profileName) {
+    delete config[SETTINGS_KEY].activeProfile;
+  }
+  writeConfig(config);
+  return true;
+}
+
+/**
+ * Rename a profile, keeping its position in the config
+ * @param {string} profileName - Current name of the profile
+ * @param {string} newName - New name
+ * @throws {Error} If the profile does not exist or the new name is taken
+ */
+function renameProfile(profileName, newName) {
+  if (!profileExists(profileName)) {
+    throw new Error(`Profile '${profileName}' not found`);
+  }
+  assertProfileName(newName);
+  if (profileExists(newName)) {
+    throw new Error(`Profile '${newName}' already exists`);
+  }
+  const config = readConfig();
+  const renamed = {};
+  Object.keys(config).forEach(name => {
+    renamed[name === profileName ? newName : name] = config[name];
+  });
+  if (renamed[SETTINGS_KEY] && renamed[SETTINGS_KEY].activeProfile === profileName) {
+    renamed[SETTINGS_KEY].activeProfile = newName;
+  }
+  writeConfig(renamed);
+}
+
 /**
  * Check if a profile exists
  * @param {string} profileName - Name of the profile
@@ -82,7 +203,7 @@ function saveProfile(profileName, profileData) {
  */
 function profileExists(profileName) {
   const config = readConfig();
-  return profileName in config;
+  return profileName !== SETTINGS_KEY && profileName in config;
 }
 
 /**
@@ -91,11 +212,84 @@ function profileExists(profileName) {
  */
 function getAllProfiles() {
   const config = readConfig();
-  return Object.keys(config);
+  return Object.keys(config).filter(name => name !== SETTINGS_KEY);
+}
+
+/**
+ * Get the profile set with `nsql-cli profile use`
+ * @returns {string|null} Profile name, or null if none was set
+ */
+function getActiveProfile() {
+  const settings = readConfig()[SETTINGS_KEY];
+  return (settings && settings.activeProfile) || null;
+}
+
+/**
+ * Set the profile used when neither --profile nor NSQL_PROFILE is given
+ * @param {string|null} profileName - Profile name, or null to go back to "default"
+ */
+function setActiveProfile(profileName) {
+  const config = readConfig();
+  const settings = { ...config[SETTINGS_KEY] };
+  if (profileName) {
+    settings.activeProfile = profileName;
+  } else {
+    delete settings.activeProfile;
+  }
+  config[SETTINGS_KEY] = settings;
+  writeConfig(config);
 }
 
 /**
- * Validate profile data structure. Supports both OAuth 1.0 and OAuth 2.0 profiles.
+ * Work out which profile to use.
+ * Priority: 1. --profile 2. NSQL_PROFILE 3. Active profile (profile use) 4. "default"
+ * @param {string} [profileName] - Profile given with --profile
+ * @returns {{ profileName: string, source: string }} Profile name and where it came from:
+ *   'option', 'environment', 'active' or 'default'
+ */
+function resolveProfileName(profileName) {
+  if (profileName) {
+    return { profileName, source: 'option' };
+  }
+  const envProfile = (process.env[PROFILE_ENV_VAR] || '').trim();
+  if (envProfile) {
+    return { profileName: envProfile, source: 'environment' };
+  }
+  const activeProfile = getActiveProfile();
+  if (activeProfile) {
+    return { profileName: activeProfile, source: 'active' };
+  }
+  return { profileName: DEFAULT_PROFILE, source: 'default' };
+}
+
+/**
+ * Describe where the profile in use came from, e.g. for --dry-run
+ * @param {string} profileName - Profile name
+ * @param {string} source - Where it came from (see resolveProfileName())
+ * @returns {string}
+ */
+function describeProfileSource(profileName, source) {
+  const sources = {
+    option: '--profile',
+    environment: PROFILE_ENV_VAR,
+    active: 'active profile (nsql-cli profile use)',
+    default: 'default',
+  };
+  return `'${profileName}' (from ${sources[source]})`;
+}
+
+/**
+ * Describe an auth type for display
+ * @param {string} [authType] - 'oauth1' (the default), 'oauth2' or 'client_credentials'
+ * @returns {string}
+ */
+function describeAuthType(authType) {
+  return AUTH_TYPE_LABELS[authType] || AUTH_TYPE_LABELS.oauth1;
+}
+
+/**
+ * Validate profile data structure. Supports OAuth 1.0, OAuth 2.0 and OAuth 2.0
+ * client credentials profiles.
  * @param {Object} profileData - Profile configuration data
  * @returns {boolean} True if valid
  */
@@ -104,6 +298,11 @@ function validateProfile(profileData) {
     const requiredFields = ['accountId', 'clientId', 'clientSecret'];
     return requiredFields.every(field => profileData[field] && typeof profileData[field] === 'string');
   }
+  if (profileData.authType === 'client_credentials') {
+    const requiredFields = ['accountId', 'clientId', 'certificateId', 'privateKeyPath'];
+    return requiredFields.every(field => profileData[field] && typeof profileData[field] === 'string') &&
+      (!profileData.algorithm || CLIENT_ASSERTION_ALGORITHMS.includes(profileData.algorithm));
+  }
   const requiredFields = ['consumerKey', 'consumerSecret', 'token', 'tokenSecret', 'realm'];
   return requiredFields.every(field => profileData[field] && typeof profileData[field] === 'string');
 }
@@ -113,26 +312,139 @@ function validateProfile(profileData) {
  * @returns {Object|null} Credentials object if ALL env vars are set, null otherwise
  */
 function getEnvCredentials() {
-  const envCreds = {
-    consumerKey: process.env.NSQL_CONSUMER_KEY,
-    consumerSecret: process.env.NSQL_CONSUMER_SECRET,
-    token: process.env.NSQL_TOKEN,
-    tokenSecret: process.env.NSQL_TOKEN_SECRET,
-    realm: process.env.NSQL_REALM,
-  };
+  const envCreds = {};
+  Object.keys(OAUTH1_ENV_VARS).forEach(field => {
+    envCreds[field] = process.env[OAUTH1_ENV_VARS[field]];
+  });
 
   // Return credentials only if ALL are set
   const allSet = Object.values(envCreds).every((v) => v && v.length > 0);
   return allSet ? envCreds : null;
 }
 
+/**
+ * Get OAuth 2.0 credentials from environment variables. NSQL_ACCOUNT_ID is
+ * required, with NSQL_CLIENT_ID, NSQL_CLIENT_SECRET and NSQL_REFRESH_TOKEN to
+ * refresh the access token, and/or an NSQL_ACCESS_TOKEN to use as it is.
+ * @returns {Object|null} Credentials like a decrypted OAuth 2.0 profile, with
+ *   tokenExpiry read from the access token if it is a JWT, or null if the
+ *   variables are not set
+ */
+function getOAuth2EnvCredentials() {
+  const envCreds = {};
+  Object.keys(OAUTH2_ENV_VARS).forEach(field => {
+    const value = process.env[OAUTH2_ENV_VARS[field]];
+    if (value) {
+      envCreds[field] = value;
+    }
+  });
+
+  const canRefresh = Boolean(envCreds.clientId && envCreds.clientSecret && envCreds.refreshToken);
+  if (!envCreds.accountId || (!canRefresh && !envCreds.accessToken)) {
+    return null;
+  }
+  if (!canRefresh) {
+    // Refreshing needs all three; don't half-use them
+    delete envCreds.clientId;
+    delete envCreds.clientSecret;
+    delete envCreds.refreshToken;
+  }
+  const claims = decodeTokenClaims(envCreds.accessToken);
+  return {
+    authType: 'oauth2',
+    ...envCreds,
+    realm: envCreds.accountId,
+    tokenExpiry: claims && claims.exp ? claims.exp * 1000 : null,
+  };
+}
+
+/**
+ * List the environment variables that credentials were read from
+ * @param {Object} credentials - Credentials from getEnvCredentials() or getOAuth2EnvCredentials()
+ * @param {string} authType - 'oauth1' or 'oauth2'
+ * @returns {string[]} Variable names
+ */
+function listEnvVars(credentials, authType) {
+  const envVars = authType === 'oauth2' ? OAUTH2_ENV_VARS : OAUTH1_ENV_VARS;
+  return Object.keys(envVars).filter(field => credentials[field]).map(field => envVars[field]);
+}
+
 /**
  * Resolve credentials with precedence.
- * Priority: 1. OAuth2 env vars 2. OAuth1 env vars 3. Profile from config file
+ * Priority: 1. OAuth1 env vars 2. OAuth2 env vars 3. Profile from config file,
+ * chosen by resolveProfileName()
+ * @param {string} [profileName] - Profile given with --profile
+ * @returns {Object} Object with credentials, source, authType, the profileName
+ *   and profileSource from resolveProfileName(), and for credentials from the
+ *   environment the envVars they were read from
+ */
+function resolveCredentials(profileName) {
+  const resolved = resolveProfileName(profileName);
+  const { credentials, source, authType } = resolveProfileCredentials(resolved.profileName);
+  const result = { credentials, source, authType, profileName: resolved.profileName, profileSource: resolved.source };
+  if (source === 'environment') {
+    result.envVars = listEnvVars(credentials, authType);
+  }
+  return result;
+}
+
+/**
+ * Copy credentials without their secrets and tokens
+ * @param {Object} credentials - Stored profile or credentials from the environment
+ * @returns {Object}
+ */
+function withoutSecrets(credentials) {
+  const result = { ...credentials };
+  [...SECRET_FIELDS, 'accessToken'].forEach(field => delete result[field]);
+  return result;
+}
+
+/**
+ * Resolve the credentials resolveCredentials() would use, with the same
+ * precedence but without their secrets and without decrypting or migrating
+ * anything. It costs no key derivation and works while the credentials are
+ * locked, e.g. to preview a query or find the schema cache of an account.
+ * @param {string} [profileName] - Profile given with --profile
+ * @returns {Object} Same fields as resolveCredentials(), with credentials
+ *   holding only the non-secret fields (account, client ID, base URL, ...)
+ */
+function resolveCredentialsInfo(profileName) {
+  const resolved = resolveProfileName(profileName);
+  const result = { credentials: null, source: null, authType: null, profileName: resolved.profileName, profileSource: resolved.source };
+  const envCreds = getEnvCredentials();
+  const oauth2EnvCreds = envCreds ? null : getOAuth2EnvCredentials();
+  if (envCreds || oauth2EnvCreds) {
+    const authType = envCreds ? 'oauth1' : 'oauth2';
+    const credentials = envCreds || oauth2EnvCreds;
+    return { ...result, credentials: withoutSecrets(credentials), source: 'environment', authType, envVars: listEnvVars(credentials, authType) };
+  }
+  const profile = getProfile(resolved.profileName);
+  if (profile) {
+    return { ...result, credentials: withoutSecrets(profile), source: 'profile', authType: profile.authType || 'oauth1' };
+  }
+  return result;
+}
+
+/**
+ * Resolve the account of the credentials resolveCredentials() would use,
+ * without decrypting anything (see resolveCredentialsInfo())
+ * @param {string} [profileName] - Profile given with --profile
+ * @returns {{ account: string|null, source: string|null, profileName: string, profileSource: string }}
+ *   Account ID or realm (null if there are no credentials), 'environment' or
+ *   'profile', and the profileName and profileSource from resolveProfileName()
+ */
+function resolveAccount(profileName) {
+  const { credentials, source, profileName: name, profileSource } = resolveCredentialsInfo(profileName);
+  const account = credentials ? credentials.accountId || credentials.realm : null;
+  return { account: account || null, source, profileName: name, profileSource };
+}
+
+/**
+ * Resolve the credentials of a named profile, unless environment variables provide them
  * @param {string} profileName - Name of the profile to use as fallback
  * @returns {Object} Object with credentials, source, and authType
  */
-function resolveCredentials(profileName = 'default') {
+function resolveProfileCredentials(profileName) {
   debug.log('Resolving credentials for profile:', profileName);
 
   // Priority 1: OAuth 1.0 environment variables (all must be set)
@@ -142,7 +454,14 @@ function resolveCredentials(profileName = 'default') {
     return { credentials: envCreds, source: 'environment', authType: 'oauth1' };
   }
 
-  // Priority 2: Profile from config file
+  // Priority 2: OAuth 2.0 environment variables
+  const oauth2EnvCreds = getOAuth2EnvCredentials();
+  if (oauth2EnvCreds) {
+    debug.log('Using OAuth 2.0 environment variables');
+    return { credentials: oauth2EnvCreds, source: 'environment', authType: 'oauth2' };
+  }
+
+  // Priority 3: Profile from config file
   const profile = getProfile(profileName);
   if (profile) {
     const authType = profile.authType || 'oauth1';
@@ -152,7 +471,12 @@ function resolveCredentials(profileName = 'default') {
       const decrypted = decryptOAuth2Profile(profile);
       return { credentials: decrypted, source: 'profile', authType: 'oauth2' };
     }
-    return { credentials: profile, source: 'profile', authType: 'oauth1' };
+    if (authType === 'client_credentials') {
+      // Nothing to decrypt: the private key stays in its own file
+      return { credentials: { ...profile }, source: 'profile', authType };
+    }
+    migrateOAuth1Profile(profileName, profile);
+    return { credentials: decryptOAuth1Profile(profile), source: 'profile', authType: 'oauth1' };
   }
 
   debug.log('No credentials found');
@@ -162,60 +486,456 @@ function resolveCredentials(profileName = 'default') {
 // --- Encryption utilities ---
 
 /**
- * Get or create a machine-local encryption key.
+ * Read a key file written by getMachineKey() or an older version. A legacy
+ * key is still used, with a warning on stderr once per process.
+ * @param {string} content - Content of the key file
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Do not warn about a legacy key
+ * @returns {Buffer}
+ */
+function parseKeyFile(content, options = {}) {
+  const text = content.trim();
+  if (KEY_PATTERN.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  if (!options.quiet && !legacyKeyWarned) {
+    legacyKeyWarned = true;
+    console.error(`Warning: the encryption key in ${KEY_FILE} is in a legacy format. Run 'nsql-cli credentials rotate-key' to replace it.`);
+  }
+  return Buffer.from(text, 'utf8');
+}
+
+/**
+ * Get or create the machine-local encryption key.
  * Stored in ~/.nsql-cli/.encryption-key with restricted permissions.
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Do not warn about a legacy key
+ * @returns {Buffer}
  */
-function getEncryptionKey() {
+function getMachineKey(options = {}) {
   ensureConfigDir();
   if (fs.existsSync(KEY_FILE)) {
-    return fs.readFileSync(KEY_FILE, 'utf8').trim();
+    return parseKeyFile(fs.readFileSync(KEY_FILE, 'utf8'), options);
+  }
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+  return key;
+}
+
+/**
+ * Get the passphrase settings saved by setPassphrase()
+ * @returns {Object|null} { kdf, salt, N, r, p, check }, or null if no passphrase is set
+ */
+function getPassphraseSettings() {
+  const settings = readConfig()[SETTINGS_KEY];
+  return (settings && settings.passphrase) || null;
+}
+
+/**
+ * Check whether secrets are encrypted with a key derived from a passphrase
+ * @returns {boolean}
+ */
+function isPassphraseEnabled() {
+  return getPassphraseSettings() !== null;
+}
+
+/**
+ * Compute the verification tag of a derived key, saved so that a wrong
+ * passphrase is reported instead of producing garbage on decryption
+ * @param {Buffer} key
+ * @returns {string} Hex HMAC
+ */
+function passphraseCheck(key) {
+  return crypto.createHmac('sha256', key).update(PASSPHRASE_CHECK_LABEL).digest('hex');
+}
+
+/**
+ * Check a key against the verification tag of the passphrase settings
+ * @param {Buffer} key
+ * @param {Object} settings - Passphrase settings (see getPassphraseSettings())
+ * @returns {boolean}
+ */
+function matchesPassphrase(key, settings) {
+  const expected = Buffer.from(settings.check, 'hex');
+  const actual = Buffer.from(passphraseCheck(key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Derive the AES key from a passphrase with scrypt. The last key derived is
+ * kept in memory, so NSQL_PASSPHRASE costs one derivation per run.
+ * @param {string} passphrase
+ * @param {Object} settings - Passphrase settings (see getPassphraseSettings())
+ * @returns {Buffer}
+ * @throws {Error} If the passphrase does not match the verification tag
+ */
+function derivePassphraseKey(passphrase, settings) {
+  if (derivedKey && derivedKey.passphrase === passphrase && derivedKey.salt === settings.salt) {
+    return derivedKey.key;
   }
-  const key = crypto.randomBytes(32).toString('hex').slice(0, 32);
-  fs.writeFileSync(KEY_FILE, key, { mode: 0o600 });
+  const key = crypto.scryptSync(passphrase, Buffer.from(settings.salt, 'hex'), 32, {
+    N: settings.N,
+    r: settings.r,
+    p: settings.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+  if (!matchesPassphrase(key, settings)) {
+    throw new Error('Incorrect passphrase');
+  }
+  derivedKey = { passphrase, salt: settings.salt, key };
   return key;
 }
 
 /**
- * Encrypt a string with AES-256-CBC.
+ * Read the key cached by unlockCredentials(). Expired or stale sessions are removed.
+ * @param {Object} settings - Passphrase settings (see getPassphraseSettings())
+ * @returns {Buffer|null}
+ */
+function readSessionKey(settings) {
+  if (!fs.existsSync(SESSION_FILE)) {
+    return null;
+  }
+  try {
+    const session = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
+    const key = Buffer.from(session.key, 'hex');
+    if (session.salt === settings.salt && Date.now() < session.expiresAt && matchesPassphrase(key, settings)) {
+      return key;
+    }
+    debug.log('Credentials session expired');
+  } catch (error) {
+    debug.log('Could not read credentials session:', error.message);
+  }
+  removeSessionFile();
+  return null;
+}
+
+/**
+ * Get the key used to encrypt secrets. Without a passphrase this is the
+ * machine-local key; with one it is the key unlocked by this process or
+ * cached by unlockCredentials(), or the key derived from NSQL_PASSPHRASE.
+ * @returns {Buffer}
+ * @throws {Error} If a passphrase is set and the credentials are locked
+ */
+function getEncryptionKey() {
+  const settings = getPassphraseSettings();
+  if (!settings) {
+    return getMachineKey();
+  }
+  if (derivedKey && derivedKey.salt === settings.salt) {
+    return derivedKey.key;
+  }
+  const sessionKey = readSessionKey(settings);
+  if (sessionKey) {
+    return sessionKey;
+  }
+  if (process.env[PASSPHRASE_ENV_VAR]) {
+    return derivePassphraseKey(process.env[PASSPHRASE_ENV_VAR], settings);
+  }
+  throw new Error(`Credentials are locked. Run 'nsql-cli credentials unlock' or set ${PASSPHRASE_ENV_VAR}.`);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM.
  * @param {string} text
- * @returns {string} iv:encrypted in hex
+ * @param {Buffer} [key] - Key to use instead of getEncryptionKey()
+ * @returns {string} v2:iv:authTag:encrypted in hex
  */
-function encrypt(text) {
+function encrypt(text, key) {
   if (!text) return text;
-  const key = getEncryptionKey();
+  const cipherKey = key || getEncryptionKey();
   const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, Buffer.from(key, 'utf8'), iv);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, cipherKey, iv, { authTagLength: AUTH_TAG_LENGTH });
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+  return [ENCRYPTION_VERSION, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
 }
 
 /**
- * Decrypt a string encrypted with encrypt().
- * @param {string} text - iv:encrypted in hex
+ * Decrypt a string encrypted with encrypt(), or in the legacy AES-256-CBC
+ * iv:encrypted format. Strings without a colon are returned as they are.
+ * @param {string} text - v2:iv:authTag:encrypted or iv:encrypted in hex
+ * @param {Buffer} [key] - Key to use instead of getEncryptionKey()
  * @returns {string}
+ * @throws {Error} If the value was changed or encrypted with another key
  */
-function decrypt(text) {
+function decrypt(text, key) {
   if (!text || !text.includes(':')) return text;
-  const key = getEncryptionKey();
+  const cipherKey = key || getEncryptionKey();
+  if (!text.startsWith(`${ENCRYPTION_VERSION}:`)) {
+    return decryptLegacy(text, cipherKey);
+  }
+  const [, iv, authTag, encrypted] = text.split(':');
+  try {
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, cipherKey, Buffer.from(iv, 'hex'), { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch (error) {
+    throw decryptionError(error);
+  }
+}
+
+/**
+ * Error for a secret that could not be decrypted, whatever the format
+ * @param {Error} error - Error from the cipher
+ * @returns {Error}
+ */
+function decryptionError(error) {
+  debug.log('Decryption failed:', error.message);
+  return new Error('Could not decrypt a stored secret: it was changed or encrypted with a different key');
+}
+
+/**
+ * Decrypt a string in the legacy AES-256-CBC iv:encrypted format
+ * @param {string} text - iv:encrypted in hex
+ * @param {Buffer} key
+ * @returns {string}
+ * @throws {Error} If the value was changed or encrypted with another key
+ */
+function decryptLegacy(text, key) {
   const parts = text.split(':');
   const iv = Buffer.from(parts.shift(), 'hex');
   const encrypted = parts.join(':');
-  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, Buffer.from(key, 'utf8'), iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
+  try {
+    const decipher = crypto.createDecipheriv(LEGACY_ENCRYPTION_ALGORITHM, key, iv);
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch (error) {
+    throw decryptionError(error);
+  }
+}
+
+/**
+ * Encrypt every secret in the config with a new key. Secrets still in
+ * plaintext are encrypted too.
+ * @param {Object} config - Configuration object (see readConfig())
+ * @param {Buffer} oldKey - Key the secrets are encrypted with
+ * @param {Buffer} newKey - Key to encrypt them with
+ * @returns {Object} Configuration object with the secrets re-encrypted
+ */
+function reencryptConfig(config, oldKey, newKey) {
+  const result = { ...config };
+  Object.keys(result).filter(name => name !== SETTINGS_KEY).forEach(name => {
+    const profile = { ...result[name] };
+    SECRET_FIELDS.forEach(field => {
+      if (!profile[field]) return;
+      const plaintext = isEncrypted(profile[field]) ? decrypt(profile[field], oldKey) : profile[field];
+      profile[field] = encrypt(plaintext, newKey);
+    });
+    result[name] = profile;
+  });
+  return result;
+}
+
+/**
+ * Protect the secrets with a passphrase, or change the passphrase. Every
+ * secret is re-encrypted with the key derived from the new passphrase and
+ * the machine-local key file is removed.
+ * @param {string} passphrase - New passphrase
+ * @throws {Error} If a passphrase is set and the credentials are locked
+ */
+function setPassphrase(passphrase) {
+  const oldKey = getEncryptionKey();
+  const settings = { kdf: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...SCRYPT_PARAMS };
+  const newKey = crypto.scryptSync(passphrase, Buffer.from(settings.salt, 'hex'), 32, { ...SCRYPT_PARAMS, maxmem: SCRYPT_MAXMEM });
+  settings.check = passphraseCheck(newKey);
+
+  const config = reencryptConfig(readConfig(), oldKey, newKey);
+  config[SETTINGS_KEY] = { ...config[SETTINGS_KEY], passphrase: settings };
+  writeConfig(config);
+  lockCredentials();
+  if (fs.existsSync(KEY_FILE)) {
+    fs.unlinkSync(KEY_FILE);
+  }
+}
+
+/**
+ * Stop using a passphrase: re-encrypt every secret with a new machine-local key
+ * @throws {Error} If the credentials are locked
+ */
+function removePassphrase() {
+  const oldKey = getEncryptionKey();
+  if (fs.existsSync(KEY_FILE)) {
+    fs.unlinkSync(KEY_FILE);
+  }
+  const newKey = getMachineKey();
+
+  const config = reencryptConfig(readConfig(), oldKey, newKey);
+  const settings = { ...config[SETTINGS_KEY] };
+  delete settings.passphrase;
+  config[SETTINGS_KEY] = settings;
+  writeConfig(config);
+  lockCredentials();
+}
+
+/**
+ * Replace the machine-local key with a fresh one and re-encrypt every secret
+ * with it. The config is written atomically; if the new key cannot be put in
+ * place afterwards, the previous config is written back.
+ * @throws {Error} If a passphrase is set; rotate its key with setPassphrase()
+ */
+function rotateMachineKey() {
+  if (isPassphraseEnabled()) {
+    throw new Error('A passphrase is set, so there is no key file to rotate');
+  }
+  // The key is being replaced, so there is no point in warning that it is legacy
+  const oldKey = getMachineKey({ quiet: true });
+  const newKey = crypto.randomBytes(32);
+  const original = readConfig();
+  const config = reencryptConfig(original, oldKey, newKey);
+
+  const tempKeyFile = `${KEY_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempKeyFile, newKey.toString('hex'), { mode: 0o600 });
+  try {
+    writeConfig(config);
+  } catch (error) {
+    fs.rmSync(tempKeyFile, { force: true });
+    throw error;
+  }
+  try {
+    fs.renameSync(tempKeyFile, KEY_FILE);
+  } catch (error) {
+    writeConfig(original);
+    fs.rmSync(tempKeyFile, { force: true });
+    throw new Error(`Failed to write the new encryption key: ${error.message}`);
+  }
+}
+
+/**
+ * Check a passphrase and unlock the secrets for this process. With a
+ * duration the derived key is also cached, so that later commands can
+ * decrypt secrets without asking for it until the session expires.
+ * @param {string} passphrase
+ * @param {number} [durationMs] - How long the key stays cached
+ * @returns {number|null} Expiry as a timestamp in milliseconds, or null without a duration
+ * @throws {Error} If no passphrase is set or the passphrase is wrong
+ */
+function unlockCredentials(passphrase, durationMs) {
+  const settings = getPassphraseSettings();
+  if (!settings) {
+    throw new Error("No passphrase is set. Run 'nsql-cli credentials passphrase' to set one.");
+  }
+  const key = derivePassphraseKey(passphrase, settings);
+  if (!durationMs) {
+    return null;
+  }
+  const expiresAt = Date.now() + durationMs;
+  removeSessionFile();
+  // 'wx' refuses to write the key into a file someone else created first
+  fs.writeFileSync(SESSION_FILE, JSON.stringify({ salt: settings.salt, key: key.toString('hex'), expiresAt }), { mode: 0o600, flag: 'wx' });
+  return expiresAt;
+}
+
+/**
+ * Remove the session file written by unlockCredentials()
+ * @returns {boolean} True if there was one
+ */
+function removeSessionFile() {
+  if (!fs.existsSync(SESSION_FILE)) {
+    return false;
+  }
+  fs.unlinkSync(SESSION_FILE);
+  return true;
+}
+
+/**
+ * Forget the key unlocked by unlockCredentials(), both in this process and
+ * in the session file
+ * @returns {boolean} True if a session file was removed
+ */
+function lockCredentials() {
+  derivedKey = null;
+  return removeSessionFile();
+}
+
+/**
+ * Check whether a value looks like the output of encrypt(), in the current
+ * or the legacy format
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isEncrypted(text) {
+  return typeof text === 'string' && (ENCRYPTED_PATTERN.test(text) || LEGACY_ENCRYPTED_PATTERN.test(text));
+}
+
+// --- OAuth 1.0 profile management ---
+
+/**
+ * Encrypt the secrets of an OAuth 1.0 profile (consumerSecret, token and
+ * tokenSecret). Values that are already encrypted are left as they are.
+ * @param {Object} profile - Profile with plaintext secrets
+ * @returns {Object} Profile with encrypted secrets
+ */
+function encryptOAuth1Profile(profile) {
+  const encrypted = { ...profile };
+  OAUTH1_SECRET_FIELDS.forEach(field => {
+    if (encrypted[field] && !isEncrypted(encrypted[field])) {
+      encrypted[field] = encrypt(encrypted[field]);
+    }
+  });
+  return encrypted;
+}
+
+/**
+ * Decrypt the secrets of an OAuth 1.0 profile for use. Plaintext values from
+ * profiles saved by older versions are returned as they are.
+ * @param {Object} profile - Raw profile from config
+ * @returns {Object} Profile with decrypted secrets
+ */
+function decryptOAuth1Profile(profile) {
+  const decrypted = { ...profile };
+  OAUTH1_SECRET_FIELDS.forEach(field => {
+    if (isEncrypted(decrypted[field])) {
+      decrypted[field] = decrypt(decrypted[field]);
+    }
+  });
   return decrypted;
 }
 
+/**
+ * Save an OAuth 1.0 profile with its secrets encrypted
+ * @param {string} profileName
+ * @param {Object} profileData - { consumerKey, consumerSecret, token, tokenSecret, realm, dateFormat? }
+ */
+function saveOAuth1Profile(profileName, profileData) {
+  saveProfile(profileName, encryptOAuth1Profile(profileData));
+}
+
+/**
+ * Encrypt the secrets of an OAuth 1.0 profile saved in plaintext by an older
+ * version. A config file that cannot be written is left as it is, so the
+ * profile keeps working.
+ * @param {string} profileName
+ * @param {Object} profile - Raw profile from config
+ * @returns {boolean} True if the profile was migrated
+ */
+function migrateOAuth1Profile(profileName, profile) {
+  const plaintext = OAUTH1_SECRET_FIELDS.filter(field => profile[field] && !isEncrypted(profile[field]));
+  if (plaintext.length === 0) {
+    return false;
+  }
+  try {
+    saveOAuth1Profile(profileName, profile);
+    debug.log('Encrypted plaintext secrets of profile:', profileName, plaintext.join(', '));
+    return true;
+  } catch (error) {
+    debug.log('Could not encrypt the secrets of profile:', profileName, error.message);
+    return false;
+  }
+}
+
 // --- OAuth 2.0 profile management ---
 
 /**
  * Save an OAuth 2.0 profile with its initial configuration (before login).
  * Encrypts clientSecret.
  * @param {string} profileName
- * @param {Object} profileData - { accountId, clientId, clientSecret }
+ * @param {Object} profileData - { accountId, clientId, clientSecret, dateFormat? }
  */
 function saveOAuth2Profile(profileName, profileData) {
+  assertProfileName(profileName);
   const config = readConfig();
   config[profileName] = {
     authType: 'oauth2',
@@ -224,6 +944,9 @@ function saveOAuth2Profile(profileName, profileData) {
     clientSecret: encrypt(profileData.clientSecret),
     realm: profileData.accountId,
   };
+  if (profileData.dateFormat) {
+    config[profileName].dateFormat = profileData.dateFormat;
+  }
   writeConfig(config);
 }
 
@@ -269,23 +992,92 @@ function isTokenExpired(profile) {
   return Date.now() >= (profile.tokenExpiry - TOKEN_EXPIRY_BUFFER_MS);
 }
 
+// --- OAuth 2.0 client credentials profile management ---
+
+/**
+ * Save an OAuth 2.0 client credentials (machine-to-machine) profile. Only the
+ * path of the certificate's private key is stored, so there is nothing to
+ * encrypt. A cached access token is dropped, as it may belong to the old setup.
+ * @param {string} profileName
+ * @param {Object} profileData - { accountId, clientId, certificateId, privateKeyPath, algorithm?, dateFormat? }
+ */
+function saveClientCredentialsProfile(profileName, profileData) {
+  assertProfileName(profileName);
+  const config = readConfig();
+  config[profileName] = {
+    authType: 'client_credentials',
+    accountId: profileData.accountId,
+    clientId: profileData.clientId,
+    certificateId: profileData.certificateId,
+    privateKeyPath: path.resolve(profileData.privateKeyPath),
+    algorithm: profileData.algorithm || CLIENT_ASSERTION_ALGORITHMS[0],
+    realm: profileData.accountId,
+  };
+  if (profileData.dateFormat) {
+    config[profileName].dateFormat = profileData.dateFormat;
+  }
+  writeConfig(config);
+}
+
+/**
+ * Cache the access token of a client credentials profile until it expires
+ * @param {string} profileName
+ * @param {Object} tokens - { accessToken, tokenExpiry }
+ */
+function saveClientCredentialsToken(profileName, tokens) {
+  const config = readConfig();
+  const profile = config[profileName];
+  if (!profile) {
+    throw new Error(`Profile '${profileName}' not found`);
+  }
+  profile.accessToken = tokens.accessToken;
+  profile.tokenExpiry = tokens.tokenExpiry;
+  writeConfig(config);
+}
+
 module.exports = {
   readConfig,
   writeConfig,
   getProfile,
   saveProfile,
+  deleteProfile,
+  renameProfile,
   profileExists,
   getAllProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  resolveProfileName,
+  describeProfileSource,
+  describeAuthType,
   validateProfile,
   getEnvCredentials,
+  getOAuth2EnvCredentials,
   resolveCredentials,
+  resolveCredentialsInfo,
+  resolveAccount,
+  saveOAuth1Profile,
+  decryptOAuth1Profile,
+  migrateOAuth1Profile,
   saveOAuth2Profile,
   saveOAuth2Tokens,
   decryptOAuth2Profile,
+  saveClientCredentialsProfile,
+  saveClientCredentialsToken,
   isTokenExpired,
   encrypt,
   decrypt,
+  isEncrypted,
+  isPassphraseEnabled,
+  setPassphrase,
+  removePassphrase,
+  rotateMachineKey,
+  unlockCredentials,
+  lockCredentials,
   CONFIG_DIR,
   CONFIG_FILE,
+  DEFAULT_PROFILE,
+  PROFILE_ENV_VAR,
+  PROFILE_PRECEDENCE,
+  PASSPHRASE_ENV_VAR,
 };
 
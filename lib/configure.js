@@ -1,11 +1,15 @@
+const os = require('os');
 const inquirer = require('inquirer');
-const { getProfile, saveProfile, profileExists, getAllProfiles, validateProfile, saveOAuth2Profile, decryptOAuth2Profile } = require('./config');
+const { getProfile, saveOAuth1Profile, profileExists, getAllProfiles, validateProfile, saveOAuth2Profile, saveClientCredentialsProfile, decryptOAuth1Profile, decryptOAuth2Profile } = require('./config');
+const { loadPrivateKey, CLIENT_ASSERTION_ALGORITHMS } = require('./oauth2');
+const { DEFAULT_DATE_FORMAT, parseDateFormat } = require('./typed');
 
 // Inquirer v9+ uses default.prompt or createPromptModule()
 const prompt = inquirer.default?.prompt || inquirer.createPromptModule();
 
 const AUTH_TYPES = {
   OAUTH2: 'oauth2',
+  CLIENT_CREDENTIALS: 'client_credentials',
   OAUTH1: 'oauth1',
 };
 
@@ -34,17 +38,23 @@ async function configure(profileName = 'default') {
             name: 'OAuth 2.0 - Browser login (recommended)',
             value: AUTH_TYPES.OAUTH2,
           },
+          {
+            name: 'OAuth 2.0 - Client credentials with a certificate (headless, M2M)',
+            value: AUTH_TYPES.CLIENT_CREDENTIALS,
+          },
           {
             name: 'OAuth 1.0 / TBA - Token-based (legacy)',
             value: AUTH_TYPES.OAUTH1,
           },
         ],
-        default: existingAuthType === 'oauth2' ? AUTH_TYPES.OAUTH2 : AUTH_TYPES.OAUTH1,
+        default: Object.values(AUTH_TYPES).includes(existingAuthType) ? existingAuthType : AUTH_TYPES.OAUTH1,
       },
     ]);
 
     if (authType === AUTH_TYPES.OAUTH2) {
       await configureOAuth2(profileName, existingProfile);
+    } else if (authType === AUTH_TYPES.CLIENT_CREDENTIALS) {
+      await configureClientCredentials(profileName, existingProfile);
     } else {
       await configureOAuth1(profileName, existingProfile);
     }
@@ -120,12 +130,14 @@ async function configureOAuth2(profileName, existingProfile) {
         return value.length > 0 || 'Client Secret is required';
       },
     },
+    dateFormatQuestion(existingProfile),
   ]);
 
   const profileData = {
     accountId: answers.accountId,
     clientId: answers.clientId,
     clientSecret: answers.clientSecret,
+    dateFormat: answers.dateFormat,
   };
 
   if (!validateProfile({ ...profileData, authType: 'oauth2' })) {
@@ -137,13 +149,87 @@ async function configureOAuth2(profileName, existingProfile) {
   console.log(`Run 'nsql-cli login --profile ${profileName}' to authenticate via browser.`);
 }
 
+/**
+ * Configure an OAuth 2.0 client credentials profile, which gets its access
+ * tokens with a certificate instead of a browser login
+ */
+async function configureClientCredentials(profileName, existingProfile) {
+  const current = existingProfile?.authType === AUTH_TYPES.CLIENT_CREDENTIALS ? existingProfile : null;
+
+  if (current) {
+    console.log(`\nEditing OAuth 2.0 client credentials profile: ${profileName}`);
+    console.log('Current configuration:');
+    console.log(`  Account ID: ${current.accountId}`);
+    console.log(`  Client ID:  ${maskValue(current.clientId)}`);
+    console.log(`  Certificate ID: ${current.certificateId}`);
+    console.log(`  Private key: ${current.privateKeyPath}`);
+    console.log(`  Algorithm: ${current.algorithm}`);
+    console.log('\nEnter new values (press Enter to keep current value):\n');
+  } else {
+    console.log(`\nConfiguring OAuth 2.0 client credentials profile: ${profileName}`);
+    console.log('You will need the Client ID of your Integration Record, and the certificate');
+    console.log('ID from Setup > Integration > OAuth 2.0 Client Credentials (M2M) Setup.\n');
+  }
+
+  const answers = await prompt([
+    requiredInput('accountId', 'Account ID', current?.accountId, current ? current.accountId : '(e.g. TSTDRV1234567 or 1234567_SB1)'),
+    requiredInput('clientId', 'Client ID', current?.clientId, current && maskValue(current.clientId)),
+    requiredInput('certificateId', 'Certificate ID', current?.certificateId),
+    {
+      type: 'input',
+      name: 'privateKeyPath',
+      message: `Path to the certificate's private key (PEM)${current ? ` [${current.privateKeyPath}]` : ''}:`,
+      default: '',
+      filter: (input) => expandHome(input.trim()) || (current ? current.privateKeyPath : ''),
+      validate: (input) => {
+        const value = expandHome(input.trim()) || (current ? current.privateKeyPath : '');
+        if (!value) {
+          return 'Private key path is required';
+        }
+        try {
+          loadPrivateKey(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: 'list',
+      name: 'algorithm',
+      message: 'Signing algorithm:',
+      choices: CLIENT_ASSERTION_ALGORITHMS,
+      default: current ? current.algorithm : CLIENT_ASSERTION_ALGORITHMS[0],
+    },
+    dateFormatQuestion(existingProfile),
+  ]);
+
+  const profileData = {
+    accountId: answers.accountId,
+    clientId: answers.clientId,
+    certificateId: answers.certificateId,
+    privateKeyPath: answers.privateKeyPath,
+    algorithm: answers.algorithm,
+    dateFormat: answers.dateFormat,
+  };
+
+  if (!validateProfile({ ...profileData, authType: AUTH_TYPES.CLIENT_CREDENTIALS })) {
+    throw new Error('Invalid profile data: Account ID, Client ID, Certificate ID, and private key path are required');
+  }
+
+  saveClientCredentialsProfile(profileName, profileData);
+  console.log(`\nProfile '${profileName}' saved (OAuth 2.0 client credentials).`);
+  console.log('Access tokens are requested with the certificate when you run a query, and cached until they expire.');
+}
+
 /**
  * Configure an OAuth 1.0 / TBA profile (legacy)
  */
 async function configureOAuth1(profileName, existingProfile) {
-  const isExistingOAuth1 = existingProfile && existingProfile.authType !== 'oauth2';
+  const isExistingOAuth1 = existingProfile && (existingProfile.authType || AUTH_TYPES.OAUTH1) === AUTH_TYPES.OAUTH1;
 
   if (isExistingOAuth1) {
+    existingProfile = decryptOAuth1Profile(existingProfile);
     console.log(`\nEditing existing profile: ${profileName}`);
     console.log('Current configuration:');
     console.log(`  Consumer Key: ${maskValue(existingProfile.consumerKey)}`);
@@ -226,7 +312,8 @@ async function configureOAuth1(profileName, existingProfile) {
         const value = input.trim() || (isExistingOAuth1 ? existingProfile.realm : '');
         return value.length > 0 || 'Realm is required';
       }
-    }
+    },
+    dateFormatQuestion(existingProfile)
   ];
 
   const answers = await prompt(questions);
@@ -238,15 +325,77 @@ async function configureOAuth1(profileName, existingProfile) {
     tokenSecret: answers.tokenSecret.trim(),
     realm: answers.realm.trim()
   };
+  if (answers.dateFormat) {
+    profileData.dateFormat = answers.dateFormat;
+  }
 
   if (!validateProfile(profileData)) {
     throw new Error('Invalid profile data: all fields are required');
   }
 
-  saveProfile(profileName, profileData);
+  saveOAuth1Profile(profileName, profileData);
   console.log(`\nProfile '${profileName}' saved successfully!`);
 }
 
+/**
+ * Build a prompt for a required text value that keeps the current value when left empty
+ * @param {string} name - Answer name
+ * @param {string} label - Field label
+ * @param {string} [current] - Current value, if editing a profile
+ * @param {string} [hint] - Shown in brackets instead of the current value, or
+ *   after the label for a new profile (e.g. an example)
+ * @returns {Object} Inquirer question
+ */
+function requiredInput(name, label, current, hint = current) {
+  let suffix = '';
+  if (current) {
+    suffix = ` [${hint}]`;
+  } else if (hint) {
+    suffix = ` ${hint}`;
+  }
+  return {
+    type: 'input',
+    name,
+    message: `${label}${suffix}:`,
+    default: '',
+    filter: (input) => input.trim() || current || '',
+    validate: (input) => (input.trim() || current || '').length > 0 || `${label} is required`,
+  };
+}
+
+/**
+ * Expand a leading ~ in a path typed at a prompt, as the shell would
+ * @param {string} input - Typed path
+ * @returns {string}
+ */
+function expandHome(input) {
+  return input.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+/**
+ * Build the prompt for the account date format used by `query --typed`
+ * @param {Object|null} existingProfile - Profile being edited, if any
+ * @returns {Object} Inquirer question
+ */
+function dateFormatQuestion(existingProfile) {
+  const current = (existingProfile && existingProfile.dateFormat) || DEFAULT_DATE_FORMAT;
+  return {
+    type: 'input',
+    name: 'dateFormat',
+    message: `Date format of the account, for --typed [${current}]:`,
+    default: '',
+    filter: (input) => input.trim() || current,
+    validate: (input) => {
+      try {
+        parseDateFormat(input.trim() || current);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  };
+}
+
 /**
  * Mask sensitive values for display (AWS CLI style: shows last 4 chars)
  * @param {string} value - Value to mask
@@ -263,4 +412,4 @@ function maskValue(value) {
   return '*'.repeat(Math.max(12, value.length - 4)) + lastChars;
 }
 
-module.exports = { configure };
+module.exports = { configure, maskValue };
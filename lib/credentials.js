@@ -0,0 +1,169 @@
+/**
+ * Passphrase protection of the secrets in ~/.nsql-cli/config.json. With a
+ * passphrase set, secrets are encrypted with a key derived from it instead
+ * of the key file next to the config, so a copy of the directory cannot be
+ * decrypted on its own. `credentials unlock` caches the derived key for a
+ * while, so that commands can decrypt secrets without asking for it.
+ * `credentials rotate-key` re-encrypts every secret under a fresh key.
+ */
+
+const inquirer = require('inquirer');
+const {
+  isPassphraseEnabled,
+  setPassphrase,
+  removePassphrase,
+  rotateMachineKey,
+  unlockCredentials,
+  lockCredentials,
+  PASSPHRASE_ENV_VAR,
+} = require('./config');
+
+// Inquirer v9+ uses default.prompt or createPromptModule()
+const prompt = inquirer.default?.prompt || inquirer.createPromptModule();
+
+const DEFAULT_UNLOCK_MINUTES = 15;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Print an error from a prompt or from the config and exit
+ * @param {Error} error
+ */
+function reportError(error) {
+  if (error.isTtyError) {
+    console.error(`Error: Prompt couldn't be rendered in the current environment. Set ${PASSPHRASE_ENV_VAR} instead.`);
+  } else {
+    console.error(`Error: ${error.message}`);
+  }
+  process.exit(1);
+}
+
+/**
+ * Ask for a passphrase without echoing it
+ * @param {string} message - Prompt message
+ * @param {Function} [validate] - Inquirer validate function
+ * @returns {Promise<string>}
+ */
+async function askPassphrase(message, validate) {
+  const { passphrase } = await prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: validate || ((input) => input.length > 0 || 'Passphrase is required'),
+    },
+  ]);
+  return passphrase;
+}
+
+/**
+ * Unlock the secrets for this process with the current passphrase, taken
+ * from NSQL_PASSPHRASE or asked for
+ * @returns {Promise<string>} The current passphrase
+ */
+async function unlockCurrent() {
+  const current = process.env[PASSPHRASE_ENV_VAR] || await askPassphrase('Current passphrase:');
+  unlockCredentials(current);
+  return current;
+}
+
+/**
+ * Set, change or remove the passphrase. Every stored secret is re-encrypted.
+ * @param {Object} [options]
+ * @param {boolean} [options.remove=false] - Go back to the machine-local key
+ */
+async function changePassphrase(options = {}) {
+  const enabled = isPassphraseEnabled();
+  if (options.remove && !enabled) {
+    console.log('No passphrase is set.');
+    return;
+  }
+
+  try {
+    if (enabled) {
+      await unlockCurrent();
+    }
+    if (options.remove) {
+      removePassphrase();
+      console.log('Passphrase removed. Secrets are encrypted with the key in ~/.nsql-cli/.encryption-key again.');
+      return;
+    }
+
+    const passphrase = await askPassphrase('New passphrase:', (input) =>
+      input.length >= MIN_PASSPHRASE_LENGTH || `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    const confirmation = await askPassphrase('Repeat the new passphrase:');
+    if (passphrase !== confirmation) {
+      throw new Error('The passphrases do not match');
+    }
+    setPassphrase(passphrase);
+  } catch (error) {
+    reportError(error);
+    return;
+  }
+  console.log(`Passphrase ${enabled ? 'changed' : 'set'}. Run 'nsql-cli credentials unlock' or set ${PASSPHRASE_ENV_VAR} to use your profiles.`);
+}
+
+/**
+ * Re-encrypt every stored secret under a fresh key: a new key file, or with
+ * a passphrase a new salt, which locks the secrets again
+ */
+async function rotateKey() {
+  const enabled = isPassphraseEnabled();
+  try {
+    if (enabled) {
+      setPassphrase(await unlockCurrent());
+    } else {
+      rotateMachineKey();
+    }
+  } catch (error) {
+    reportError(error);
+    return;
+  }
+  if (enabled) {
+    console.log("Encryption key rotated with a new salt for your passphrase. Run 'nsql-cli credentials unlock' to unlock your profiles again.");
+  } else {
+    console.log('Encryption key rotated. Every stored secret was re-encrypted with a new key in ~/.nsql-cli/.encryption-key.');
+  }
+}
+
+/**
+ * Check the passphrase and keep the secrets unlocked for a while
+ * @param {Object} [options]
+ * @param {string|number} [options.duration=15] - Minutes to stay unlocked
+ */
+async function unlock(options = {}) {
+  const duration = options.duration === undefined ? DEFAULT_UNLOCK_MINUTES : Number(options.duration);
+  if (!Number.isInteger(duration) || duration < 1) {
+    console.error(`Error: Invalid duration '${options.duration}'. Use a whole number of minutes, e.g. --duration 30`);
+    process.exit(1);
+    return;
+  }
+  if (!isPassphraseEnabled()) {
+    console.error("Error: No passphrase is set. Run 'nsql-cli credentials passphrase' to set one.");
+    process.exit(1);
+    return;
+  }
+
+  let expiresAt;
+  try {
+    const passphrase = process.env[PASSPHRASE_ENV_VAR] || await askPassphrase('Passphrase:');
+    expiresAt = unlockCredentials(passphrase, duration * 60 * 1000);
+  } catch (error) {
+    reportError(error);
+    return;
+  }
+  console.log(`Credentials unlocked until ${new Date(expiresAt).toLocaleString()}.`);
+}
+
+/**
+ * Forget the key cached by unlock()
+ */
+function lock() {
+  if (lockCredentials()) {
+    console.log('Credentials locked.');
+  } else {
+    console.log('Credentials were not unlocked.');
+  }
+}
+
+module.exports = { DEFAULT_UNLOCK_MINUTES, changePassphrase, rotateKey, unlock, lock };
@@ -0,0 +1,181 @@
+/**
+ * CSV formatting for query results.
+ * The writer fixes its header once (from the SELECT list or the first page)
+ * and keeps that column order for every later page, so a result set can be
+ * written page by page as one CSV file.
+ */
+
+const { resolveHeader } = require('./columns');
+
+const BOM = '\uFEFF';
+
+/**
+ * Resolve the CSV dialect options for a format.
+ * `tsv` is CSV with a tab delimiter. The delimiter can be given as a single
+ * character, or as `\t` or `tab` since a literal tab is awkward to type.
+ * @param {string} format - 'csv' or 'tsv'
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (defaults to ',' for csv)
+ * @param {boolean} [options.quoteAll=false] - Quote every field, not only those that need it
+ * @param {boolean} [options.bom=false] - Start the output with a UTF-8 byte order mark
+ * @param {boolean} [options.header=true] - Write the header row
+ * @param {boolean} [options.crlf=false] - End lines with \r\n instead of \n
+ * @returns {{ delimiter: string, quoteAll: boolean, bom: boolean, header: boolean, eol: string }}
+ * @throws {Error} If the delimiter is invalid or conflicts with the format
+ */
+function resolveCsvDialect(format, options = {}) {
+  let delimiter = format === 'tsv' ? '\t' : ',';
+  if (options.delimiter !== undefined) {
+    if (format === 'tsv') {
+      throw new Error('--delimiter cannot be used with the tsv format, which always uses tabs');
+    }
+    delimiter = options.delimiter === '\\t' || options.delimiter === 'tab' ? '\t' : options.delimiter;
+    if (Array.from(delimiter).length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(`Invalid delimiter '${options.delimiter}'. Use a single character other than a quote or line break`);
+    }
+  }
+  return {
+    delimiter,
+    quoteAll: Boolean(options.quoteAll),
+    bom: Boolean(options.bom),
+    header: options.header !== false,
+    eol: options.crlf ? '\r\n' : '\n',
+  };
+}
+
+/**
+ * Escape CSV value (handle quotes, delimiters and line breaks)
+ * @param {string} value - Value to escape
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {boolean} [options.quoteAll=false] - Quote the value even if it doesn't need it
+ * @returns {string} Escaped CSV value
+ */
+function escapeCsvValue(value, options = {}) {
+  if (value === null || value === undefined) {
+    return options.quoteAll ? '""' : '';
+  }
+  const stringValue = String(value);
+  const delimiter = options.delimiter || ',';
+  // If value contains the delimiter, a quote or a line break, wrap in quotes and escape internal quotes
+  if (options.quoteAll || stringValue.includes(delimiter) || /["\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+/**
+ * Format a single cell value
+ * @param {*} value - Raw item value
+ * @param {Object} dialect - Escaping options (see escapeCsvValue())
+ * @returns {string} Escaped CSV cell
+ */
+function formatCsvCell(value, dialect) {
+  if (value === null || value === undefined) {
+    return escapeCsvValue(value, dialect);
+  }
+  // Handle nested objects/arrays by JSON-stringifying them
+  if (typeof value === 'object') {
+    return escapeCsvValue(JSON.stringify(value), dialect);
+  }
+  return escapeCsvValue(String(value), dialect);
+}
+
+/**
+ * Create a CSV writer that formats rows page by page under a stable header.
+ *
+ * When `columns` is given (usually parsed from the SELECT list), it is used as
+ * the header; keys first seen on the first page are appended, apart from the
+ * `links` metadata SuiteQL adds to every row. Otherwise the header is the set
+ * of keys of the first non-empty page. Keys that only show up after the header
+ * was fixed cannot be added to it and are reported through `onDroppedColumn`.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - Known column names, in order
+ * @param {Function} [options.onDroppedColumn] - Called once per key that is not in the header
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {boolean} [options.quoteAll=false] - Quote every field
+ * @param {boolean} [options.bom=false] - Start the output with a UTF-8 byte order mark
+ * @param {boolean} [options.header=true] - Write the header row
+ * @param {string} [options.eol='\n'] - Line ending
+ * @returns {{ writeRows: function(Object[]): (string|null), end: function(): (string|null), getHeaders: function(): (string[]|null) }}
+ */
+function createCsvWriter(options = {}) {
+  const onDroppedColumn = options.onDroppedColumn || (() => {});
+  const dialect = { delimiter: options.delimiter || ',', quoteAll: Boolean(options.quoteAll) };
+  const eol = options.eol || '\n';
+  let headers = null;
+  const fromSelectList = Boolean(options.columns);
+  let started = false;
+  const dropped = new Set();
+
+  function formatRow(item) {
+    Object.keys(item).forEach(key => {
+      if (!headers.includes(key) && !(fromSelectList && key === 'links') && !dropped.has(key)) {
+        dropped.add(key);
+        onDroppedColumn(key);
+      }
+    });
+    return headers.map(header => formatCsvCell(item[header], dialect)).join(dialect.delimiter);
+  }
+
+  // The byte order mark goes in front of whatever is written first
+  function emit(text) {
+    const output = !started && options.bom ? BOM + text : text;
+    started = true;
+    return output;
+  }
+
+  return {
+    /**
+     * Format a page of rows. The first call that can determine the header
+     * also emits the header row.
+     * @param {Object[]} items - Rows of one page
+     * @returns {string|null} CSV text without a trailing line ending, or null if there is nothing to write yet
+     */
+    writeRows(items) {
+      const lines = [];
+      if (!headers) {
+        headers = resolveHeader(options.columns, items);
+        if (!headers) {
+          return null;
+        }
+        if (options.header !== false) {
+          lines.push(headers.map(header => escapeCsvValue(header, dialect)).join(dialect.delimiter));
+        }
+      }
+      items.forEach(item => lines.push(formatRow(item)));
+      return lines.length > 0 ? emit(lines.join(eol)) : null;
+    },
+
+    /**
+     * Finish the output.
+     * @returns {string|null} Remaining text: '' (or just the byte order mark)
+     *   when nothing was written, otherwise null
+     */
+    end() {
+      if (started) {
+        return null;
+      }
+      return emit('');
+    },
+
+    getHeaders() {
+      return headers;
+    },
+  };
+}
+
+/**
+ * Convert results to CSV format
+ * @param {Object} results - Query results object with items array
+ * @param {Object} [options] - Writer options (see createCsvWriter())
+ * @returns {string} CSV formatted string
+ */
+function formatAsCsv(results, options = {}) {
+  const writer = createCsvWriter(options);
+  const chunks = [writer.writeRows(results.items || []), writer.end()];
+  return chunks.filter(chunk => chunk !== null).join(options.eol || '\n');
+}
+
+module.exports = { resolveCsvDialect, escapeCsvValue, createCsvWriter, formatAsCsv };
@@ -0,0 +1,88 @@
+/**
+ * Describe a record type: its fields with their types, labels and join
+ * targets. They are read from the schema cache of the account when it has
+ * the record type (see schema.js), otherwise from the REST metadata catalog.
+ */
+
+const { formatAsTable } = require('./table');
+const { readSchemaCache, findRecord, parseRecordMetadata, openSession, getCredentialsAccount } = require('./schema');
+const debug = require('./debug');
+
+const DESCRIBE_FORMATS = ['table', 'json'];
+
+/**
+ * Format a described record type
+ * @param {Object} record - Record type (see parseRecordMetadata())
+ * @param {string} format - 'table' or 'json'
+ * @returns {string}
+ */
+function formatRecord(record, format) {
+  if (format === 'json') {
+    return JSON.stringify(record, null, 2);
+  }
+  const items = record.fields.map(field => ({
+    field: field.id,
+    type: field.type,
+    label: field.label,
+    join: field.join || '',
+  }));
+  return formatAsTable({ items }, { columns: ['field', 'type', 'label', 'join'] });
+}
+
+/**
+ * Print the fields of a record type
+ * @param {string} recordType - Record type ID, e.g. 'customer'
+ * @param {string} [profileName] - Profile given with --profile (see resolveProfileName())
+ * @param {Object} [options]
+ * @param {string} [options.format='table'] - 'table' or 'json'
+ * @param {boolean} [options.live=false] - Ask NetSuite even if the record type is cached
+ */
+async function describeRecord(recordType, profileName, options = {}) {
+  const format = options.format || 'table';
+  if (!DESCRIBE_FORMATS.includes(format)) {
+    console.error(`Error: Invalid format '${format}'. Supported formats: ${DESCRIBE_FORMATS.join(', ')}`);
+    process.exit(1);
+    return;
+  }
+  const type = String(recordType || '').trim().toLowerCase();
+  if (!type) {
+    console.error('Error: A record type is required, e.g. nsql-cli describe customer');
+    process.exit(1);
+    return;
+  }
+
+  const session = openSession(profileName);
+  if (!session) {
+    process.exit(1);
+    return;
+  }
+
+  if (!options.live) {
+    const cache = readSchemaCache(getCredentialsAccount(session.credentials));
+    const record = cache && findRecord(cache, type);
+    if (record) {
+      debug.log('Using schema cache pulled at', cache.pulledAt);
+      console.log(formatRecord(record, format));
+      return;
+    }
+  }
+
+  try {
+    debug.log('Describing record type:', type);
+    const schema = await session.fetchMetadata(type);
+    console.log(formatRecord(parseRecordMetadata(type, schema), format));
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      console.error(`Error: Record type '${type}' was not found in the metadata catalog.`);
+    } else {
+      console.error('Error describing record type:', error.message);
+      if (error.response) {
+        console.error('Response status:', error.response.status);
+        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+      }
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = { DESCRIBE_FORMATS, formatRecord, describeRecord };
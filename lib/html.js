@@ -0,0 +1,92 @@
+/**
+ * Standalone HTML output for query results, for reports and emails.
+ * The page has a title, the query text and an escaped table of the rows.
+ */
+
+const { resolveHeader } = require('./columns');
+const { formatFooter, isNumericColumn } = require('./table');
+
+const DEFAULT_TITLE = 'SuiteQL query results';
+
+const STYLE = [
+  'body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #1f2328; }',
+  'pre { background: #f6f8fa; padding: 1em; white-space: pre-wrap; }',
+  'table { border-collapse: collapse; }',
+  'th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; white-space: pre-wrap; }',
+  'th { background: #f6f8fa; }',
+  'td.number { text-align: right; }',
+].join('\n');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Convert results to a standalone HTML document
+ * @param {Object} results - Query results object with items array
+ * @param {Object} [options]
+ * @param {string[]|null} [options.columns] - Column order (defaults to the keys of the items)
+ * @param {string} [options.title] - Page title (defaults to "SuiteQL query results")
+ * @param {string} [options.query] - Query text shown under the title
+ * @returns {string} HTML document
+ */
+function formatAsHtml(results, options = {}) {
+  const items = results.items || [];
+  const title = escapeHtml(options.title || DEFAULT_TITLE);
+  const columns = resolveHeader(options.columns, items) || [];
+  const numeric = columns.map(column => isNumericColumn(items, column));
+
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>\n${STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    '<header>',
+    `<h1>${title}</h1>`,
+  ];
+  if (options.query) {
+    lines.push(`<pre><code>${escapeHtml(options.query)}</code></pre>`);
+  }
+  lines.push('</header>');
+
+  if (columns.length > 0) {
+    lines.push('<table>');
+    lines.push(`<thead>\n<tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>\n</thead>`);
+    lines.push('<tbody>');
+    items.forEach(item => {
+      const cells = columns.map((column, index) => (
+        numeric[index] ? `<td class="number">${escapeHtml(item[column])}</td>` : `<td>${escapeHtml(item[column])}</td>`
+      ));
+      lines.push(`<tr>${cells.join('')}</tr>`);
+    });
+    lines.push('</tbody>');
+    lines.push('</table>');
+  }
+  lines.push(`<p>${escapeHtml(formatFooter(results))}</p>`);
+  lines.push('</body>');
+  lines.push('</html>');
+  return lines.join('\n');
+}
+
+module.exports = { formatAsHtml, escapeHtml };
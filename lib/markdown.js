@@ -0,0 +1,46 @@
+/**
+ * GitHub-flavored Markdown table output for query results, for pasting into
+ * pull requests, wikis and tickets.
+ */
+
+const { resolveHeader } = require('./columns');
+const { isNumericColumn } = require('./table');
+
+/**
+ * Escape a value for a Markdown table cell. Characters with a meaning in
+ * Markdown are backslash-escaped and newlines become <br> so each row stays
+ * on one line.
+ * @param {*} value - Raw item value
+ * @returns {string}
+ */
+function escapeMarkdownCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text
+    .replace(/[\\|*_`[\]<>]/g, char => `\\${char}`)
+    .replace(/\r\n|\r|\n/g, '<br>');
+}
+
+/**
+ * Convert results to a GitHub-flavored Markdown table
+ * @param {Object} results - Query results object with items array
+ * @param {Object} [options]
+ * @param {string[]|null} [options.columns] - Column order (defaults to the keys of the items)
+ * @returns {string} Markdown table, or `_No rows_` when no columns are known
+ */
+function formatAsMarkdown(results, options = {}) {
+  const items = results.items || [];
+  const columns = resolveHeader(options.columns, items) || [];
+  if (columns.length === 0) {
+    return '_No rows_';
+  }
+
+  const header = `| ${columns.map(escapeMarkdownCell).join(' | ')} |`;
+  const rule = `| ${columns.map(column => (isNumericColumn(items, column) ? '---:' : '---')).join(' | ')} |`;
+  const rows = items.map(item => `| ${columns.map(column => escapeMarkdownCell(item[column])).join(' | ')} |`);
+  return [header, rule, ...rows].join('\n');
+}
+
+module.exports = { formatAsMarkdown, escapeMarkdownCell };
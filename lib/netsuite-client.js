@@ -1,5 +1,5 @@
 /**
- * Lightweight HTTP client for SuiteQL queries using OAuth 2.0 Bearer tokens.
+ * Lightweight HTTP client for the NetSuite REST API using OAuth 2.0 Bearer tokens.
  * Bypasses netsuite-api-client (OAuth 1.0 only) for OAuth 2.0 authenticated profiles.
  */
 
@@ -7,14 +7,59 @@ const debug = require('./debug');
 
 const DEFAULT_LIMIT = 1000;
 
+/**
+ * Build the base URL of the REST web services of an account.
+ * @param {string} accountId - NetSuite account ID
+ * @returns {string}
+ */
+function getRestBaseUrl(accountId) {
+  const normalizedAccount = accountId.toLowerCase().replace(/_/g, '-');
+  return `https://${normalizedAccount}.suitetalk.api.netsuite.com/services/rest`;
+}
+
 /**
  * Build the SuiteQL REST API endpoint URL.
  * @param {string} accountId - NetSuite account ID
  * @returns {string}
  */
 function getSuiteQLEndpoint(accountId) {
-  const normalizedAccount = accountId.toLowerCase().replace(/_/g, '-');
-  return `https://${normalizedAccount}.suitetalk.api.netsuite.com/services/rest/query/v1/suiteql`;
+  return `${getRestBaseUrl(accountId)}/query/v1/suiteql`;
+}
+
+/**
+ * Build the metadata catalog URL, of one record type or of the list of record types.
+ * @param {string} accountId - NetSuite account ID
+ * @param {string} [recordType] - Record type ID, e.g. 'customer'; omit for the list
+ * @returns {string}
+ */
+function getMetadataCatalogEndpoint(accountId, recordType) {
+  const endpoint = `${getRestBaseUrl(accountId)}/record/v1/metadata-catalog`;
+  return recordType ? `${endpoint}/${encodeURIComponent(recordType)}` : endpoint;
+}
+
+/**
+ * Turn a failed response into an error carrying the NetSuite error detail.
+ * @param {Response} response - Fetch response that is not ok
+ * @returns {Promise<Error>} Error with a response property holding the status and body
+ */
+async function toResponseError(response) {
+  const errorBody = await response.text();
+  debug.log('Response error body:', errorBody);
+  let detail = errorBody;
+  try {
+    const parsed = JSON.parse(errorBody);
+    detail = parsed['o:errorDetails']?.[0]?.detail
+      || parsed.title
+      || parsed.message
+      || errorBody;
+  } catch { /* use raw text */ }
+
+  const error = new Error(detail);
+  error.response = {
+    status: response.status,
+    data: errorBody,
+  };
+  return error;
 }
 
 /**
@@ -49,23 +94,7 @@ async function executeSuiteQL(accountId, accessToken, query, limit = DEFAULT_LIM
   debug.log('Response status:', response.status);
 
   if (!response.ok) {
-    const errorBody = await response.text();
-    debug.log('Response error body:', errorBody);
-    let detail = errorBody;
-    try {
-      const parsed = JSON.parse(errorBody);
-      detail = parsed['o:errorDetails']?.[0]?.detail
-        || parsed.title
-        || parsed.message
-        || errorBody;
-    } catch { /* use raw text */ }
-
-    const error = new Error(detail);
-    error.response = {
-      status: response.status,
-      data: errorBody,
-    };
-    throw error;
+    throw await toResponseError(response);
   }
 
   const data = await response.json();
@@ -73,4 +102,55 @@ async function executeSuiteQL(accountId, accessToken, query, limit = DEFAULT_LIM
   return data;
 }
 
-module.exports = { executeSuiteQL, getSuiteQLEndpoint };
+/**
+ * GET a metadata catalog resource using OAuth 2.0 Bearer token authentication.
+ * @param {string} url - Metadata catalog URL (see getMetadataCatalogEndpoint())
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} accept - Accept header
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function getMetadataCatalog(url, accessToken, accept) {
+  debug.log('Metadata catalog request:', url);
+  debug.log('Authorization: Bearer', debug.maskToken(accessToken));
+
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': accept,
+    },
+  });
+
+  debug.log('Response status:', response.status);
+
+  if (!response.ok) {
+    throw await toResponseError(response);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch the JSON schema of a record type from the metadata catalog using
+ * OAuth 2.0 Bearer token authentication.
+ * @param {string} accountId - NetSuite account ID
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} recordType - Record type ID, e.g. 'customer'
+ * @returns {Promise<Object>} JSON schema with the fields of the record type in properties
+ */
+async function fetchRecordMetadata(accountId, accessToken, recordType) {
+  return getMetadataCatalog(getMetadataCatalogEndpoint(accountId, recordType), accessToken, 'application/schema+json');
+}
+
+/**
+ * List the record types in the metadata catalog, i.e. those visible to the
+ * role of the access token, using OAuth 2.0 Bearer token authentication.
+ * @param {string} accountId - NetSuite account ID
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @returns {Promise<string[]>} Record type IDs
+ */
+async function fetchRecordTypes(accountId, accessToken) {
+  const data = await getMetadataCatalog(getMetadataCatalogEndpoint(accountId), accessToken, 'application/json');
+  return (data.items || []).map(item => item.name).filter(Boolean);
+}
+
+module.exports = { executeSuiteQL, fetchRecordMetadata, fetchRecordTypes, getSuiteQLEndpoint, getMetadataCatalogEndpoint, DEFAULT_LIMIT };
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const http = require('http');
 const { URL, URLSearchParams } = require('url');
 const debug = require('./debug');
@@ -7,6 +8,10 @@ const DEFAULT_CALLBACK_PORT = 9749;
 const CALLBACK_PATH = '/callback';
 const SCOPE = 'rest_webservices';
 const CALLBACK_TIMEOUT_MS = 120_000;
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const CLIENT_ASSERTION_ALGORITHMS = ['PS256', 'RS256'];
+// NetSuite accepts assertions valid for at most an hour; they are used at once
+const CLIENT_ASSERTION_LIFETIME_S = 300;
 
 /**
  * Generate PKCE code_verifier and code_challenge for OAuth 2.0.
@@ -236,6 +241,134 @@ async function refreshAccessToken(accountId, clientId, clientSecret, refreshToke
   };
 }
 
+/**
+ * Load the private key of a certificate uploaded for the client credentials grant.
+ * @param {string} privateKeyPath - Path to a PEM private key
+ * @returns {crypto.KeyObject}
+ * @throws {Error} If the file cannot be read or is not an unencrypted private key
+ */
+function loadPrivateKey(privateKeyPath) {
+  try {
+    return crypto.createPrivateKey(fs.readFileSync(privateKeyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load the private key ${privateKeyPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the signed JWT a client presents for the client credentials grant.
+ * The certificate ID from NetSuite's OAuth 2.0 Client Credentials (M2M)
+ * Setup page goes in the `kid` header.
+ * @param {Object} options
+ * @param {string} options.accountId
+ * @param {string} options.clientId
+ * @param {string} options.certificateId
+ * @param {crypto.KeyObject|string} options.privateKey - Private key of the certificate
+ * @param {string} [options.algorithm='PS256'] - 'PS256' or 'RS256'
+ * @param {number} [now=Date.now()] - Time of issue in milliseconds
+ * @returns {string} Compact JWT
+ */
+function buildClientAssertion({ accountId, clientId, certificateId, privateKey, algorithm = CLIENT_ASSERTION_ALGORITHMS[0] }, now = Date.now()) {
+  if (!CLIENT_ASSERTION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported signing algorithm '${algorithm}'. Supported algorithms: ${CLIENT_ASSERTION_ALGORITHMS.join(', ')}`);
+  }
+  const issuedAt = Math.floor(now / 1000);
+  const header = { alg: algorithm, typ: 'JWT', kid: certificateId };
+  const claims = {
+    iss: clientId,
+    scope: [SCOPE],
+    aud: getTokenEndpoint(accountId),
+    iat: issuedAt,
+    exp: issuedAt + CLIENT_ASSERTION_LIFETIME_S,
+  };
+  const signingInput = [header, claims]
+    .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const padding = algorithm === 'PS256'
+    ? { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+    : {};
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, ...padding });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Get an access token with the client credentials grant, signing the client
+ * assertion with the certificate's private key. No refresh token is issued;
+ * a new access token is requested the same way when it expires.
+ * @param {Object} profile - Client credentials profile with accountId, clientId,
+ *   certificateId, privateKeyPath and algorithm
+ * @returns {Promise<{ accessToken: string, expiresIn: number, tokenType: string, tokenExpiry: number }>}
+ */
+async function requestClientCredentialsToken(profile) {
+  const { accountId, clientId, certificateId, privateKeyPath, algorithm } = profile;
+  const tokenEndpoint = getTokenEndpoint(accountId);
+  debug.log('Token request endpoint:', tokenEndpoint);
+  debug.log('Grant type: client_credentials');
+  debug.log('Certificate ID:', certificateId);
+  debug.log('Signing algorithm:', algorithm);
+
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: buildClientAssertion({
+      accountId,
+      clientId,
+      certificateId,
+      privateKey: loadPrivateKey(privateKeyPath),
+      algorithm,
+    }),
+  });
+
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: body.toString(),
+  });
+
+  debug.log('Token request response status:', response.status);
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    debug.log('Token request error body:', errorBody);
+    let detail = errorBody;
+    try {
+      const parsed = JSON.parse(errorBody);
+      detail = parsed.error_description || parsed.error || errorBody;
+    } catch { /* use raw text */ }
+    throw new Error(`Token request failed (${response.status}): ${detail}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    accessToken: data.access_token,
+    expiresIn: data.expires_in,
+    tokenType: data.token_type,
+    tokenExpiry: Date.now() + (data.expires_in * 1000),
+  };
+}
+
+/**
+ * Read the claims of an OAuth 2.0 access token. NetSuite issues JWT access
+ * tokens; the signature is not checked, as NetSuite checks it on every request.
+ * @param {string} [accessToken] - OAuth 2.0 access token
+ * @returns {Object|null} Claims, or null if the token is not a JWT
+ */
+function decodeTokenClaims(accessToken) {
+  const payload = String(accessToken || '').split('.')[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    debug.log('Access token is not a JWT:', error.message);
+    return null;
+  }
+}
+
 /**
  * Run the full OAuth 2.0 browser login flow.
  * @param {Object} profile - OAuth2 profile with accountId, clientId, clientSecret
@@ -321,6 +454,11 @@ module.exports = {
   startCallbackServer,
   exchangeCodeForTokens,
   refreshAccessToken,
+  loadPrivateKey,
+  buildClientAssertion,
+  requestClientCredentialsToken,
+  decodeTokenClaims,
   login,
   DEFAULT_CALLBACK_PORT,
+  CLIENT_ASSERTION_ALGORITHMS,
 };
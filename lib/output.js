@@ -0,0 +1,217 @@
+/**
+ * Output sinks and streaming writers for query results.
+ * Writers consume SuiteQL pages as they arrive so large result sets are
+ * never held in memory as a whole. Sinks decide where the text goes:
+ * stdout, or a file that is written atomically via a temp file and rename.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCsvWriter } = require('./csv');
+const { createSqlWriter } = require('./sql');
+const debug = require('./debug');
+
+const EXTENSION_FORMATS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.ndjson': 'ndjson',
+  '.xlsx': 'xlsx',
+  '.db': 'sqlite',
+  '.sqlite': 'sqlite',
+  '.sqlite3': 'sqlite',
+  '.sql': 'sql',
+  '.md': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+/**
+ * Infer the output format from a file extension
+ * @param {string} filePath - Output file path
+ * @returns {string|null} Format name, or null if the extension is not recognized
+ */
+function inferFormatFromPath(filePath) {
+  if (!filePath) {
+    return null;
+  }
+  return EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Create a sink that writes to stdout
+ * @returns {{ write: function(string): void, writeLine: function(string): void, close: function(): void, abort: function(): void }}
+ */
+function createConsoleSink() {
+  return {
+    write: (text) => process.stdout.write(text),
+    writeLine: (text) => console.log(text),
+    close: () => {},
+    abort: () => {},
+  };
+}
+
+/**
+ * Create a sink that writes to a file atomically.
+ * Text is written to a temp file next to the target, which is renamed over
+ * the target on close(). abort() removes the temp file and leaves any
+ * existing file untouched.
+ * @param {string} filePath - Output file path
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Overwrite an existing file
+ * @returns {{ write: function((string|Buffer)): void, writeLine: function(string): void, close: function(): void, abort: function(): void, path: string }}
+ */
+function createFileSink(filePath, options = {}) {
+  const targetPath = path.resolve(process.cwd(), filePath);
+  if (!options.force && fs.existsSync(targetPath)) {
+    throw new Error(`Output file already exists: ${targetPath}. Use --force to overwrite it.`);
+  }
+
+  const tempPath = path.join(
+    path.dirname(targetPath),
+    `.${path.basename(targetPath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  debug.log('Writing output to temp file:', tempPath);
+
+  let fd;
+  try {
+    fd = fs.openSync(tempPath, 'wx', 0o644);
+  } catch (error) {
+    throw new Error(`Failed to open output file: ${error.message}`);
+  }
+
+  let closed = false;
+  return {
+    path: targetPath,
+
+    write(data) {
+      fs.writeSync(fd, data);
+    },
+
+    writeLine(text) {
+      this.write(`${text}\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      if (!options.force && fs.existsSync(targetPath)) {
+        fs.unlinkSync(tempPath);
+        throw new Error(`Output file already exists: ${targetPath}. Use --force to overwrite it.`);
+      }
+      fs.renameSync(tempPath, targetPath);
+      debug.log('Output written to:', targetPath);
+    },
+
+    abort() {
+      if (closed) return;
+      closed = true;
+      fs.closeSync(fd);
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+      debug.log('Output aborted, removed temp file:', tempPath);
+    },
+  };
+}
+
+/**
+ * Write results as newline-delimited JSON, one object per row.
+ * Each page is written as soon as it arrives.
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} sink - Output sink (see createConsoleSink())
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeNdjson(pages, sink) {
+  let rowCount = 0;
+  for await (const page of pages) {
+    const items = page.items || [];
+    if (items.length > 0) {
+      sink.writeLine(items.map(item => JSON.stringify(item)).join('\n'));
+    }
+    rowCount += items.length;
+  }
+  debug.log('NDJSON rows written:', rowCount);
+  return rowCount;
+}
+
+/**
+ * Write results as CSV with a header that stays fixed across pages.
+ * Each page is written as soon as it arrives.
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} sink - Output sink (see createConsoleSink())
+ * @param {Object} [options] - Dialect options (see resolveCsvDialect()), plus:
+ * @param {string[]|null} [options.columns] - Header columns, e.g. from parseSelectColumns()
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeCsv(pages, sink, options = {}) {
+  const writer = createCsvWriter({
+    ...options,
+    columns: options.columns || undefined,
+    onDroppedColumn: (key) => {
+      console.error(`Warning: column '${key}' first appeared after the CSV header was written and was left out.`);
+    },
+  });
+  // writeLine() always ends lines with \n, so other line endings are written as-is
+  const eol = options.eol || '\n';
+  const writeChunk = eol === '\n' ? (chunk) => sink.writeLine(chunk) : (chunk) => sink.write(chunk + eol);
+
+  let rowCount = 0;
+  for await (const page of pages) {
+    const items = page.items || [];
+    const chunk = writer.writeRows(items);
+    if (chunk !== null) {
+      writeChunk(chunk);
+    }
+    rowCount += items.length;
+  }
+
+  const rest = writer.end();
+  if (rest !== null) {
+    writeChunk(rest);
+  }
+  debug.log('CSV rows written:', rowCount, '| columns:', (writer.getHeaders() || []).join(', '));
+  return rowCount;
+}
+
+/**
+ * Write results as an SQL script: CREATE TABLE followed by batched INSERTs.
+ * Each page is written as soon as it arrives.
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} sink - Output sink (see createConsoleSink())
+ * @param {Object} [options] - Writer options (see createSqlWriter())
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeSql(pages, sink, options = {}) {
+  const writer = createSqlWriter(options);
+
+  let rowCount = 0;
+  for await (const page of pages) {
+    const items = page.items || [];
+    const chunk = writer.writeRows(items);
+    if (chunk !== null) {
+      sink.writeLine(chunk);
+    }
+    rowCount += items.length;
+  }
+
+  const rest = writer.end();
+  if (rest !== null) {
+    sink.writeLine(rest);
+  } else {
+    console.error('Warning: the query returned no rows and its columns could not be determined from the SELECT list, so no SQL was written.');
+  }
+  debug.log('SQL rows written:', rowCount, '| columns:', (writer.getHeaders() || []).join(', '));
+  return rowCount;
+}
+
+module.exports = {
+  inferFormatFromPath,
+  createConsoleSink,
+  createFileSink,
+  writeNdjson,
+  writeCsv,
+  writeSql,
+};
@@ -0,0 +1,183 @@
+/**
+ * Pagination helpers for SuiteQL result sets.
+ * SuiteQL returns at most 1000 rows per request, so larger result sets are
+ * fetched page by page by following hasMore/offset.
+ */
+
+const { DEFAULT_LIMIT } = require('./netsuite-client');
+const debug = require('./debug');
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse an optional integer option.
+ * @param {string} name - Option name used in error messages
+ * @param {string|number|undefined} value - Raw option value
+ * @param {number} min - Smallest allowed value
+ * @param {number} [max] - Largest allowed value
+ * @returns {number|undefined} Parsed value or undefined if not provided
+ */
+function parseIntegerOption(name, value, min, max) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `${min} or greater`;
+    throw new Error(`Invalid ${name} '${value}'. Must be an integer ${range}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize pagination options.
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Follow hasMore until the result set is exhausted
+ * @param {string|number} [options.limit] - Rows per request (1-1000)
+ * @param {string|number} [options.offset] - Row offset of the first request
+ * @param {string|number} [options.maxRows] - Stop after this many rows in total
+ * @returns {{ all: boolean, limit: number|undefined, offset: number|undefined, maxRows: number|undefined }}
+ */
+function resolvePagePlan(options = {}) {
+  return {
+    all: Boolean(options.all),
+    limit: parseIntegerOption('limit', options.limit, 1, MAX_LIMIT),
+    offset: parseIntegerOption('offset', options.offset, 0),
+    maxRows: parseIntegerOption('max-rows', options.maxRows, 1),
+  };
+}
+
+/**
+ * Work out the requests a page plan will make.
+ * @param {Object} options - Pagination options (see resolvePagePlan())
+ * @returns {{ single: boolean, follow: boolean, limit: number, offset: number, maxRows: number|undefined }}
+ */
+function getPageSchedule(options = {}) {
+  const { all, limit, offset, maxRows } = resolvePagePlan(options);
+  const follow = all || maxRows !== undefined;
+  let pageSize = limit;
+  if (pageSize === undefined) {
+    pageSize = maxRows !== undefined ? Math.min(maxRows, DEFAULT_LIMIT) : DEFAULT_LIMIT;
+  }
+  return {
+    single: !follow && limit === undefined && offset === undefined,
+    follow,
+    limit: pageSize,
+    offset: offset || 0,
+    maxRows,
+  };
+}
+
+/**
+ * Describe a page plan for dry-run output.
+ * @param {Object} options - Pagination options (see resolvePagePlan())
+ * @returns {string}
+ */
+function describePagePlan(options = {}) {
+  const schedule = getPageSchedule(options);
+  const base = `${schedule.limit} rows per request starting at offset ${schedule.offset}`;
+  if (!schedule.follow) {
+    return `${base}, single request`;
+  }
+  if (schedule.maxRows !== undefined) {
+    const requests = Math.ceil(schedule.maxRows / schedule.limit);
+    return `${base}, stopping after ${schedule.maxRows} rows (at most ${requests} request${requests === 1 ? '' : 's'})`;
+  }
+  return `${base}, following hasMore until all rows are fetched`;
+}
+
+/**
+ * Iterate over the pages of a SuiteQL result set.
+ * Without any options, a single request is made using the API defaults.
+ * With maxRows, the last page is trimmed so no more than maxRows items are yielded.
+ * @param {Function} fetchPage - (limit, offset) => Promise<Object> returning one SuiteQL page
+ * @param {Object} [options] - Pagination options (see resolvePagePlan())
+ * @returns {AsyncGenerator<Object>} SuiteQL pages with items, hasMore, totalResults, etc.
+ */
+async function* iteratePages(fetchPage, options = {}) {
+  const schedule = getPageSchedule(options);
+  if (schedule.single) {
+    yield await fetchPage();
+    return;
+  }
+
+  const { limit, maxRows } = schedule;
+  let offset = schedule.offset;
+  let fetched = 0;
+  let pageNumber = 1;
+
+  while (true) {
+    debug.log(`Fetching page ${pageNumber} (limit ${limit}, offset ${offset})`);
+    let page = await fetchPage(limit, offset);
+    const received = page.items ? page.items.length : 0;
+
+    if (maxRows !== undefined && fetched + received > maxRows) {
+      const items = page.items.slice(0, maxRows - fetched);
+      page = { ...page, items, count: items.length, hasMore: true };
+    }
+    fetched += page.items ? page.items.length : 0;
+    yield page;
+
+    if (!schedule.follow || !page.hasMore || received === 0) {
+      return;
+    }
+    if (maxRows !== undefined && fetched >= maxRows) {
+      return;
+    }
+    offset += limit;
+    pageNumber += 1;
+  }
+}
+
+/**
+ * Merge SuiteQL pages into a single result object.
+ * The envelope of the first page is kept; items are concatenated and
+ * count/hasMore reflect the merged result. Page-level links are dropped
+ * since they only describe the first page.
+ * @param {Object[]} pages - SuiteQL pages in order
+ * @returns {Object} Merged results
+ */
+function mergePages(pages) {
+  if (pages.length === 1) {
+    return pages[0];
+  }
+
+  const first = pages[0];
+  const last = pages[pages.length - 1];
+  const items = pages.flatMap(page => page.items || []);
+
+  const merged = {
+    ...first,
+    items,
+    count: items.length,
+    hasMore: last.hasMore,
+  };
+  delete merged.links;
+  if (last.totalResults !== undefined) {
+    merged.totalResults = last.totalResults;
+  }
+  return merged;
+}
+
+/**
+ * Fetch every requested page and merge them into one result object.
+ * @param {Function} fetchPage - (limit, offset) => Promise<Object>
+ * @param {Object} [options] - See iteratePages()
+ * @returns {Promise<Object>} Merged results
+ */
+async function collectPages(fetchPage, options = {}) {
+  const pages = [];
+  for await (const page of iteratePages(fetchPage, options)) {
+    pages.push(page);
+  }
+  return mergePages(pages);
+}
+
+module.exports = {
+  resolvePagePlan,
+  describePagePlan,
+  iteratePages,
+  mergePages,
+  collectPages,
+  MAX_LIMIT,
+};
@@ -0,0 +1,290 @@
+/**
+ * Profile management: list, show, delete, rename and copy the profiles in
+ * ~/.nsql-cli/config.json, and choose the active profile used by commands
+ * run without --profile. Secrets are always masked when printed.
+ */
+
+const inquirer = require('inquirer');
+const {
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  renameProfile,
+  profileExists,
+  getAllProfiles,
+  setActiveProfile,
+  resolveProfileName,
+  describeProfileSource,
+  describeAuthType,
+  decryptOAuth1Profile,
+  decryptOAuth2Profile,
+  isTokenExpired,
+  PROFILE_ENV_VAR,
+} = require('./config');
+const { maskValue } = require('./configure');
+const { formatAsTable } = require('./table');
+
+// Inquirer v9+ uses default.prompt or createPromptModule()
+const prompt = inquirer.default?.prompt || inquirer.createPromptModule();
+
+const PROFILE_FORMATS = ['table', 'json'];
+const SECRET_FIELDS = ['consumerKey', 'consumerSecret', 'token', 'tokenSecret', 'clientId', 'clientSecret', 'accessToken', 'refreshToken'];
+// OAuth 2.0 tokens are not copied: NetSuite rotates refresh tokens, so two
+// profiles sharing one would sign each other out
+const TOKEN_FIELDS = ['accessToken', 'refreshToken', 'tokenExpiry'];
+const FIELD_LABELS = {
+  authType: 'Auth type',
+  accountId: 'Account ID',
+  realm: 'Realm',
+  baseUrl: 'Base URL',
+  consumerKey: 'Consumer Key',
+  consumerSecret: 'Consumer Secret',
+  token: 'Token',
+  tokenSecret: 'Token Secret',
+  clientId: 'Client ID',
+  clientSecret: 'Client Secret',
+  certificateId: 'Certificate ID',
+  privateKeyPath: 'Private key',
+  algorithm: 'Algorithm',
+  accessToken: 'Access token',
+  refreshToken: 'Refresh token',
+  tokenExpiry: 'Token expires',
+  dateFormat: 'Date format',
+};
+
+/**
+ * Describe the auth type of a profile
+ * @param {Object} profile - Profile from the config
+ * @returns {string}
+ */
+function formatAuthType(profile) {
+  return describeAuthType(profile.authType);
+}
+
+/**
+ * Describe when the access token of a profile expires
+ * @param {Object} profile - Profile from the config
+ * @returns {string}
+ */
+function formatTokenExpiry(profile) {
+  if (profile.authType !== 'oauth2' && profile.authType !== 'client_credentials') {
+    return 'n/a';
+  }
+  if (!profile.accessToken || !profile.tokenExpiry) {
+    return profile.authType === 'oauth2' ? 'not logged in' : 'not requested yet';
+  }
+  const expiry = new Date(profile.tokenExpiry).toLocaleString();
+  return isTokenExpired(profile) ? `${expiry} (expired)` : expiry;
+}
+
+/**
+ * Get a profile with its secrets decrypted and then masked for display
+ * @param {Object} profile - Profile from the config
+ * @returns {Object}
+ */
+function maskProfile(profile) {
+  let decrypted = profile;
+  if (profile.authType === 'oauth2') {
+    decrypted = decryptOAuth2Profile(profile);
+  } else if (profile.authType !== 'client_credentials') {
+    decrypted = decryptOAuth1Profile(profile);
+  }
+  const masked = {};
+  Object.keys(decrypted).forEach(key => {
+    const value = decrypted[key];
+    if (value === null || value === undefined) return;
+    masked[key] = SECRET_FIELDS.includes(key) ? maskValue(value) : value;
+  });
+  return masked;
+}
+
+/**
+ * Print an error and exit if a profile does not exist
+ * @param {string} profileName - Name of the profile
+ * @returns {boolean} True if the profile exists
+ */
+function requireProfile(profileName) {
+  if (profileExists(profileName)) {
+    return true;
+  }
+  console.error(`Error: Profile '${profileName}' not found. Run 'nsql-cli profile list' to see the configured profiles.`);
+  process.exit(1);
+  return false;
+}
+
+/**
+ * Print an error and exit if an output format is not supported
+ * @param {string} format - Output format
+ * @returns {boolean} True if the format is supported
+ */
+function requireFormat(format) {
+  if (PROFILE_FORMATS.includes(format)) {
+    return true;
+  }
+  console.error(`Error: Invalid format '${format}'. Supported formats: ${PROFILE_FORMATS.join(', ')}`);
+  process.exit(1);
+  return false;
+}
+
+/**
+ * Print every profile with its auth type, account and token expiry. The
+ * profile used by commands run without --profile is marked as in use.
+ * @param {Object} [options]
+ * @param {string} [options.format='table'] - 'table' or 'json'
+ */
+function listProfiles(options = {}) {
+  const format = options.format || 'table';
+  if (!requireFormat(format)) return;
+
+  const current = resolveProfileName().profileName;
+  const profiles = getAllProfiles().map(name => ({ name, profile: getProfile(name) }));
+  if (format === 'json') {
+    console.log(JSON.stringify(profiles.map(({ name, profile }) => ({
+      name,
+      inUse: name === current,
+      authType: profile.authType || 'oauth1',
+      account: profile.accountId || profile.realm || null,
+      tokenExpiry: profile.tokenExpiry ? new Date(profile.tokenExpiry).toISOString() : null,
+    })), null, 2));
+    return;
+  }
+  if (profiles.length === 0) {
+    console.log("No profiles configured. Run 'nsql-cli configure' or 'nsql-cli login' to add one.");
+    return;
+  }
+  const items = profiles.map(({ name, profile }) => ({
+    profile: name === current ? `${name} (in use)` : name,
+    auth: formatAuthType(profile),
+    account: profile.accountId || profile.realm || '',
+    'token expires': formatTokenExpiry(profile),
+  }));
+  console.log(formatAsTable({ items }, { columns: ['profile', 'auth', 'account', 'token expires'] }));
+}
+
+/**
+ * Print the settings of a profile with its secrets masked
+ * @param {string} profileName - Name of the profile
+ * @param {Object} [options]
+ * @param {string} [options.format='table'] - 'table' or 'json'
+ */
+function showProfile(profileName, options = {}) {
+  const format = options.format || 'table';
+  if (!requireFormat(format) || !requireProfile(profileName)) return;
+
+  const profile = getProfile(profileName);
+  let masked;
+  try {
+    masked = maskProfile(profile);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  if (format === 'json') {
+    console.log(JSON.stringify({ name: profileName, ...masked }, null, 2));
+    return;
+  }
+  console.log(`Profile: ${profileName}`);
+  console.log(`  ${FIELD_LABELS.authType}: ${formatAuthType(profile)}`);
+  Object.keys(masked).filter(key => key !== 'authType').forEach(key => {
+    const value = key === 'tokenExpiry' ? formatTokenExpiry(profile) : masked[key];
+    console.log(`  ${FIELD_LABELS[key] || key}: ${value}`);
+  });
+}
+
+/**
+ * Delete a profile, asking for confirmation first
+ * @param {string} profileName - Name of the profile
+ * @param {Object} [options]
+ * @param {boolean} [options.yes=false] - Delete without asking
+ */
+async function removeProfile(profileName, options = {}) {
+  if (!requireProfile(profileName)) return;
+
+  if (!options.yes) {
+    try {
+      const { confirmed } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Delete profile '${profileName}'?`,
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        console.log('Profile not deleted.');
+        return;
+      }
+    } catch (error) {
+      if (error.isTtyError) {
+        console.error('Error: Prompt couldn\'t be rendered in the current environment. Use --yes to delete without confirmation.');
+      } else {
+        console.error(`Error: ${error.message}`);
+      }
+      process.exit(1);
+      return;
+    }
+  }
+
+  deleteProfile(profileName);
+  console.log(`Profile '${profileName}' deleted.`);
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileName - Current name
+ * @param {string} newName - New name
+ */
+function moveProfile(profileName, newName) {
+  if (!requireProfile(profileName)) return;
+  try {
+    renameProfile(profileName, newName);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  console.log(`Profile '${profileName}' renamed to '${newName}'.`);
+}
+
+/**
+ * Copy a profile under a new name. OAuth 2.0 tokens are not copied, so the
+ * copy needs its own login.
+ * @param {string} profileName - Profile to copy
+ * @param {string} newName - Name of the copy
+ */
+function copyProfile(profileName, newName) {
+  if (!requireProfile(profileName)) return;
+  if (profileExists(newName)) {
+    console.error(`Error: Profile '${newName}' already exists`);
+    process.exit(1);
+    return;
+  }
+
+  const profile = { ...getProfile(profileName) };
+  if (profile.authType === 'oauth2') {
+    TOKEN_FIELDS.forEach(field => delete profile[field]);
+  }
+  saveProfile(newName, profile);
+  console.log(`Profile '${profileName}' copied to '${newName}'.`);
+  if (profile.authType === 'oauth2') {
+    console.log(`Run 'nsql-cli login --profile ${newName}' to sign in with the copy.`);
+  }
+}
+
+/**
+ * Make a profile the active profile, used by commands run without --profile
+ * @param {string} profileName - Name of the profile
+ */
+function useProfile(profileName) {
+  if (!requireProfile(profileName)) return;
+  setActiveProfile(profileName);
+  console.log(`Active profile set to '${profileName}'.`);
+
+  const resolved = resolveProfileName();
+  if (resolved.profileName !== profileName) {
+    console.log(`Note: ${PROFILE_ENV_VAR} is set, so commands use ${describeProfileSource(resolved.profileName, resolved.source)} until it is unset.`);
+  }
+}
+
+module.exports = { PROFILE_FORMATS, listProfiles, useProfile, showProfile, removeProfile, moveProfile, copyProfile };
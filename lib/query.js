@@ -1,62 +1,32 @@
 const { NetsuiteApiClient } = require('netsuite-api-client');
-const { resolveCredentials, getAllProfiles, isTokenExpired, saveOAuth2Tokens } = require('./config');
-const { refreshAccessToken } = require('./oauth2');
-const { executeSuiteQL } = require('./netsuite-client');
+const { resolveCredentials, resolveCredentialsInfo, describeProfileSource, describeAuthType, getAllProfiles, isTokenExpired, saveOAuth2Tokens, saveClientCredentialsToken, PROFILE_PRECEDENCE } = require('./config');
+const { refreshAccessToken, requestClientCredentialsToken } = require('./oauth2');
+const { executeSuiteQL, fetchRecordMetadata, fetchRecordTypes } = require('./netsuite-client');
+const { resolvePagePlan, describePagePlan, iteratePages, collectPages } = require('./pagination');
+const { inferFormatFromPath, createConsoleSink, createFileSink, writeNdjson, writeCsv, writeSql } = require('./output');
+const { splitTopLevel, parseSelectColumns } = require('./columns');
+const { formatAsTable } = require('./table');
+const { formatAsMarkdown } = require('./markdown');
+const { formatAsHtml } = require('./html');
+const { writeXlsx } = require('./xlsx');
+const { openSqliteTable, writeSqlite } = require('./sqlite');
+const { SQL_DIALECTS } = require('./sql');
+const { resolveCsvDialect } = require('./csv');
+const { parseColumnSpec, shapePage, shapePages } = require('./shape');
+const { DEFAULT_DATE_FORMAT, parseDateFormat, createTypeConverter, typePages } = require('./typed');
 const debug = require('./debug');
 
-/**
- * Convert results to CSV format
- * @param {Object} results - Query results object with items array
- * @returns {string} CSV formatted string
- */
-function formatAsCsv(results) {
-  if (!results.items || results.items.length === 0) {
-    return '';
-  }
-
-  // Get all unique keys from all items
-  const allKeys = new Set();
-  results.items.forEach(item => {
-    Object.keys(item).forEach(key => allKeys.add(key));
-  });
-  const headers = Array.from(allKeys);
-
-  // Create CSV header row
-  const headerRow = headers.map(header => escapeCsvValue(header)).join(',');
-
-  // Create CSV data rows
-  const dataRows = results.items.map(item => {
-    return headers.map(header => {
-      const value = item[header];
-      if (value === null || value === undefined) {
-        return '';
-      }
-      // Handle nested objects/arrays by JSON-stringifying them
-      if (typeof value === 'object') {
-        return escapeCsvValue(JSON.stringify(value));
-      }
-      return escapeCsvValue(String(value));
-    }).join(',');
-  });
-
-  return [headerRow, ...dataRows].join('\n');
-}
+const SUPPORTED_FORMATS = ['json', 'csv', 'tsv', 'ndjson', 'table', 'markdown', 'html', 'xlsx', 'sqlite', 'sql'];
 
 /**
- * Escape CSV value (handle quotes and commas)
- * @param {string} value - Value to escape
- * @returns {string} Escaped CSV value
+ * Split a query into separate statements on top-level semicolons
+ * @param {string} query - One or more SuiteQL statements
+ * @returns {string[]} Non-empty statements without their semicolons
  */
-function escapeCsvValue(value) {
-  if (value === null || value === undefined) {
-    return '';
-  }
-  const stringValue = String(value);
-  // If value contains comma, quote, or newline, wrap in quotes and escape internal quotes
-  if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-    return `"${stringValue.replace(/"/g, '""')}"`;
-  }
-  return stringValue;
+function splitStatements(query) {
+  return splitTopLevel(query, /;/y).parts
+    .map(statement => statement.trim())
+    .filter(statement => statement.length > 0);
 }
 
 /**
@@ -101,20 +71,84 @@ function replacePlaceholders(query, params) {
   return result;
 }
 
+/**
+ * Decide the date format used by --typed: the profile's dateFormat, or
+ * NSQL_DATE_FORMAT for credentials from environment variables
+ * @param {Object|null} credentials - Resolved credentials (see resolveCredentials())
+ * @returns {string} Date format (see parseDateFormat())
+ */
+function resolveDateFormat(credentials) {
+  return (credentials && credentials.dateFormat) || process.env.NSQL_DATE_FORMAT || DEFAULT_DATE_FORMAT;
+}
+
+/**
+ * Resolve credentials, printing an error and exiting if the profile's
+ * secrets cannot be decrypted (e.g. they are locked with a passphrase)
+ * @param {string} [profileName] - Profile given with --profile
+ * @returns {Object|null} Resolved credentials (see resolveCredentials()), or null on error
+ */
+function resolveCredentialsOrExit(profileName) {
+  try {
+    return resolveCredentials(profileName);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return null;
+  }
+}
+
 /**
  * Execute a SuiteQL query
  * @param {string} query - The SuiteQL query to execute
- * @param {string} profileName - Name of the profile to use (defaults to "default")
+ * @param {string} [profileName] - Profile given with --profile (defaults to NSQL_PROFILE, the
+ *   active profile or "default", see resolveProfileName())
  * @param {boolean} dryRun - If true, preview query without executing (defaults to false)
- * @param {string} format - Output format: 'json' or 'csv' (defaults to 'json')
+ * @param {string} format - Output format: 'json', 'csv', 'tsv', 'ndjson', 'table', 'markdown', 'html', 'xlsx',
+ *   'sqlite' or 'sql' (defaults to 'json',
+ *   or the format matching the extension of options.output)
  * @param {Object} params - Optional object with placeholder values to replace in query
+ * @param {Object} options - Optional pagination and output options
+ * @param {boolean} options.all - Follow hasMore/offset until every page has been fetched
+ * @param {number} options.limit - Rows per request (1-1000, defaults to 1000), or the value of a
+ *   :limit placeholder that params does not fill
+ * @param {number} options.offset - Row offset of the first request (defaults to 0), or the value of
+ *   an :offset placeholder that params does not fill
+ * @param {number} options.maxRows - Stop after this many rows in total
+ * @param {string} options.output - Write results to this file instead of stdout
+ * @param {boolean} options.force - Overwrite options.output if it already exists
+ * @param {boolean} options.sheetPerQuery - Run each ;-separated statement and write it to its own xlsx sheet
+ * @param {string} options.table - Table to insert the results into (sqlite and sql formats)
+ * @param {boolean} options.append - Add rows to an existing SQLite table
+ * @param {boolean} options.replace - Drop and recreate an existing SQLite table
+ * @param {string} options.dialect - SQL dialect of the sql format: 'postgres' (default), 'mysql' or 'sqlite'
+ * @param {string} options.title - Page title of the html format
+ * @param {boolean} options.raw - Keep the API response as returned, including hypermedia links (json and ndjson)
+ * @param {boolean} options.compact - Print only the items array on one line (json)
+ * @param {boolean} options.typed - Convert numbers, T/F and dates to real types (json, ndjson and xlsx)
+ * @param {string} options.columns - Output columns to pick, order and rename, e.g. 'id,tranid:TranNumber'
+ * @param {string} options.delimiter - CSV field delimiter (csv)
+ * @param {boolean} options.quoteAll - Quote every CSV field (csv and tsv)
+ * @param {boolean} options.bom - Start CSV output with a UTF-8 byte order mark (csv and tsv)
+ * @param {boolean} options.header - Write the CSV header row (csv and tsv, defaults to true)
+ * @param {boolean} options.crlf - End CSV lines with \r\n (csv and tsv)
  */
-async function executeQuery(query, profileName = 'default', dryRun = false, format = 'json', params = {}) {
+async function executeQuery(query, profileName, dryRun = false, format, params = {}, options = {}) {
   // Validate query is provided
   if (!query || typeof query !== 'string') {
     throw new Error('Query is required and must be a string');
   }
-  
+
+  // --limit and --offset used to be passed through as query parameters. A query
+  // that still uses :limit or :offset gets the value there instead of as a page
+  // size or offset, so it is not held to the 1-1000 page size
+  const pageOptions = { ...options };
+  ['limit', 'offset'].forEach(name => {
+    if (options[name] !== undefined && params[name] === undefined && new RegExp(`:${name}\\b`).test(query)) {
+      params = { ...params, [name]: options[name] };
+      delete pageOptions[name];
+    }
+  });
+
   // Replace placeholders in query
   let finalQuery = replacePlaceholders(query, params);
   
@@ -123,15 +157,58 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
   if (finalQuery && typeof finalQuery === 'string') {
     finalQuery = finalQuery.replace(/\s+/g, ' ').trim();
   }
+
+  // Use the format matching the output file extension unless one was given
+  if (!format) {
+    format = inferFormatFromPath(options.output) || 'json';
+  }
+  const tableMode = options.append ? 'append' : (options.replace ? 'replace' : 'create');
+
+  // Validate pagination options (also in dry-run so the page plan is accurate)
+  let pagePlan;
+  try {
+    pagePlan = resolvePagePlan(pageOptions);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  // Validate the output column list
+  let columnSpec = null;
+  if (options.columns) {
+    try {
+      columnSpec = parseColumnSpec(options.columns);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+      return;
+    }
+  }
+
   // Handle dry-run mode (works without credentials)
   if (dryRun) {
     console.log('Dry-run mode: Query will not be executed');
     
-    // Try to get credentials info, but don't require it for dry-run
-    const { credentials, source, authType } = resolveCredentials(profileName);
+    // Show where the credentials come from without decrypting them, so a
+    // dry run also works while a passphrase keeps them locked
+    let resolved;
+    try {
+      resolved = resolveCredentialsInfo(profileName);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+      return;
+    }
+    const { credentials, source, authType } = resolved;
+    console.log('Profile:', describeProfileSource(resolved.profileName, resolved.profileSource));
+    console.log(`Precedence: OAuth 1.0 environment variables, then OAuth 2.0 environment variables, then the profile from ${PROFILE_PRECEDENCE}`);
     if (credentials) {
-      console.log('Credentials source:', source === 'environment' ? 'environment variables' : `profile '${profileName}'`);
-      console.log('Auth type:', authType === 'oauth2' ? 'OAuth 2.0' : 'OAuth 1.0 (TBA)');
+      console.log('Credentials source:', source === 'environment' ? 'environment variables' : `profile '${resolved.profileName}'`);
+      if (source === 'environment') {
+        console.log('Environment variables:', resolved.envVars.join(', '));
+      }
+      console.log('Auth type:', describeAuthType(authType));
       console.log('Realm:', credentials.realm || credentials.accountId);
       if (credentials.baseUrl) {
         console.log('Base URL:', credentials.baseUrl);
@@ -140,7 +217,25 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
       console.log('Credentials source: (none found)');
     }
     
-    console.log('Query:', finalQuery);
+    if (options.sheetPerQuery) {
+      splitStatements(finalQuery).forEach((statement, index) => {
+        console.log(`Query (sheet 'Query ${index + 1}'):`, statement);
+      });
+    } else {
+      console.log('Query:', finalQuery);
+    }
+    console.log('Page plan:', describePagePlan(pagePlan));
+    if (columnSpec) {
+      console.log('Columns:', columnSpec.map(({ source, name }) => (source === name ? name : `${source} as ${name}`)).join(', '));
+    }
+    if (options.typed) {
+      console.log('Typed values: dates in', resolveDateFormat(credentials));
+    }
+    if (options.output && format === 'sqlite') {
+      console.log('Output:', `${options.output} (sqlite, table '${options.table}', ${tableMode})`);
+    } else if (options.output) {
+      console.log('Output:', `${options.output} (${format})`);
+    }
     if (params && Object.keys(params).length > 0) {
       console.log('Parameters:', JSON.stringify(params, null, 2));
     }
@@ -148,7 +243,10 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
   }
 
   // Resolve credentials (env vars take precedence over profile)
-  const { credentials, source, authType } = resolveCredentials(profileName);
+  const resolved = resolveCredentialsOrExit(profileName);
+  if (!resolved) return;
+  const { credentials, source, authType } = resolved;
+  profileName = resolved.profileName;
   debug.log('Credentials source:', source || 'none');
   debug.log('Auth type:', authType || 'none');
 
@@ -160,6 +258,8 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
     console.error('Or provide OAuth 1.0 credentials via environment variables:');
     console.error('  NSQL_CONSUMER_KEY, NSQL_CONSUMER_SECRET, NSQL_TOKEN,');
     console.error('  NSQL_TOKEN_SECRET, NSQL_REALM');
+    console.error('Or OAuth 2.0 credentials: NSQL_ACCOUNT_ID with NSQL_CLIENT_ID,');
+    console.error('  NSQL_CLIENT_SECRET and NSQL_REFRESH_TOKEN, or with NSQL_ACCESS_TOKEN');
     const availableProfiles = getAllProfiles();
     if (availableProfiles.length > 0) {
       console.error('Or use an existing profile:', availableProfiles.join(', '));
@@ -169,29 +269,161 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
   }
 
   // Validate format
-  if (format !== 'json' && format !== 'csv') {
-    console.error(`Error: Invalid format '${format}'. Supported formats: json, csv`);
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    console.error(`Error: Invalid format '${format}'. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
     process.exit(1);
     return;
   }
 
-  try {
-    let results;
-    debug.log('Executing query:', finalQuery);
+  if (format === 'xlsx' && !options.output) {
+    console.error('Error: The xlsx format writes a binary workbook. Use --output <file.xlsx> to choose where to save it.');
+    process.exit(1);
+    return;
+  }
+  if (options.sheetPerQuery && format !== 'xlsx') {
+    console.error(`Error: --sheet-per-query is only supported with the xlsx format, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (format === 'sqlite') {
+    if (!options.output) {
+      console.error('Error: The sqlite format writes to a database file. Use --output <file.db> to choose it.');
+      process.exit(1);
+      return;
+    }
+    if (!options.table) {
+      console.error('Error: The sqlite format requires --table <name>');
+      process.exit(1);
+      return;
+    }
+    if (options.append && options.replace) {
+      console.error('Error: --append and --replace cannot be used together');
+      process.exit(1);
+      return;
+    }
+  } else if (options.append || options.replace) {
+    console.error(`Error: --append and --replace are only supported with the sqlite format, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.table && format !== 'sqlite' && format !== 'sql') {
+    console.error(`Error: --table is only supported with the sqlite and sql formats, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.dialect && format !== 'sql') {
+    console.error(`Error: --dialect is only supported with the sql format, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.raw && format !== 'json' && format !== 'ndjson') {
+    console.error(`Error: --raw is only supported with the json and ndjson formats, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  const csvOptionsGiven = options.delimiter !== undefined || options.quoteAll || options.bom || options.header === false || options.crlf;
+  let csvDialect;
+  if (format === 'csv' || format === 'tsv') {
+    try {
+      csvDialect = resolveCsvDialect(format, options);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+      return;
+    }
+  } else if (csvOptionsGiven) {
+    console.error(`Error: --delimiter, --quote-all, --bom, --no-header and --crlf are only supported with the csv and tsv formats, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.raw && columnSpec) {
+    console.error('Error: --raw cannot be combined with --columns');
+    process.exit(1);
+    return;
+  }
+  if (options.typed && !['json', 'ndjson', 'xlsx'].includes(format)) {
+    console.error(`Error: --typed is only supported with the json, ndjson and xlsx formats, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.raw && options.typed) {
+    console.error('Error: --raw cannot be combined with --typed');
+    process.exit(1);
+    return;
+  }
+  let dateFormat;
+  if (options.typed) {
+    dateFormat = resolveDateFormat(credentials);
+    try {
+      parseDateFormat(dateFormat);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+      return;
+    }
+  }
+  if (options.compact && format !== 'json') {
+    console.error(`Error: --compact is only supported with the json format, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.title && format !== 'html') {
+    console.error(`Error: --title is only supported with the html format, not '${format}'`);
+    process.exit(1);
+    return;
+  }
+  if (options.dialect && !SQL_DIALECTS.includes(options.dialect)) {
+    console.error(`Error: Invalid dialect '${options.dialect}'. Supported dialects: ${SQL_DIALECTS.join(', ')}`);
+    process.exit(1);
+    return;
+  }
 
-    if (authType === 'oauth2') {
-      results = await executeOAuth2Query(credentials, profileName, finalQuery);
+  // Get working tokens before opening the output, so an auth failure that
+  // exits leaves no file, temp file or table behind
+  let prepareStatement;
+  try {
+    if (authType === 'oauth1') {
+      prepareStatement = prepareOAuth1Query(credentials);
     } else {
-      results = await executeOAuth1Query(credentials, finalQuery);
+      prepareStatement = await prepareOAuth2Query(credentials, profileName, source);
     }
-    
-    if (format === 'csv') {
-      const csvOutput = formatAsCsv(results);
-      console.log(csvOutput);
+  } catch (error) {
+    console.error('Error executing query:', error.message);
+    process.exit(1);
+    return;
+  }
+  if (!prepareStatement) {
+    return;
+  }
+
+  // Open the output file before querying so an existing file or table fails fast
+  let sink;
+  try {
+    if (format === 'sqlite') {
+      sink = openSqliteTable(options.output, { table: options.table, mode: tableMode });
     } else {
-      console.log(JSON.stringify(results, null, 2));
+      sink = options.output ? createFileSink(options.output, { force: options.force }) : createConsoleSink();
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  try {
+    const rowCount = await writeResults(prepareStatement, finalQuery, format, sink, {
+      pagePlan, columnSpec, csvDialect, dateFormat, options,
+    });
+
+    sink.close();
+    const rows = `${rowCount} row${rowCount === 1 ? '' : 's'}`;
+    if (format === 'sqlite') {
+      console.log(`Wrote ${rows} to table '${options.table}' in ${sink.path}`);
+    } else if (options.output) {
+      console.log(`Wrote ${rows} to ${sink.path}`);
     }
   } catch (error) {
+    sink.abort();
     console.error('Error executing query:', error.message);
     if (error.response) {
       console.error('Response status:', error.response.status);
@@ -202,9 +434,96 @@ async function executeQuery(query, profileName = 'default', dryRun = false, form
 }
 
 /**
- * Execute a query using OAuth 1.0 (TBA) via netsuite-api-client
+ * Run a query and write its results to a sink in the given format.
+ * Options are expected to have been validated by the caller.
+ * @param {Function} prepareStatement - query => (limit, offset) => Promise<Object> (see prepareOAuth1Query())
+ * @param {string} finalQuery - SuiteQL query with placeholders replaced
+ * @param {string} format - Output format (see SUPPORTED_FORMATS)
+ * @param {Object} sink - Output sink (see createConsoleSink()), or SQLite table writer for the sqlite format
+ * @param {Object} settings
+ * @param {Object} settings.pagePlan - Pagination options (see resolvePagePlan())
+ * @param {Object[]|null} [settings.columnSpec] - Parsed --columns (see parseColumnSpec())
+ * @param {Object} [settings.csvDialect] - CSV dialect for csv and tsv (see resolveCsvDialect())
+ * @param {string} [settings.dateFormat] - Date format for typed values (see parseDateFormat())
+ * @param {Object} [settings.options] - Output options as passed to executeQuery()
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeResults(prepareStatement, finalQuery, format, sink, settings) {
+  const { pagePlan, columnSpec = null, csvDialect, dateFormat } = settings;
+  const options = settings.options || {};
+  debug.log('Executing query:', finalQuery);
+  const fetchPage = prepareStatement(finalQuery);
+
+  // Drop hypermedia fields and apply --columns unless the exact API response was asked for,
+  // then convert values to real types with --typed
+  const shaping = { columns: columnSpec };
+  const readPages = (fetcher) => {
+    const pages = iteratePages(fetcher, pagePlan);
+    if (options.raw) return pages;
+    const shaped = shapePages(pages, shaping);
+    return options.typed ? typePages(shaped, { dateFormat }) : shaped;
+  };
+  const readResults = async () => {
+    const results = await collectPages(fetchPage, pagePlan);
+    if (options.raw) return results;
+    const shaped = shapePage(results, shaping);
+    return options.typed ? createTypeConverter({ dateFormat }).convertPage(shaped) : shaped;
+  };
+  // Tabular formats take their header from --columns, or else the SELECT list
+  const outputColumns = (statement) => (columnSpec ? columnSpec.map(({ name }) => name) : parseSelectColumns(statement));
+
+  // NDJSON, CSV/TSV, SQL, XLSX and SQLite are streamed page by page; other formats need the full result set
+  let rowCount;
+  if (format === 'sqlite') {
+    rowCount = await writeSqlite(readPages(fetchPage), sink, { columns: outputColumns(finalQuery) });
+  } else if (format === 'xlsx') {
+    const statements = options.sheetPerQuery ? splitStatements(finalQuery) : [finalQuery];
+    const sheets = statements.map((statement, index) => ({
+      name: options.sheetPerQuery ? `Query ${index + 1}` : 'Results',
+      pages: readPages(prepareStatement(statement)),
+      columns: outputColumns(statement),
+    }));
+    rowCount = await writeXlsx(sheets, sink);
+  } else if (format === 'ndjson') {
+    rowCount = await writeNdjson(readPages(fetchPage), sink);
+  } else if (format === 'sql') {
+    rowCount = await writeSql(readPages(fetchPage), sink, {
+      dialect: options.dialect,
+      table: options.table,
+      columns: outputColumns(finalQuery),
+    });
+  } else if (format === 'csv' || format === 'tsv') {
+    const columns = outputColumns(finalQuery);
+    debug.log('CSV columns:', columns ? columns.join(', ') : '(none, using first page)');
+    rowCount = await writeCsv(readPages(fetchPage), sink, { ...csvDialect, columns });
+  } else if (format === 'table') {
+    const results = await readResults();
+    // Files have no terminal width to wrap to
+    const width = options.output ? Number.MAX_SAFE_INTEGER : undefined;
+    sink.writeLine(formatAsTable(results, { columns: outputColumns(finalQuery), width }));
+    rowCount = results.items ? results.items.length : 0;
+  } else if (format === 'markdown') {
+    const results = await readResults();
+    sink.writeLine(formatAsMarkdown(results, { columns: outputColumns(finalQuery) }));
+    rowCount = results.items ? results.items.length : 0;
+  } else if (format === 'html') {
+    const results = await readResults();
+    sink.writeLine(formatAsHtml(results, { columns: outputColumns(finalQuery), title: options.title, query: finalQuery }));
+    rowCount = results.items ? results.items.length : 0;
+  } else {
+    const results = await readResults();
+    sink.writeLine(options.compact ? JSON.stringify(results.items || []) : JSON.stringify(results, null, 2));
+    rowCount = results.items ? results.items.length : 0;
+  }
+  return rowCount;
+}
+
+/**
+ * Create a netsuite-api-client instance for an OAuth 1.0 (TBA) profile
+ * @param {Object} credentials - Decrypted OAuth 1.0 profile
+ * @returns {NetsuiteApiClient}
  */
-async function executeOAuth1Query(credentials, query) {
+function createOAuth1Client(credentials) {
   const clientConfig = {
     consumer_key: credentials.consumerKey,
     consumer_secret_key: credentials.consumerSecret,
@@ -217,59 +536,240 @@ async function executeOAuth1Query(credentials, query) {
     clientConfig.base_url = credentials.baseUrl;
   }
 
-  const client = new NetsuiteApiClient(clientConfig);
-  return await client.query(query);
+  return new NetsuiteApiClient(clientConfig);
+}
+
+/**
+ * Prepare queries using OAuth 1.0 (TBA) via netsuite-api-client
+ * @returns {Function} query => (limit, offset) => Promise<Object> fetching one page of results
+ */
+function prepareOAuth1Query(credentials) {
+  const client = createOAuth1Client(credentials);
+  return (query) => (limit, offset) => {
+    if (limit === undefined) {
+      return client.query(query);
+    }
+    return client.query(query, limit, offset);
+  };
+}
+
+/**
+ * Tell the user how to get working OAuth 2.0 tokens again
+ * @param {Object} credentials - Decrypted OAuth 2.0 credentials
+ * @param {string} profileName - Profile the credentials came from
+ * @param {string} source - 'profile' or 'environment' (see resolveCredentials())
+ * @returns {string}
+ */
+function reauthenticateHint(credentials, profileName, source) {
+  if (credentials.authType === 'client_credentials') {
+    return `Check the client ID, certificate ID and private key with 'nsql-cli configure --profile ${profileName}'.`;
+  }
+  if (source === 'environment') {
+    return 'Check NSQL_CLIENT_ID, NSQL_CLIENT_SECRET and NSQL_REFRESH_TOKEN, or set a current NSQL_ACCESS_TOKEN.';
+  }
+  return `Run 'nsql-cli login --profile ${profileName}' to re-authenticate.`;
+}
+
+/**
+ * Check whether the access token has to be refreshed before use. An access
+ * token from NSQL_ACCESS_TOKEN without a refresh token is used as it is.
+ * Client credentials profiles request a new one whenever it has expired.
+ * @param {Object} credentials - Decrypted OAuth 2.0 credentials
+ * @returns {boolean}
+ */
+function needsRefresh(credentials) {
+  if (credentials.authType === 'client_credentials') {
+    return isTokenExpired(credentials);
+  }
+  return Boolean(credentials.refreshToken) && isTokenExpired(credentials);
+}
+
+/**
+ * Request an access token with the certificate of a client credentials
+ * profile and cache it in the profile until it expires.
+ * @param {Object} credentials - Client credentials profile
+ * @param {string} profileName - Profile to cache the token in
+ * @returns {Promise<Object>} Credentials with the new access token
+ * @throws {Error} If the private key cannot be loaded or the request fails
+ */
+async function renewClientCredentialsToken(credentials, profileName) {
+  debug.log('Requesting access token with the client credentials grant...');
+  const { accessToken, tokenExpiry } = await requestClientCredentialsToken(credentials);
+  debug.log('Token received. Expiry:', new Date(tokenExpiry).toISOString());
+  debug.log('New access token:', debug.maskToken(accessToken));
+  saveClientCredentialsToken(profileName, { accessToken, tokenExpiry });
+  return { ...credentials, accessToken, tokenExpiry };
+}
+
+/**
+ * Get a new access token for expired credentials: with the refresh token, or
+ * for client credentials profiles with the certificate
+ * @param {Object} credentials - Decrypted OAuth 2.0 credentials
+ * @param {string} profileName - Profile the credentials came from
+ * @param {string} source - 'profile' or 'environment' (see resolveCredentials())
+ * @returns {Promise<Object>} Credentials with the new tokens
+ * @throws {Error} If the refresh or the token request fails
+ */
+async function renewAccessToken(credentials, profileName, source) {
+  if (credentials.authType === 'client_credentials') {
+    return renewClientCredentialsToken(credentials, profileName);
+  }
+  try {
+    return await refreshOAuth2Tokens(credentials, profileName, source);
+  } catch (error) {
+    throw new Error(`Token refresh failed: ${error.message}`);
+  }
 }
 
 /**
- * Execute a query using OAuth 2.0 Bearer tokens with automatic refresh
+ * Refresh an OAuth 2.0 access token and save the new tokens to the profile.
+ * Tokens of credentials from environment variables are only kept in memory.
+ * @param {Object} credentials - Decrypted OAuth 2.0 profile
+ * @param {string} profileName - Profile to save the tokens to
+ * @param {string} [source='profile'] - 'profile' or 'environment' (see resolveCredentials())
+ * @returns {Promise<Object>} Credentials with the new tokens
+ * @throws {Error} If the refresh request fails
  */
-async function executeOAuth2Query(credentials, profileName, query) {
-  let { accessToken } = credentials;
+async function refreshOAuth2Tokens(credentials, profileName, source = 'profile') {
   const { accountId, clientId, clientSecret, refreshToken } = credentials;
+  debug.log('Refreshing access token...');
+  const tokens = await refreshAccessToken(accountId, clientId, clientSecret, refreshToken);
+  const tokenExpiry = Date.now() + (tokens.expiresIn * 1000);
+  const newRefreshToken = tokens.refreshToken || refreshToken;
+  debug.log('Token refreshed. New expiry:', new Date(tokenExpiry).toISOString());
+  debug.log('New access token:', debug.maskToken(tokens.accessToken));
+  debug.log('Refresh token rotated:', !!tokens.refreshToken && tokens.refreshToken !== refreshToken);
+  if (source === 'environment') {
+    debug.log('Credentials from environment variables; tokens kept in memory only');
+  } else {
+    saveOAuth2Tokens(profileName, {
+      accessToken: tokens.accessToken,
+      refreshToken: newRefreshToken,
+      tokenExpiry,
+    });
+  }
+  return { ...credentials, accessToken: tokens.accessToken, refreshToken: newRefreshToken, tokenExpiry };
+}
+
+/**
+ * Prepare queries using OAuth 2.0 Bearer tokens with automatic refresh.
+ * The access token is refreshed once up front and reused for every page and statement.
+ * @param {Object} credentials - Decrypted OAuth 2.0 credentials
+ * @param {string} profileName - Profile the credentials came from
+ * @param {string} [source='profile'] - 'profile' or 'environment' (see resolveCredentials())
+ * @returns {Promise<Function|undefined>} query => (limit, offset) => Promise<Object> fetching one page of results
+ */
+async function prepareOAuth2Query(credentials, profileName, source = 'profile') {
+  const { accountId, accessToken, refreshToken } = credentials;
 
   debug.log('OAuth 2.0 query for account:', accountId);
   debug.log('Access token:', debug.maskToken(accessToken));
   debug.log('Refresh token:', debug.maskToken(refreshToken));
 
-  if (!accessToken || !refreshToken) {
+  // Credentials from environment variables always have one or the other, and
+  // client credentials profiles get their access token on first use
+  if (credentials.authType === 'oauth2' && source !== 'environment' && (!accessToken || !refreshToken)) {
     console.error(`Error: Profile '${profileName}' has no tokens. Run 'nsql-cli login --profile ${profileName}' first.`);
     process.exit(1);
     return;
   }
 
-  const expired = isTokenExpired(credentials);
+  const expired = needsRefresh(credentials);
   debug.log('Token expired:', expired);
   if (credentials.tokenExpiry) {
     debug.log('Token expiry:', new Date(credentials.tokenExpiry).toISOString());
   }
 
+  let current = credentials;
   if (expired) {
-    debug.log('Refreshing access token...');
     try {
-      const tokens = await refreshAccessToken(accountId, clientId, clientSecret, refreshToken);
-      const tokenExpiry = Date.now() + (tokens.expiresIn * 1000);
-      const newRefreshToken = tokens.refreshToken || refreshToken;
-      debug.log('Token refreshed. New expiry:', new Date(tokenExpiry).toISOString());
-      debug.log('New access token:', debug.maskToken(tokens.accessToken));
-      debug.log('Refresh token rotated:', !!tokens.refreshToken && tokens.refreshToken !== refreshToken);
-      saveOAuth2Tokens(profileName, {
-        accessToken: tokens.accessToken,
-        refreshToken: newRefreshToken,
-        tokenExpiry,
-      });
-      accessToken = tokens.accessToken;
+      current = await renewAccessToken(credentials, profileName, source);
     } catch (err) {
       debug.log('Token refresh error:', err.message);
-      console.error(`Token refresh failed: ${err.message}`);
-      console.error(`Run 'nsql-cli login --profile ${profileName}' to re-authenticate.`);
+      console.error(err.message);
+      console.error(reauthenticateHint(credentials, profileName, source));
       process.exit(1);
       return;
     }
   }
 
-  return await executeSuiteQL(accountId, accessToken, query);
+  return (query) => (limit, offset) => executeSuiteQL(accountId, current.accessToken, query, limit, offset);
+}
+
+/**
+ * Open a session for running several queries with one profile, e.g. from the
+ * shell. Credentials are resolved once, and the OAuth 2.0 access token is
+ * reused across queries and only refreshed when it expires. Refreshed tokens
+ * are saved to the profile, or kept in memory for environment variables.
+ * @param {string} [profileName] - Profile given with --profile (see resolveProfileName())
+ * @returns {{ profileName: string, source: string, authType: string, credentials: Object, prepare: function(): Promise<Function>, fetchMetadata: function(string): Promise<Object>, fetchRecordTypes: function(): Promise<string[]>, getAccessToken: function(): (string|null) }|null}
+ *   Session, or null if no credentials were found. prepare() resolves to
+ *   query => (limit, offset) => Promise<Object>, like prepareOAuth1Query(),
+ *   fetchMetadata() to the metadata catalog schema of a record type and
+ *   fetchRecordTypes() to the record types visible to the role.
+ *   getAccessToken() returns the OAuth 2.0 access token as last refreshed or
+ *   requested by the others (null for OAuth 1.0)
+ * @throws {Error} If an OAuth 2.0 profile has not been logged in yet
+ */
+function createSession(profileName) {
+  const resolved = resolveCredentials(profileName);
+  const { credentials, source, authType } = resolved;
+  if (!credentials) {
+    return null;
+  }
+  profileName = resolved.profileName;
+
+  const session = { profileName, source, authType, credentials };
+  if (authType === 'oauth1') {
+    const prepareStatement = prepareOAuth1Query(credentials);
+    session.prepare = async () => prepareStatement;
+    session.getAccessToken = () => null;
+    session.fetchMetadata = async (recordType) => {
+      const response = await createOAuth1Client(credentials).request({
+        path: `record/v1/metadata-catalog/${encodeURIComponent(recordType)}`,
+        heads: { Accept: 'application/schema+json' },
+      });
+      return response.data;
+    };
+    session.fetchRecordTypes = async () => {
+      const response = await createOAuth1Client(credentials).request({
+        path: 'record/v1/metadata-catalog',
+        heads: { Accept: 'application/json' },
+      });
+      return ((response.data && response.data.items) || []).map(item => item.name).filter(Boolean);
+    };
+    return session;
+  }
+
+  if (authType === 'oauth2' && source !== 'environment' && (!credentials.accessToken || !credentials.refreshToken)) {
+    throw new Error(`Profile '${profileName}' has no tokens. Run 'nsql-cli login --profile ${profileName}' first.`);
+  }
+  let current = credentials;
+  const getCurrentCredentials = async () => {
+    if (needsRefresh(current)) {
+      try {
+        current = await renewAccessToken(current, profileName, source);
+      } catch (error) {
+        throw new Error(`${error.message}. ${reauthenticateHint(current, profileName, source)}`);
+      }
+    }
+    return current;
+  };
+  session.prepare = async () => {
+    const { accountId, accessToken } = await getCurrentCredentials();
+    return (query) => (limit, offset) => executeSuiteQL(accountId, accessToken, query, limit, offset);
+  };
+  session.fetchMetadata = async (recordType) => {
+    const { accountId, accessToken } = await getCurrentCredentials();
+    return fetchRecordMetadata(accountId, accessToken, recordType);
+  };
+  session.fetchRecordTypes = async () => {
+    const { accountId, accessToken } = await getCurrentCredentials();
+    return fetchRecordTypes(accountId, accessToken);
+  };
+  session.getAccessToken = () => current.accessToken;
+  return session;
 }
 
-module.exports = { executeQuery, replacePlaceholders };
+module.exports = { SUPPORTED_FORMATS, executeQuery, replacePlaceholders, writeResults, createSession };
 
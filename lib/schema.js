@@ -0,0 +1,386 @@
+/**
+ * Local cache of record type metadata.
+ * `schema pull` downloads the metadata catalog of an account into
+ * ~/.nsql-cli/schema/<account>.json so record types and field IDs can be
+ * looked up offline: by `schema search`, `describe` and shell completion.
+ * The cache has the shape
+ * { account, profile, pulledAt, role, records: [{ id, label, fields: [{ id, label, type, join }] }] }.
+ * The catalog returns a JSON schema per record type. Each property is a
+ * field; references to other records carry a $ref to the metadata catalog
+ * entry of the target record type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, resolveAccount, resolveProfileName } = require('./config');
+const { createSession } = require('./query');
+const { decodeTokenClaims } = require('./oauth2');
+const { formatAsTable } = require('./table');
+const debug = require('./debug');
+
+const SCHEMA_DIR = path.join(CONFIG_DIR, 'schema');
+const SEARCH_FORMATS = ['table', 'json'];
+
+/**
+ * Normalize an account ID so that '1234567_SB1' and '1234567-sb1' share a cache
+ * @param {string} accountId - Account ID or realm
+ * @returns {string}
+ */
+function normalizeAccount(accountId) {
+  return String(accountId).trim().toLowerCase().replace(/-/g, '_');
+}
+
+/**
+ * Get the cache file of an account
+ * @param {string} accountId - Account ID or realm
+ * @returns {string} Cache file path
+ */
+function getSchemaCachePath(accountId) {
+  return path.join(SCHEMA_DIR, `${normalizeAccount(accountId).replace(/[^a-z0-9_]/g, '_')}.json`);
+}
+
+/**
+ * Read the cached metadata of an account
+ * @param {string} accountId - Account ID or realm
+ * @returns {Object|null} Cached metadata, or null if the account has no (readable) cache
+ */
+function readSchemaCache(accountId) {
+  if (!accountId) {
+    return null;
+  }
+  const cachePath = getSchemaCachePath(accountId);
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return cache && Array.isArray(cache.records) ? cache : null;
+  } catch (error) {
+    debug.log('Failed to read schema cache:', cachePath, error.message);
+    return null;
+  }
+}
+
+/**
+ * Find a record type in a cache
+ * @param {Object} cache - Cached metadata (see readSchemaCache())
+ * @param {string} recordType - Record type ID, matched case-insensitively
+ * @returns {Object|null} Record type with its fields, or null if it is not cached
+ */
+function findRecord(cache, recordType) {
+  const id = String(recordType).toLowerCase();
+  return cache.records.find(record => String(record.id).toLowerCase() === id) || null;
+}
+
+/**
+ * Write the cached metadata of an account. The file is written to a temp
+ * file and renamed, so an interrupted pull keeps the previous cache.
+ * @param {string} accountId - Account ID or realm
+ * @param {Object} cache - Metadata to cache (see readSchemaCache())
+ * @returns {string} Cache file path
+ */
+function writeSchemaCache(accountId, cache) {
+  const cachePath = getSchemaCachePath(accountId);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, `${JSON.stringify(cache, null, 2)}\n`);
+    fs.renameSync(tempPath, cachePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  debug.log('Schema cache written to:', cachePath);
+  return cachePath;
+}
+
+/**
+ * Get the record type a schema reference points to
+ * @param {string} [ref] - $ref value, e.g. '/services/rest/record/v1/metadata-catalog/currency'
+ *   or '#/components/schemas/currency'
+ * @returns {string|null} Record type ID, or null if there is no reference
+ */
+function getRefTarget(ref) {
+  if (!ref || typeof ref !== 'string') {
+    return null;
+  }
+  const target = ref.split(/[/#]/).filter(Boolean).pop();
+  return target || null;
+}
+
+/**
+ * Describe one field of a record type schema
+ * @param {string} id - Field ID (property name)
+ * @param {Object} property - JSON schema of the field
+ * @returns {{ id: string, label: string, type: string, join: string|null }}
+ */
+function toField(id, property) {
+  const items = property.items || {};
+  const join = getRefTarget(property.$ref) || getRefTarget(items.$ref);
+  let type = property.format || property.type || (join ? 'object' : '');
+  if (type === 'array' && (items.format || items.type)) {
+    type = `array of ${items.format || items.type}`;
+  }
+  return {
+    id,
+    label: property.title || '',
+    type,
+    join,
+  };
+}
+
+/**
+ * Read the fields of a record type from its metadata catalog schema
+ * @param {string} recordType - Record type ID
+ * @param {Object} schema - JSON schema from the metadata catalog
+ * @returns {{ id: string, label: string, fields: Object[] }} Record type with its fields (see toField())
+ */
+function parseRecordMetadata(recordType, schema) {
+  const properties = (schema && schema.properties) || {};
+  return {
+    id: recordType,
+    label: (schema && schema.title) || '',
+    fields: Object.keys(properties)
+      .filter(id => id !== 'links')
+      .map(id => toField(id, properties[id] || {})),
+  };
+}
+
+/**
+ * Read the role from an OAuth 2.0 access token. NetSuite issues JWT access
+ * tokens whose subject is '<role ID>;<entity ID>'.
+ * @param {string} [accessToken] - OAuth 2.0 access token
+ * @returns {string|null} Role ID, or null if the token does not carry one
+ */
+function getTokenRole(accessToken) {
+  const claims = decodeTokenClaims(accessToken);
+  return claims && claims.sub ? String(claims.sub).split(';')[0] : null;
+}
+
+/**
+ * Download the metadata of every record type visible to the role of a session.
+ * Record types that cannot be read are skipped.
+ * @param {Object} session - Session (see createSession())
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total) after each record type
+ * @returns {Promise<{ records: Object[], failed: { id: string, message: string }[] }>}
+ *   Record types (see parseRecordMetadata()) and the ones that failed
+ */
+async function downloadSchema(session, options = {}) {
+  const recordTypes = await session.fetchRecordTypes();
+  const records = [];
+  const failed = [];
+  for (const recordType of recordTypes) {
+    try {
+      records.push(parseRecordMetadata(recordType, await session.fetchMetadata(recordType)));
+    } catch (error) {
+      debug.log(`Failed to read record type '${recordType}':`, error.message);
+      failed.push({ id: recordType, message: error.message });
+    }
+    if (options.onProgress) {
+      options.onProgress(records.length + failed.length, recordTypes.length);
+    }
+  }
+  return { records, failed };
+}
+
+/**
+ * Find record types and fields whose ID or label contains a term
+ * @param {Object} cache - Cached metadata (see readSchemaCache())
+ * @param {string} term - Search term, matched case-insensitively
+ * @returns {{ record: string, field: string, type: string, label: string, join: string }[]}
+ *   Matches; record type matches have an empty field
+ */
+function searchCache(cache, term) {
+  const needle = String(term).toLowerCase();
+  const matches = text => String(text || '').toLowerCase().includes(needle);
+  const results = [];
+  cache.records.forEach(record => {
+    if (matches(record.id) || matches(record.label)) {
+      results.push({ record: record.id, field: '', type: '', label: record.label || '', join: '' });
+    }
+    (record.fields || []).forEach(field => {
+      if (matches(field.id) || matches(field.label)) {
+        results.push({ record: record.id, field: field.id, type: field.type || '', label: field.label || '', join: field.join || '' });
+      }
+    });
+  });
+  return results;
+}
+
+/**
+ * Open a session for a profile, printing an error if that is not possible
+ * @param {string} [profileName] - Profile given with --profile (see resolveProfileName())
+ * @returns {Object|null} Session (see createSession()), or null on error
+ */
+function openSession(profileName) {
+  profileName = resolveProfileName(profileName).profileName;
+  let session;
+  try {
+    session = createSession(profileName);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return null;
+  }
+  if (!session) {
+    console.error(`Error: No credentials found for profile '${profileName}'. Run 'nsql-cli configure --profile ${profileName}' to set it up.`);
+  }
+  return session;
+}
+
+/**
+ * Get the account of a profile, used to name its cache
+ * @param {Object} credentials - Resolved credentials (see resolveCredentials())
+ * @returns {string}
+ */
+function getCredentialsAccount(credentials) {
+  return credentials.accountId || credentials.realm;
+}
+
+/**
+ * Pull the metadata of every record type visible to the profile's role into the cache
+ * @param {string} [profileName] - Profile given with --profile (see resolveProfileName())
+ */
+async function pullSchema(profileName) {
+  const session = openSession(profileName);
+  if (!session) {
+    process.exit(1);
+    return;
+  }
+  const account = getCredentialsAccount(session.credentials);
+
+  let result;
+  try {
+    result = await downloadSchema(session, {
+      onProgress: (done, total) => {
+        if (process.stderr.isTTY) {
+          process.stderr.write(`\rPulling record types: ${done}/${total}${done === total ? '\n' : ''}`);
+        }
+      },
+    });
+  } catch (error) {
+    console.error('Error pulling schema:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+    }
+    process.exit(1);
+    return;
+  }
+
+  const { records, failed } = result;
+  if (records.length === 0) {
+    console.error(`Error: None of the ${failed.length} record types could be read; the schema cache was not changed.`);
+    process.exit(1);
+    return;
+  }
+  if (failed.length > 0) {
+    console.error(`Warning: skipped ${failed.length} record types that could not be read: ${failed.map(entry => entry.id).join(', ')}`);
+  }
+
+  const cache = {
+    account: normalizeAccount(account),
+    profile: session.profileName,
+    pulledAt: new Date().toISOString(),
+  };
+  // OAuth 1.0 tokens do not tell which role they belong to, so the field is left out
+  if (session.authType !== 'oauth1') {
+    cache.role = getTokenRole(session.getAccessToken());
+  }
+  cache.records = records;
+  let cachePath;
+  try {
+    cachePath = writeSchemaCache(account, cache);
+  } catch (error) {
+    console.error(`Error: Failed to write the schema cache: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  const fieldCount = records.reduce((sum, record) => sum + record.fields.length, 0);
+  console.log(`Saved ${records.length} record types with ${fieldCount} fields to ${cachePath}`);
+}
+
+/**
+ * Describe when and with which role a schema cache was pulled
+ * @param {Object} cache - Cached metadata (see readSchemaCache())
+ * @returns {string}
+ */
+function describeCacheOrigin(cache) {
+  const pulled = `Schema cache pulled ${new Date(cache.pulledAt).toLocaleString()} by profile '${cache.profile}'`;
+  if (cache.role) {
+    return `${pulled} with role ${cache.role}.`;
+  }
+  if (cache.role === undefined) {
+    return `${pulled}; its role is unknown, as OAuth 1.0 does not report it.`;
+  }
+  return `${pulled}; its role is unknown.`;
+}
+
+/**
+ * Search the cached metadata of the profile's account and print the matches
+ * @param {string} term - Text to find in record type and field IDs and labels
+ * @param {string} [profileName] - Profile whose account to search (see resolveProfileName())
+ * @param {Object} [options]
+ * @param {string} [options.format='table'] - 'table' or 'json'
+ */
+function searchSchema(term, profileName, options = {}) {
+  const format = options.format || 'table';
+  if (!SEARCH_FORMATS.includes(format)) {
+    console.error(`Error: Invalid format '${format}'. Supported formats: ${SEARCH_FORMATS.join(', ')}`);
+    process.exit(1);
+    return;
+  }
+  if (!term || !String(term).trim()) {
+    console.error('Error: A search term is required, e.g. nsql-cli schema search email');
+    process.exit(1);
+    return;
+  }
+  // The cache is found by account alone, so nothing is decrypted and a
+  // locked passphrase does not get in the way of an offline search
+  let resolved;
+  try {
+    resolved = resolveAccount(profileName);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  profileName = resolved.profileName;
+  if (!resolved.account) {
+    console.error(`Error: No credentials found for profile '${profileName}'. Run 'nsql-cli configure --profile ${profileName}' to set it up.`);
+    process.exit(1);
+    return;
+  }
+  const cache = readSchemaCache(resolved.account);
+  if (!cache) {
+    console.error(`Error: No schema cache for profile '${profileName}'. Run 'nsql-cli schema pull --profile ${profileName}' first.`);
+    process.exit(1);
+    return;
+  }
+
+  const results = searchCache(cache, String(term).trim());
+  if (format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatAsTable({ items: results }, { columns: ['record', 'field', 'type', 'label', 'join'] }));
+    console.log(describeCacheOrigin(cache));
+  }
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  SEARCH_FORMATS,
+  normalizeAccount,
+  getSchemaCachePath,
+  readSchemaCache,
+  writeSchemaCache,
+  findRecord,
+  parseRecordMetadata,
+  getTokenRole,
+  downloadSchema,
+  searchCache,
+  openSession,
+  getCredentialsAccount,
+  pullSchema,
+  searchSchema,
+};
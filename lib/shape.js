@@ -0,0 +1,98 @@
+/**
+ * Output shaping for SuiteQL responses.
+ * SuiteQL adds hypermedia `links` arrays to the response envelope and to every
+ * row. They are only useful to API clients, so they are removed before results
+ * are formatted unless the raw response is requested. Rows can also be
+ * projected onto a list of columns to pick, order and rename them.
+ */
+
+const HYPERMEDIA_FIELDS = ['links'];
+
+/**
+ * Copy an object without its hypermedia fields
+ * @param {Object} object - Response envelope or row
+ * @returns {Object}
+ */
+function stripHypermedia(object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return object;
+  }
+  const shaped = {};
+  Object.keys(object).forEach(key => {
+    if (!HYPERMEDIA_FIELDS.includes(key)) {
+      shaped[key] = object[key];
+    }
+  });
+  return shaped;
+}
+
+/**
+ * Parse a column list such as `id,tranid:TranNumber,amount`.
+ * Each entry names a result column, optionally followed by `:` and the name to
+ * output it as. Result columns are matched in lowercase, as SuiteQL returns them.
+ * @param {string} spec - Comma-separated column list
+ * @returns {{ source: string, name: string }[]}
+ * @throws {Error} If the list is empty, malformed or outputs a name twice
+ */
+function parseColumnSpec(spec) {
+  const columns = [];
+  String(spec).split(',').forEach(entry => {
+    const parts = entry.split(':').map(part => part.trim());
+    if (parts.length > 2 || parts.some(part => part === '')) {
+      throw new Error(`Invalid column '${entry.trim()}' in --columns. Use name or name:NewName, separated by commas`);
+    }
+    const source = parts[0].toLowerCase();
+    const name = parts[1] || parts[0];
+    if (columns.some(column => column.name === name)) {
+      throw new Error(`Column '${name}' appears more than once in --columns`);
+    }
+    columns.push({ source, name });
+  });
+  return columns;
+}
+
+/**
+ * Project a row onto a column list. Columns missing from the row are null.
+ * @param {Object} row - Result row
+ * @param {{ source: string, name: string }[]} columns - Parsed column list (see parseColumnSpec())
+ * @returns {Object} Row with exactly the listed columns, in order
+ */
+function projectRow(row, columns) {
+  const projected = {};
+  columns.forEach(({ source, name }) => {
+    projected[name] = row[source] === undefined ? null : row[source];
+  });
+  return projected;
+}
+
+/**
+ * Remove hypermedia fields from a page and each of its rows, and project the
+ * rows onto a column list if one is given
+ * @param {Object} page - SuiteQL page or merged results
+ * @param {Object} [options]
+ * @param {{ source: string, name: string }[]} [options.columns] - Parsed column list (see parseColumnSpec())
+ * @returns {Object} Shaped copy of the page
+ */
+function shapePage(page, options = {}) {
+  const shaped = stripHypermedia(page);
+  if (Array.isArray(page.items)) {
+    shaped.items = page.items.map(item => (
+      options.columns ? projectRow(item, options.columns) : stripHypermedia(item)
+    ));
+  }
+  return shaped;
+}
+
+/**
+ * Shape each page of a page stream
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} [options] - Shaping options (see shapePage())
+ * @returns {AsyncGenerator<Object>} Shaped pages
+ */
+async function* shapePages(pages, options = {}) {
+  for await (const page of pages) {
+    yield shapePage(page, options);
+  }
+}
+
+module.exports = { HYPERMEDIA_FIELDS, stripHypermedia, parseColumnSpec, projectRow, shapePage, shapePages };
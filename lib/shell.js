@@ -0,0 +1,256 @@
+/**
+ * Interactive SuiteQL shell.
+ * Statements can span several lines and run once they end with `;`. Lines
+ * starting with a backslash are meta-commands that switch the profile, output
+ * format and page size. Credentials are resolved once per profile and the
+ * OAuth 2.0 access token is reused across statements (see createSession()).
+ * Input history is kept in ~/.nsql-cli/history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { CONFIG_DIR, describeAuthType } = require('./config');
+const { writeResults } = require('./query');
+const { openSession } = require('./schema');
+const { resolvePagePlan } = require('./pagination');
+const { resolveCsvDialect } = require('./csv');
+const { createConsoleSink } = require('./output');
+const { splitTopLevel } = require('./columns');
+const { DEFAULT_LIMIT } = require('./netsuite-client');
+const debug = require('./debug');
+
+const HISTORY_FILE = path.join(CONFIG_DIR, 'history');
+const HISTORY_SIZE = 1000;
+// Formats that can be printed to the terminal; xlsx and sqlite need a file
+const SHELL_FORMATS = ['table', 'json', 'csv', 'tsv', 'ndjson', 'markdown', 'html', 'sql'];
+const DEFAULT_FORMAT = 'table';
+
+const HELP = [
+  'Statements run when they end with ;. Meta-commands:',
+  '  \\profile [name]   Show the current profile, or switch to another one',
+  `  \\format [name]    Show or set the output format (${SHELL_FORMATS.join(', ')})`,
+  `  \\limit [n]        Show or set the rows fetched per statement (1-1000, defaults to ${DEFAULT_LIMIT})`,
+  '  \\help, \\?         Show this help',
+  '  \\quit, \\q         Leave the shell (or press Ctrl-D)',
+];
+
+/**
+ * Read the shell history
+ * @param {string} filePath - History file
+ * @returns {string[]} Entries, most recent first (as readline expects)
+ */
+function loadHistory(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .slice(-HISTORY_SIZE)
+      .reverse();
+  } catch (error) {
+    debug.log('Failed to read shell history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Write the shell history, oldest entry first. The file is only readable by
+ * the current user, as statements can contain customer data.
+ * @param {string} filePath - History file
+ * @param {string[]} history - Entries, most recent first
+ */
+function saveHistory(filePath, history) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const entries = history.slice(0, HISTORY_SIZE).reverse();
+    fs.writeFileSync(filePath, entries.length > 0 ? `${entries.join('\n')}\n` : '', { mode: 0o600 });
+    fs.chmodSync(filePath, 0o600);
+  } catch (error) {
+    console.error(`Warning: failed to save shell history: ${error.message}`);
+  }
+}
+
+/**
+ * Describe the profile of a session
+ * @param {Object} session - Session (see createSession())
+ * @returns {string}
+ */
+function describeSession(session) {
+  const authType = describeAuthType(session.authType);
+  const source = session.source === 'environment' ? ', credentials from environment variables' : '';
+  return `'${session.profileName}' (${authType}${source})`;
+}
+
+/**
+ * Run a meta-command
+ * @param {Object} state - Shell state: session, format and limit
+ * @param {string} line - Input line starting with a backslash
+ * @returns {boolean} False if the shell should exit
+ */
+function runCommand(state, line) {
+  const [command, ...args] = line.slice(1).trim().split(/\s+/);
+  const value = args.join(' ');
+
+  if (command === 'q' || command === 'quit') {
+    return false;
+  }
+  if (command === '?' || command === 'help') {
+    HELP.forEach(text => console.log(text));
+  } else if (command === 'profile') {
+    if (!value) {
+      console.log(`Profile: ${describeSession(state.session)}`);
+    } else {
+      const session = openSession(value);
+      if (session) {
+        state.session = session;
+        console.log(`Switched to profile ${describeSession(session)}`);
+      }
+    }
+  } else if (command === 'format') {
+    if (!value) {
+      console.log(`Format: ${state.format}`);
+    } else if (!SHELL_FORMATS.includes(value)) {
+      console.error(`Error: Invalid format '${value}'. Supported formats in the shell: ${SHELL_FORMATS.join(', ')}`);
+    } else {
+      state.format = value;
+      console.log(`Format: ${state.format}`);
+    }
+  } else if (command === 'limit') {
+    if (value) {
+      try {
+        state.limit = resolvePagePlan({ limit: value }).limit;
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return true;
+      }
+    }
+    console.log(`Limit: ${state.limit === undefined ? `${DEFAULT_LIMIT} (default)` : state.limit} rows per statement`);
+  } else {
+    console.error(`Error: Unknown command '\\${command}'. Type \\help for the list of commands`);
+  }
+  return true;
+}
+
+/**
+ * Run one statement and print its results. Errors are printed and do not end the shell.
+ * @param {Object} state - Shell state: session, format and limit
+ * @param {string} statement - SuiteQL statement without its semicolon
+ */
+async function runStatement(state, statement) {
+  const query = statement.replace(/\s+/g, ' ').trim();
+  const format = state.format;
+  try {
+    const prepareStatement = await state.session.prepare();
+    await writeResults(prepareStatement, query, format, createConsoleSink(), {
+      pagePlan: resolvePagePlan({ limit: state.limit }),
+      csvDialect: format === 'csv' || format === 'tsv' ? resolveCsvDialect(format) : undefined,
+    });
+  } catch (error) {
+    console.error('Error executing query:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+    }
+  }
+}
+
+/**
+ * Start the interactive shell. Resolves when the input ends or \q is entered.
+ * @param {string} [profileName] - Profile to start with (defaults to NSQL_PROFILE, the active
+ *   profile or "default", see resolveProfileName())
+ * @param {Object} [options]
+ * @param {string} [options.format='table'] - Initial output format (see SHELL_FORMATS)
+ * @param {string|number} [options.limit] - Initial rows per statement (1-1000)
+ * @param {string} [options.historyFile] - History file (defaults to ~/.nsql-cli/history)
+ * @param {Object} [io] - Streams to use instead of stdin/stdout
+ * @param {Object} [io.input] - Input stream
+ * @param {Object} [io.output] - Stream for prompts and line editing
+ * @param {boolean} [io.terminal] - Treat the streams as a terminal (prompts and history);
+ *   defaults to whether both are TTYs, so piped scripts run without prompts
+ */
+async function startShell(profileName, options = {}, io = {}) {
+  const input = io.input || process.stdin;
+  const output = io.output || process.stdout;
+  const interactive = io.terminal !== undefined ? io.terminal : Boolean(input.isTTY && output.isTTY);
+  const historyFile = options.historyFile || HISTORY_FILE;
+
+  const state = { format: options.format || DEFAULT_FORMAT, limit: undefined, session: null };
+  if (!SHELL_FORMATS.includes(state.format)) {
+    console.error(`Error: Invalid format '${state.format}'. Supported formats in the shell: ${SHELL_FORMATS.join(', ')}`);
+    process.exit(1);
+    return;
+  }
+  try {
+    state.limit = resolvePagePlan({ limit: options.limit }).limit;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  state.session = openSession(profileName);
+  if (!state.session) {
+    process.exit(1);
+    return;
+  }
+
+  const rl = readline.createInterface({
+    input,
+    output,
+    terminal: interactive,
+    history: interactive ? loadHistory(historyFile) : [],
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+  });
+
+  let buffer = '';
+  const prompt = () => {
+    if (!interactive) return;
+    const primary = `nsql:${state.session.profileName}> `;
+    rl.setPrompt(buffer ? '-> '.padStart(primary.length) : primary);
+    rl.prompt();
+  };
+  // Ctrl-C discards the statement being typed instead of leaving the shell
+  rl.on('SIGINT', () => {
+    buffer = '';
+    output.write('\n');
+    prompt();
+  });
+
+  if (interactive) {
+    console.log(`Connected with profile ${describeSession(state.session)}. Type \\help for commands, \\q to quit.`);
+  }
+  prompt();
+
+  try {
+    for await (const line of rl) {
+      if (!buffer && line.trim().startsWith('\\')) {
+        if (!runCommand(state, line.trim())) break;
+      } else {
+        buffer = buffer ? `${buffer}\n${line}` : line;
+        // Everything after the last top-level semicolon is the start of the next statement
+        const { parts } = splitTopLevel(buffer, /;/y);
+        buffer = parts.pop().trim();
+        for (const statement of parts) {
+          if (statement.trim()) {
+            await runStatement(state, statement);
+          }
+        }
+      }
+      prompt();
+    }
+  } finally {
+    rl.close();
+    if (interactive) {
+      saveHistory(historyFile, rl.history);
+    }
+  }
+
+  if (buffer.trim()) {
+    console.error('Warning: the last statement did not end with ; and was not run.');
+  }
+}
+
+module.exports = { SHELL_FORMATS, HISTORY_FILE, startShell };
@@ -0,0 +1,171 @@
+/**
+ * SQL script output for query results.
+ * Results are written as a CREATE TABLE statement followed by batched INSERT
+ * statements for PostgreSQL, MySQL or SQLite, e.g. for seeding test databases.
+ * Columns and their types are determined the same way as for the sqlite
+ * format; columns first seen on later pages are added with ALTER TABLE.
+ */
+
+const { resolveHeader } = require('./columns');
+const { inferColumnType, toSqlValue } = require('./sqlite');
+
+const SQL_DIALECTS = ['postgres', 'mysql', 'sqlite'];
+const DEFAULT_DIALECT = 'postgres';
+const DEFAULT_TABLE = 'results';
+const BATCH_SIZE = 500;
+
+const COLUMN_TYPES = {
+  postgres: { INTEGER: 'BIGINT', REAL: 'NUMERIC', TEXT: 'TEXT' },
+  mysql: { INTEGER: 'BIGINT', REAL: 'DOUBLE', TEXT: 'TEXT' },
+  sqlite: { INTEGER: 'INTEGER', REAL: 'REAL', TEXT: 'TEXT' },
+};
+
+// MySQL treats backslash as an escape character inside string literals
+const MYSQL_ESCAPES = {
+  '\0': '\\0',
+  '\b': '\\b',
+  '\t': '\\t',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\x1a': '\\Z',
+  '\'': '\\\'',
+  '\\': '\\\\',
+};
+
+/**
+ * Quote an identifier for a dialect
+ * @param {string} name - Table or column name
+ * @param {string} dialect - SQL dialect
+ * @returns {string}
+ */
+function quoteIdentifier(name, dialect) {
+  if (dialect === 'mysql') {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+  }
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format a value as an SQL literal for a dialect
+ * @param {number|string|null} value - Converted value (see toSqlValue())
+ * @param {string} dialect - SQL dialect
+ * @returns {string}
+ */
+function formatLiteral(value, dialect) {
+  if (value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (dialect === 'mysql') {
+    return `'${value.replace(/[\0\b\t\n\r\x1a'\\]/g, char => MYSQL_ESCAPES[char])}'`;
+  }
+  return `'${value.replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Create an SQL writer that formats rows page by page into CREATE TABLE and
+ * INSERT statements, wrapped in a transaction.
+ *
+ * The table columns come from `columns` (usually parsed from the SELECT list)
+ * plus any other keys of the first page, or from the first non-empty page when
+ * `columns` is not given. The `links` metadata SuiteQL adds to every row is
+ * never written.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dialect='postgres'] - 'postgres', 'mysql' or 'sqlite'
+ * @param {string} [options.table='results'] - Table name
+ * @param {string[]} [options.columns] - Known column names, in order
+ * @returns {{ writeRows: function(Object[]): (string|null), end: function(): (string|null), getHeaders: function(): (string[]|null) }}
+ */
+function createSqlWriter(options = {}) {
+  const dialect = options.dialect || DEFAULT_DIALECT;
+  if (!SQL_DIALECTS.includes(dialect)) {
+    throw new Error(`Invalid dialect '${dialect}'. Supported dialects: ${SQL_DIALECTS.join(', ')}`);
+  }
+  const table = quoteIdentifier(options.table || DEFAULT_TABLE, dialect);
+  const typeNames = COLUMN_TYPES[dialect];
+  let headers = null;
+  const types = new Map();
+
+  function typeForColumn(column, items) {
+    const values = items.map(item => item[column]).filter(value => value !== null && value !== undefined && value !== '');
+    return values.length > 0 ? inferColumnType(values) : 'TEXT';
+  }
+
+  function formatInsert(batch) {
+    const columnList = headers.map(header => quoteIdentifier(header, dialect)).join(', ');
+    const rows = batch.map(item => {
+      const values = headers.map(header => formatLiteral(toSqlValue(item[header], types.get(header)), dialect));
+      return `  (${values.join(', ')})`;
+    });
+    return `INSERT INTO ${table} (${columnList}) VALUES\n${rows.join(',\n')};`;
+  }
+
+  return {
+    /**
+     * Format a page of rows. The first call that can determine the columns
+     * also emits the start of the transaction and the CREATE TABLE statement.
+     * @param {Object[]} items - Rows of one page
+     * @returns {string|null} SQL text without a trailing newline, or null if there is nothing to write yet
+     */
+    writeRows(items) {
+      const statements = [];
+      if (!headers) {
+        const resolved = resolveHeader(options.columns, items);
+        if (!resolved) {
+          return null;
+        }
+        headers = resolved.filter(key => key !== 'links');
+        headers.forEach(header => types.set(header, typeForColumn(header, items)));
+        const definitions = headers.map(header => `  ${quoteIdentifier(header, dialect)} ${typeNames[types.get(header)]}`);
+        statements.push(dialect === 'mysql' ? 'START TRANSACTION;' : 'BEGIN;');
+        statements.push(`CREATE TABLE ${table} (\n${definitions.join(',\n')}\n);`);
+      }
+
+      const newColumns = [];
+      items.forEach(item => Object.keys(item).forEach(key => {
+        if (key !== 'links' && !headers.includes(key) && !newColumns.includes(key)) {
+          newColumns.push(key);
+        }
+      }));
+      newColumns.forEach(column => {
+        types.set(column, typeForColumn(column, items));
+        headers.push(column);
+        statements.push(`ALTER TABLE ${table} ADD COLUMN ${quoteIdentifier(column, dialect)} ${typeNames[types.get(column)]};`);
+      });
+
+      for (let start = 0; start < items.length; start += BATCH_SIZE) {
+        statements.push(formatInsert(items.slice(start, start + BATCH_SIZE)));
+      }
+      return statements.length > 0 ? statements.join('\n') : null;
+    },
+
+    /**
+     * Finish the output.
+     * @returns {string|null} COMMIT when a transaction was started, otherwise null
+     */
+    end() {
+      return headers ? 'COMMIT;' : null;
+    },
+
+    getHeaders() {
+      return headers;
+    },
+  };
+}
+
+/**
+ * Convert results to SQL statements
+ * @param {Object} results - Query results object with items array
+ * @param {Object} [options] - Writer options (see createSqlWriter())
+ * @returns {string} SQL script
+ */
+function formatAsSql(results, options = {}) {
+  const writer = createSqlWriter(options);
+  const chunks = [writer.writeRows(results.items || []), writer.end()];
+  return chunks.filter(chunk => chunk !== null).join('\n');
+}
+
+module.exports = { SQL_DIALECTS, DEFAULT_TABLE, createSqlWriter, formatAsSql, formatLiteral, quoteIdentifier };
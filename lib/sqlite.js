@@ -0,0 +1,282 @@
+/**
+ * SQLite output for query results.
+ * Rows are inserted into a table of a local database as pages arrive. The
+ * whole export runs in one transaction, so a failed query leaves the database
+ * as it was. Column types are inferred from the first page of results
+ * (columns without values there become TEXT); columns that only show up on
+ * later pages are added to the table when they first appear.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveHeader } = require('./columns');
+const { toNumber } = require('./typed');
+const debug = require('./debug');
+
+const TABLE_MODES = ['create', 'append', 'replace'];
+const BATCH_SIZE = 500;
+// SQLite's default limit on bound parameters per statement
+const MAX_VARIABLES = 32766;
+const INTEGER_PATTERN = /^-?(0|[1-9]\d*)$/;
+
+/**
+ * Quote an SQLite identifier
+ * @param {string} name - Table or column name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Decide the SQLite type of a column from the values of one page.
+ * Numbers with leading zeros (item codes and the like) are kept as text;
+ * decimals follow the same rule as typed results (see typed.js), so '.5' is REAL.
+ * @param {Array} values - Non-empty values of the column
+ * @returns {string} 'INTEGER', 'REAL' or 'TEXT'
+ */
+function inferColumnType(values) {
+  const isInteger = value => (typeof value === 'number' && Number.isSafeInteger(value))
+    || (typeof value === 'string' && INTEGER_PATTERN.test(value) && Number.isSafeInteger(Number(value)));
+  const isReal = value => toNumber(value) !== null;
+
+  if (values.every(isInteger)) {
+    return 'INTEGER';
+  }
+  if (values.every(value => isInteger(value) || isReal(value))) {
+    return 'REAL';
+  }
+  return 'TEXT';
+}
+
+/**
+ * Map a declared column type of an existing table to the type used for conversion
+ * @param {string} declaredType - Type from PRAGMA table_info
+ * @returns {string} 'INTEGER', 'REAL' or 'TEXT'
+ */
+function affinityOf(declaredType) {
+  if (/INT/i.test(declaredType)) return 'INTEGER';
+  if (/REAL|FLOA|DOUB|NUM|DEC/i.test(declaredType)) return 'REAL';
+  return 'TEXT';
+}
+
+/**
+ * Convert a value for insertion into a column of the given type. Values that
+ * do not match a numeric column type are stored as text.
+ * @param {*} value - Raw item value
+ * @param {string} type - Column type (see inferColumnType())
+ * @returns {number|string|null}
+ */
+function toSqlValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type !== 'TEXT') {
+    if (value === '') return null;
+    if (typeof value === 'number') return value;
+    if (INTEGER_PATTERN.test(value) && Number.isSafeInteger(Number(value))) {
+      return Number(value);
+    }
+    const number = toNumber(value);
+    if (number !== null) return number;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Open a table in an SQLite database for writing query results.
+ * The returned writer has the same close()/abort() shape as the output sinks:
+ * close() commits the export and abort() rolls it back (and removes the
+ * database file if it was created by this export).
+ * @param {string} filePath - Database file path
+ * @param {Object} options
+ * @param {string} options.table - Table name
+ * @param {string} [options.mode='create'] - 'create' (fail if the table exists),
+ *   'append' (add rows to the table, creating it if needed) or 'replace' (drop and recreate it)
+ * @returns {{ writeRows: function(Object[], string[]|null): void, hasTable: function(): boolean, close: function(): void, abort: function(): void, path: string }}
+ */
+function openSqliteTable(filePath, options) {
+  const mode = options.mode || 'create';
+  const table = options.table;
+  if (!TABLE_MODES.includes(mode)) {
+    throw new Error(`Invalid table mode '${mode}'. Supported modes: ${TABLE_MODES.join(', ')}`);
+  }
+  if (!table || typeof table !== 'string') {
+    throw new Error('A table name is required for the sqlite format');
+  }
+
+  // better-sqlite3 is a native module; load it only when a database is actually written
+  const Database = require('better-sqlite3');
+  const targetPath = path.resolve(process.cwd(), filePath);
+  const created = !fs.existsSync(targetPath);
+
+  let db;
+  try {
+    db = new Database(targetPath);
+  } catch (error) {
+    throw new Error(`Failed to open database: ${error.message}`);
+  }
+  debug.log('SQLite database:', targetPath, '| table:', table, '| mode:', mode);
+
+  const tableExists = () => Boolean(
+    db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)
+  );
+
+  try {
+    db.exec('BEGIN IMMEDIATE');
+    if (mode === 'create' && tableExists()) {
+      throw new Error(`Table '${table}' already exists in ${targetPath}. Use --append to add rows or --replace to recreate it.`);
+    }
+  } catch (error) {
+    db.close();
+    if (created && fs.existsSync(targetPath)) {
+      fs.unlinkSync(targetPath);
+    }
+    throw error;
+  }
+
+  let headers = null;
+  const types = new Map();
+  const statements = new Map();
+  let finished = false;
+
+  function addColumn(name, type) {
+    db.exec(`ALTER TABLE ${quoteIdentifier(table)} ADD COLUMN ${quoteIdentifier(name)} ${type}`);
+    statements.clear();
+    debug.log(`SQLite column added: ${name} ${type}`);
+  }
+
+  function createTable(columns, items) {
+    const exists = tableExists();
+    if (mode === 'append' && exists) {
+      const existing = new Map(db.prepare(`PRAGMA table_info(${quoteIdentifier(table)})`).all()
+        .map(info => [info.name, affinityOf(info.type)]));
+      headers = [];
+      columns.forEach(column => {
+        if (existing.has(column)) {
+          types.set(column, existing.get(column));
+        } else {
+          types.set(column, typeForColumn(column, items));
+          addColumn(column, types.get(column));
+        }
+        headers.push(column);
+      });
+      return;
+    }
+
+    if (mode === 'replace' && exists) {
+      db.exec(`DROP TABLE ${quoteIdentifier(table)}`);
+    }
+    columns.forEach(column => types.set(column, typeForColumn(column, items)));
+    const definitions = columns.map(column => `${quoteIdentifier(column)} ${types.get(column)}`);
+    db.exec(`CREATE TABLE ${quoteIdentifier(table)} (${definitions.join(', ')})`);
+    debug.log('SQLite table created:', definitions.join(', '));
+    headers = [...columns];
+  }
+
+  function typeForColumn(column, items) {
+    const values = items.map(item => item[column]).filter(value => value !== null && value !== undefined && value !== '');
+    return values.length > 0 ? inferColumnType(values) : 'TEXT';
+  }
+
+  function insertStatement(rowCount) {
+    if (!statements.has(rowCount)) {
+      const placeholders = `(${headers.map(() => '?').join(', ')})`;
+      statements.set(rowCount, db.prepare(
+        `INSERT INTO ${quoteIdentifier(table)} (${headers.map(quoteIdentifier).join(', ')}) VALUES ${Array(rowCount).fill(placeholders).join(', ')}`
+      ));
+    }
+    return statements.get(rowCount);
+  }
+
+  return {
+    path: targetPath,
+
+    /**
+     * Insert a page of rows. The first page that can determine the columns
+     * creates the table; keys first seen on later pages become new columns.
+     * @param {Object[]} items - Rows of one page
+     * @param {string[]|null} [columns] - Known column names, e.g. from parseSelectColumns()
+     */
+    writeRows(items, columns) {
+      if (!headers) {
+        const resolved = resolveHeader(columns, items);
+        if (!resolved) return;
+        createTable(resolved.filter(key => key !== 'links'), items);
+      }
+
+      const newColumns = [];
+      items.forEach(item => Object.keys(item).forEach(key => {
+        if (key !== 'links' && !headers.includes(key) && !newColumns.includes(key)) {
+          newColumns.push(key);
+        }
+      }));
+      newColumns.forEach(column => {
+        types.set(column, typeForColumn(column, items));
+        addColumn(column, types.get(column));
+        headers.push(column);
+      });
+
+      const batchSize = Math.max(1, Math.min(BATCH_SIZE, Math.floor(MAX_VARIABLES / headers.length)));
+      for (let start = 0; start < items.length; start += batchSize) {
+        const batch = items.slice(start, start + batchSize);
+        const values = [];
+        batch.forEach(item => headers.forEach(header => values.push(toSqlValue(item[header], types.get(header)))));
+        insertStatement(batch.length).run(values);
+      }
+    },
+
+    /**
+     * Whether the table was created or found, i.e. whether any columns were known
+     * @returns {boolean}
+     */
+    hasTable() {
+      return headers !== null;
+    },
+
+    close() {
+      if (finished) return;
+      finished = true;
+      db.exec('COMMIT');
+      db.close();
+      debug.log('SQLite export committed:', targetPath);
+    },
+
+    abort() {
+      if (finished) return;
+      finished = true;
+      if (db.inTransaction) {
+        db.exec('ROLLBACK');
+      }
+      db.close();
+      if (created && fs.existsSync(targetPath)) {
+        fs.unlinkSync(targetPath);
+      }
+      debug.log('SQLite export rolled back:', targetPath);
+    },
+  };
+}
+
+/**
+ * Insert results into an SQLite table page by page
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} target - Table writer (see openSqliteTable())
+ * @param {Object} [options]
+ * @param {string[]|null} [options.columns] - Table columns, e.g. from parseSelectColumns()
+ * @returns {Promise<number>} Number of rows inserted
+ */
+async function writeSqlite(pages, target, options = {}) {
+  let rowCount = 0;
+  for await (const page of pages) {
+    const items = page.items || [];
+    target.writeRows(items, options.columns || null);
+    rowCount += items.length;
+  }
+  if (!target.hasTable()) {
+    console.error('Warning: the query returned no rows and its columns could not be determined from the SELECT list, so no table was created.');
+  }
+  debug.log('SQLite rows inserted:', rowCount);
+  return rowCount;
+}
+
+module.exports = { TABLE_MODES, openSqliteTable, writeSqlite, inferColumnType, toSqlValue };
@@ -0,0 +1,179 @@
+/**
+ * Human-readable table output for query results.
+ * Columns are aligned, long values are truncated and tables wider than the
+ * terminal are shrunk or wrapped into several blocks of columns.
+ */
+
+const { collectKeys } = require('./columns');
+const { NUMBER_PATTERN } = require('./typed');
+
+const DEFAULT_WIDTH = 120;
+const MAX_COLUMN_WIDTH = 40;
+const MIN_COLUMN_WIDTH = 6;
+const SEPARATOR = ' | ';
+const ELLIPSIS = '…';
+
+/**
+ * Convert a value to single-line cell text
+ * @param {*} value - Raw item value
+ * @returns {string}
+ */
+function toCellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/[\r\n\t]+/g, ' ');
+}
+
+/**
+ * Length of a string in characters (not UTF-16 code units)
+ * @param {string} text
+ * @returns {number}
+ */
+function textLength(text) {
+  return Array.from(text).length;
+}
+
+/**
+ * Truncate and pad text to an exact width
+ * @param {string} text - Cell text
+ * @param {number} width - Column width
+ * @param {boolean} alignRight - Right-align (for numeric columns)
+ * @returns {string}
+ */
+function fitCell(text, width, alignRight) {
+  const chars = Array.from(text);
+  const fitted = chars.length > width
+    ? chars.slice(0, Math.max(width - 1, 0)).join('') + ELLIPSIS
+    : text;
+  const padding = ' '.repeat(Math.max(width - textLength(fitted), 0));
+  return alignRight ? padding + fitted : fitted + padding;
+}
+
+/**
+ * Shrink the widest columns until the table fits. Columns are not shrunk below
+ * their header length (or MIN_COLUMN_WIDTH), so very wide tables are wrapped
+ * into blocks instead of becoming unreadable.
+ * @param {number[]} widths - Column widths (modified in place)
+ * @param {number[]} minWidths - Smallest width for each column
+ * @param {number} maxWidth - Available line width
+ */
+function shrinkToFit(widths, minWidths, maxWidth) {
+  const total = () => widths.reduce((sum, w) => sum + w, 0) + SEPARATOR.length * (widths.length - 1);
+  while (total() > maxWidth) {
+    let widest = -1;
+    widths.forEach((width, index) => {
+      if (width > minWidths[index] && (widest === -1 || width > widths[widest])) {
+        widest = index;
+      }
+    });
+    if (widest === -1) {
+      return;
+    }
+    widths[widest] -= 1;
+  }
+}
+
+/**
+ * Split column indexes into blocks that each fit within maxWidth.
+ * @param {number[]} widths - Column widths
+ * @param {number} maxWidth - Available line width
+ * @returns {number[][]} Column indexes per block
+ */
+function splitIntoBlocks(widths, maxWidth) {
+  const blocks = [];
+  let current = [];
+  let currentWidth = 0;
+  widths.forEach((width, index) => {
+    const added = current.length === 0 ? width : SEPARATOR.length + width;
+    if (current.length > 0 && currentWidth + added > maxWidth) {
+      blocks.push(current);
+      current = [];
+      currentWidth = 0;
+    }
+    currentWidth += current.length === 0 ? width : SEPARATOR.length + width;
+    current.push(index);
+  });
+  if (current.length > 0) {
+    blocks.push(current);
+  }
+  return blocks;
+}
+
+/**
+ * Whether every non-empty value of a column is numeric, so it can be right-aligned.
+ * Numbers follow the same rule as typed results, so codes such as '00123' stay left-aligned.
+ * @param {Object[]} items - Result rows
+ * @param {string} column - Column name
+ * @returns {boolean}
+ */
+function isNumericColumn(items, column) {
+  const values = items.map(item => item[column]).filter(value => value !== null && value !== undefined && value !== '');
+  return values.length > 0 && values.every(value => typeof value === 'number' || NUMBER_PATTERN.test(String(value)));
+}
+
+/**
+ * Build the row-count footer
+ * @param {Object} results - Query results with items, totalResults and hasMore
+ * @returns {string}
+ */
+function formatFooter(results) {
+  const count = results.items ? results.items.length : 0;
+  const details = [];
+  if (results.totalResults !== undefined) {
+    details.push(`totalResults: ${results.totalResults}`);
+  }
+  if (results.hasMore !== undefined) {
+    details.push(`hasMore: ${results.hasMore}`);
+  }
+  const summary = `${count} row${count === 1 ? '' : 's'}`;
+  return details.length > 0 ? `${summary} (${details.join(', ')})` : summary;
+}
+
+/**
+ * Convert results to an aligned text table
+ * @param {Object} results - Query results object with items array
+ * @param {Object} [options]
+ * @param {string[]|null} [options.columns] - Column order (defaults to the keys of the items)
+ * @param {number} [options.width] - Available line width (defaults to the terminal width)
+ * @returns {string} Table text with a row-count footer
+ */
+function formatAsTable(results, options = {}) {
+  const items = results.items || [];
+  const maxWidth = options.width || process.stdout.columns || DEFAULT_WIDTH;
+  const footer = formatFooter(results);
+
+  const keys = collectKeys(items);
+  const columns = options.columns
+    ? [...options.columns, ...keys.filter(key => !options.columns.includes(key))]
+    : keys;
+  if (items.length === 0 || columns.length === 0) {
+    return `(no rows)\n${footer}`;
+  }
+
+  const rows = items.map(item => columns.map(column => toCellText(item[column])));
+  const widths = columns.map((column, index) => Math.min(
+    rows.reduce((max, row) => Math.max(max, textLength(row[index])), textLength(column)),
+    MAX_COLUMN_WIDTH,
+    maxWidth
+  ));
+  const minWidths = columns.map((column, index) => Math.min(
+    Math.max(textLength(column), MIN_COLUMN_WIDTH),
+    widths[index]
+  ));
+  const alignRight = columns.map(column => isNumericColumn(items, column));
+
+  shrinkToFit(widths, minWidths, maxWidth);
+
+  const blocks = splitIntoBlocks(widths, maxWidth).map(indexes => {
+    const header = indexes.map(i => fitCell(columns[i], widths[i], false)).join(SEPARATOR);
+    const rule = indexes.map(i => '-'.repeat(widths[i])).join('-+-');
+    const lines = rows.map(row => indexes.map(i => fitCell(row[i], widths[i], alignRight[i])).join(SEPARATOR));
+    return [header, rule, ...lines].map(line => line.trimEnd()).join('\n');
+  });
+
+  return `${blocks.join('\n\n')}\n\n${footer}`;
+}
+
+module.exports = { formatAsTable, formatFooter, isNumericColumn };
@@ -0,0 +1,256 @@
+/**
+ * Typed values for query results.
+ * SuiteQL returns every value as a string: numbers, booleans as 'T'/'F' and
+ * dates in the account's date format. Typed mode converts them to JSON
+ * numbers, booleans and ISO-8601 dates. Each column gets a type from the
+ * first page that has values for it, so codes such as '00123' stay strings
+ * and a column is only converted when all of its values fit the type.
+ */
+
+const DEFAULT_DATE_FORMAT = 'M/D/YYYY';
+// Plain decimals without leading zeros (SuiteQL may omit the zero before the
+// point); anything longer than 15 significant digits would lose precision
+const NUMBER_PATTERN = /^-?((0|[1-9]\d*)(\.\d+)?|\.\d+)$/;
+const MAX_NUMBER_DIGITS = 15;
+const BOOLEAN_VALUES = { T: true, F: false };
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const DATE_TOKENS = /YYYY|MONTH|MON|MM|M|DD|D/gi;
+// Optional time of day after the date, e.g. '3:45 pm' or '15:45:30'
+const TIME_SUFFIX = '(?:\\s+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\s*([ap]m))?)?';
+
+/**
+ * Compile a date format such as 'M/D/YYYY', 'DD.MM.YYYY' or 'DD-Mon-YYYY'.
+ * YYYY is the year, M/MM the month number, D/DD the day, Mon the abbreviated
+ * and Month the full English month name. Other characters must match as given.
+ * @param {string} format - Date format
+ * @returns {{ pattern: RegExp, fields: string[] }} Pattern for a date with an optional time and the order of its fields
+ * @throws {Error} If the format does not contain exactly one year, month and day
+ */
+function parseDateFormat(format) {
+  const invalid = () => new Error(`Invalid date format '${format}'. Use YYYY, M or MM, D or DD, and Mon or Month, e.g. M/D/YYYY or DD.MM.YYYY`);
+  if (!format || typeof format !== 'string') {
+    throw invalid();
+  }
+
+  const fields = [];
+  let source = '';
+  let last = 0;
+  for (const match of format.matchAll(DATE_TOKENS)) {
+    source += format.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const token = match[0].toUpperCase();
+    if (token === 'YYYY') {
+      fields.push('year');
+      source += '(\\d{4})';
+    } else if (token === 'MONTH' || token === 'MON') {
+      fields.push(token === 'MONTH' ? 'monthName' : 'monthAbbr');
+      source += '([A-Za-z]+)';
+    } else if (token.startsWith('M')) {
+      fields.push('month');
+      source += '(\\d{1,2})';
+    } else {
+      fields.push('day');
+      source += '(\\d{1,2})';
+    }
+    last = match.index + match[0].length;
+  }
+  source += format.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+
+  const count = name => fields.filter(field => field === name || (name === 'month' && field.startsWith('month'))).length;
+  if (count('year') !== 1 || count('month') !== 1 || count('day') !== 1) {
+    throw invalid();
+  }
+  return { pattern: new RegExp(`^${source}${TIME_SUFFIX}$`, 'i'), fields };
+}
+
+/**
+ * Parse a numeric value
+ * @param {*} value - Raw item value
+ * @returns {number|null} Number, or null if the value should stay a string
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || !NUMBER_PATTERN.test(value)) {
+    return null;
+  }
+  if (value.replace(/[-.]/g, '').replace(/^0+/, '').length > MAX_NUMBER_DIGITS) {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * Parse a 'T'/'F' value
+ * @param {*} value - Raw item value
+ * @returns {boolean|null} Boolean, or null if the value is not T or F
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, value) ? BOOLEAN_VALUES[value] : null;
+}
+
+/**
+ * Parse a date in the given format into an ISO-8601 string. Dates with a time
+ * of day become local date-times without a time zone, as SuiteQL returns them
+ * in the time zone of the user.
+ * @param {*} value - Raw item value
+ * @param {{ pattern: RegExp, fields: string[] }} dateFormat - Compiled format (see parseDateFormat())
+ * @returns {string|null} 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM:SS', or null if the value is not a valid date
+ */
+function toIsoDate(value, dateFormat) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(dateFormat.pattern);
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  dateFormat.fields.forEach((field, index) => {
+    parts[field] = match[index + 1];
+  });
+  const year = Number(parts.year);
+  const day = Number(parts.day);
+  let month;
+  if (parts.monthName) {
+    month = MONTH_NAMES.indexOf(parts.monthName.toLowerCase()) + 1;
+  } else if (parts.monthAbbr) {
+    month = MONTH_NAMES.findIndex(name => name.slice(0, 3) === parts.monthAbbr.toLowerCase()) + 1;
+  } else {
+    month = Number(parts.month);
+  }
+
+  // Reject impossible dates such as 2/30/2024 instead of rolling them over
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+    return null;
+  }
+  const date = calendarDay.toISOString().slice(0, 10);
+
+  const time = match.slice(dateFormat.fields.length + 1);
+  if (time[0] === undefined) {
+    return date;
+  }
+  let hours = Number(time[0]);
+  const minutes = Number(time[1]);
+  const seconds = time[2] === undefined ? 0 : Number(time[2]);
+  const meridiem = time[3] && time[3].toLowerCase();
+  if (meridiem && (hours < 1 || hours > 12)) {
+    return null;
+  }
+  if (meridiem) {
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+/**
+ * Decide the type of a column from the values of one page
+ * @param {Array} values - Non-empty values of the column
+ * @param {{ pattern: RegExp, fields: string[] }} dateFormat - Compiled format (see parseDateFormat())
+ * @returns {string} 'number', 'boolean', 'date' or 'text'
+ */
+function detectValueType(values, dateFormat) {
+  if (values.every(value => toNumber(value) !== null)) {
+    return 'number';
+  }
+  if (values.every(value => toBoolean(value) !== null)) {
+    return 'boolean';
+  }
+  if (values.every(value => toIsoDate(value, dateFormat) !== null)) {
+    return 'date';
+  }
+  return 'text';
+}
+
+/**
+ * Convert a value to a column type. Values that do not fit the type are
+ * returned unchanged.
+ * @param {*} value - Raw item value
+ * @param {string} type - Column type (see detectValueType())
+ * @param {{ pattern: RegExp, fields: string[] }} dateFormat - Compiled format (see parseDateFormat())
+ * @returns {*}
+ */
+function convertValue(value, type, dateFormat) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+  let converted = null;
+  if (type === 'number') {
+    converted = toNumber(value);
+  } else if (type === 'boolean') {
+    converted = toBoolean(value);
+  } else if (type === 'date') {
+    converted = toIsoDate(value, dateFormat);
+  }
+  return converted === null ? value : converted;
+}
+
+/**
+ * Create a converter that types the rows of a page stream. Column types are
+ * remembered across pages.
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='M/D/YYYY'] - Date format of the account (see parseDateFormat())
+ * @returns {{ convertPage: function(Object): Object, getTypes: function(): Map<string, string> }}
+ * @throws {Error} If the date format is invalid
+ */
+function createTypeConverter(options = {}) {
+  const dateFormat = parseDateFormat(options.dateFormat || DEFAULT_DATE_FORMAT);
+  const types = new Map();
+
+  return {
+    /**
+     * Convert the rows of a page
+     * @param {Object} page - SuiteQL page or merged results
+     * @returns {Object} Copy of the page with typed rows
+     */
+    convertPage(page) {
+      if (!Array.isArray(page.items)) {
+        return page;
+      }
+      page.items.forEach(item => Object.keys(item).forEach(key => {
+        if (types.has(key)) return;
+        const values = page.items.map(row => row[key]).filter(value => value !== null && value !== undefined && value !== '');
+        if (values.length > 0) {
+          types.set(key, values.every(value => typeof value === 'string') ? detectValueType(values, dateFormat) : 'text');
+        }
+      }));
+
+      const items = page.items.map(item => {
+        const typed = {};
+        Object.keys(item).forEach(key => {
+          typed[key] = convertValue(item[key], types.get(key) || 'text', dateFormat);
+        });
+        return typed;
+      });
+      return { ...page, items };
+    },
+
+    getTypes() {
+      return types;
+    },
+  };
+}
+
+/**
+ * Type each page of a page stream
+ * @param {AsyncIterable<Object>} pages - SuiteQL pages (see iteratePages())
+ * @param {Object} [options] - Converter options (see createTypeConverter())
+ * @returns {AsyncGenerator<Object>} Pages with typed rows
+ */
+async function* typePages(pages, options = {}) {
+  const converter = createTypeConverter(options);
+  for await (const page of pages) {
+    yield converter.convertPage(page);
+  }
+}
+
+module.exports = { DEFAULT_DATE_FORMAT, NUMBER_PATTERN, parseDateFormat, toNumber, toIsoDate, detectValueType, createTypeConverter, typePages };
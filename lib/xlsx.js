@@ -0,0 +1,188 @@
+/**
+ * Excel (.xlsx) output for query results.
+ * Workbooks are streamed page by page. Each column gets a type from the first
+ * page that has values for it, so numbers and ISO dates become real Excel
+ * numbers and dates while codes such as '00123' stay text. Booleans from
+ * typed results (see typed.js) become Excel booleans.
+ */
+
+const { Writable } = require('stream');
+const { resolveHeader } = require('./columns');
+const { toNumber } = require('./typed');
+const debug = require('./debug');
+
+const MAX_COLUMN_WIDTH = 50;
+const MIN_COLUMN_WIDTH = 8;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DATE_TIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+/**
+ * Parse an ISO date or date-time string. Values without a time zone are read
+ * as UTC so Excel shows the same wall-clock time as the query result.
+ * @param {*} value - Raw item value
+ * @returns {{ date: Date, hasTime: boolean }|null}
+ */
+function toDate(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.match(DATE_PATTERN) || value.match(DATE_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+  // Reject impossible dates such as 2024-02-30 instead of rolling them over
+  const [, year, month, day] = match.map(Number);
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+    return null;
+  }
+  if (match.length === 4) {
+    return { date: calendarDay, hasTime: false };
+  }
+  const zone = match[8];
+  const isoValue = value.replace(' ', 'T');
+  const date = new Date(zone ? isoValue : `${isoValue}Z`);
+  return Number.isNaN(date.getTime()) ? null : { date, hasTime: true };
+}
+
+/**
+ * Decide the type of a column from the values of one page
+ * @param {Array} values - Non-empty values of the column
+ * @returns {string} 'number', 'boolean', 'date', 'datetime' or 'text'
+ */
+function detectColumnType(values) {
+  if (values.every(value => typeof value === 'boolean')) {
+    return 'boolean';
+  }
+  if (values.every(value => toNumber(value) !== null)) {
+    return 'number';
+  }
+  const dates = values.map(toDate);
+  if (dates.every(Boolean)) {
+    return dates.some(parsed => parsed.hasTime) ? 'datetime' : 'date';
+  }
+  return 'text';
+}
+
+/**
+ * Convert a value to a cell of the given column type. Values that do not
+ * match the column type are written as text.
+ * @param {*} value - Raw item value
+ * @param {string} type - Column type (see detectColumnType())
+ * @returns {{ value: *, numFmt?: string }}
+ */
+function toCell(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null };
+  }
+  if (type === 'number') {
+    const number = toNumber(value);
+    if (number !== null) return { value: number };
+  } else if (type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+  } else if (type === 'date' || type === 'datetime') {
+    const parsed = toDate(value);
+    if (parsed) return { value: parsed.date, numFmt: type === 'date' ? DATE_FORMAT : DATE_TIME_FORMAT };
+  }
+  return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+}
+
+/**
+ * Write the pages of one query to a worksheet
+ * @param {Object} workbook - ExcelJS streaming workbook writer
+ * @param {Object} sheet - Sheet definition (see writeXlsx())
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeSheet(workbook, sheet) {
+  const worksheet = workbook.addWorksheet(sheet.name, {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  let headers = null;
+  const types = new Map();
+  let rowCount = 0;
+
+  const writeHeader = (items) => {
+    worksheet.columns = headers.map(header => {
+      const longest = items.reduce((max, item) => {
+        const value = item[header];
+        return value === null || value === undefined ? max : Math.max(max, String(value).length);
+      }, header.length);
+      return { width: Math.min(Math.max(longest + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH) };
+    });
+    const row = worksheet.addRow(headers);
+    row.font = { bold: true };
+    row.commit();
+  };
+
+  for await (const page of sheet.pages) {
+    const items = page.items || [];
+    if (!headers) {
+      headers = resolveHeader(sheet.columns, items);
+      if (!headers) continue;
+      writeHeader(items);
+    }
+
+    headers.forEach(header => {
+      if (types.has(header)) return;
+      const values = items.map(item => item[header]).filter(value => value !== null && value !== undefined && value !== '');
+      if (values.length > 0) {
+        types.set(header, detectColumnType(values));
+      }
+    });
+
+    items.forEach(item => {
+      const row = worksheet.addRow([]);
+      headers.forEach((header, index) => {
+        const cell = toCell(item[header], types.get(header) || 'text');
+        const target = row.getCell(index + 1);
+        target.value = cell.value;
+        if (cell.numFmt) target.numFmt = cell.numFmt;
+      });
+      row.commit();
+    });
+    rowCount += items.length;
+  }
+
+  debug.log(`XLSX sheet '${sheet.name}':`, rowCount, 'rows | column types:',
+    (headers || []).map(header => `${header}=${types.get(header) || 'text'}`).join(', '));
+  worksheet.commit();
+  return rowCount;
+}
+
+/**
+ * Write results as an Excel workbook with one worksheet per query.
+ * Every sheet has a bold, frozen header row.
+ * @param {Object[]} sheets - Sheets to write, in order
+ * @param {string} sheets[].name - Worksheet name
+ * @param {AsyncIterable<Object>} sheets[].pages - SuiteQL pages (see iteratePages())
+ * @param {string[]|null} [sheets[].columns] - Header columns, e.g. from parseSelectColumns()
+ * @param {Object} sink - Output sink with a binary write() (see createFileSink())
+ * @returns {Promise<number>} Number of rows written across all sheets
+ */
+async function writeXlsx(sheets, sink) {
+  // exceljs is large; load it only when a workbook is actually written
+  const ExcelJS = require('exceljs');
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      try {
+        sink.write(chunk);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+
+  let rowCount = 0;
+  for (const sheet of sheets) {
+    rowCount += await writeSheet(workbook, sheet);
+  }
+  await workbook.commit();
+  return rowCount;
+}
+
+module.exports = { writeXlsx, detectColumnType, toCell };